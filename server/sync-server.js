@@ -0,0 +1,234 @@
+/* ============================================
+   sync-server.js - 同期サーバー（参考実装）
+
+   複数の端末の記録をそろえるための小さなHTTPサーバー。
+   Node.js だけで動き、データは1つのJSONファイルに保存する。
+
+   起動:
+     node server/sync-server.js
+
+   環境変数:
+     SYNC_PORT       待ち受けるポート（省略時 8787）
+     SYNC_HOST       待ち受けるアドレス（省略時 127.0.0.1。LAN内の端末から使うなら 0.0.0.0）
+     SYNC_DATA_FILE  データを保存するファイル（省略時 server/data/sync-data.json）
+     SYNC_TOKEN      設定すると、Authorization: Bearer <トークン> がないリクエストを拒否する
+
+   API:
+     GET  /api/health                 動作確認
+     GET  /api/records?since=<位置>   指定した位置より後に変更された記録（削除を含む）
+     PUT  /api/records                記録の変更を送る { records: [...] }
+     GET  /api/achievements           解除済み実績
+     PUT  /api/achievements           解除済み実績を送る { achievements: [...] }
+
+   記録の扱い:
+   - 記録は id ごとに保存し、updatedAt が新しい方を残す（last-writer-wins）
+   - 削除は { id, deleted: true, updatedAt } として保存し、他の端末に伝える
+   - 変更を受け付けるたびに通し番号（seq）を付け、クライアントは
+     前回受け取った番号（cursor）より後の変更だけを取りにくる
+   - 実績は一度解除したら戻らないので、送られてきたものを足していく
+   ============================================ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.SYNC_PORT) || 8787;
+const HOST = process.env.SYNC_HOST || '127.0.0.1';
+const DATA_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, 'data', 'sync-data.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+
+// 受け付けるリクエスト本文の上限（数年分の記録を一度に送っても収まる大きさ）
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// ============================
+// データの保存
+// ============================
+
+/**
+ * 保存ファイルを読み込む（なければ空のデータ）
+ */
+function loadData() {
+  try {
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    return {
+      seq: Number.isInteger(data.seq) ? data.seq : 0,
+      records: data.records && typeof data.records === 'object' ? data.records : {},
+      achievements: Array.isArray(data.achievements) ? data.achievements : [],
+    };
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error('データファイルを読み込めません:', e.message);
+      process.exit(1);
+    }
+    return { seq: 0, records: {}, achievements: [] };
+  }
+}
+
+/**
+ * 保存ファイルに書き込む
+ * 書き込み途中で止まってもファイルが壊れないよう、一時ファイルに書いてから置き換える
+ */
+function saveData(data) {
+  fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+  const tmpFile = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data));
+  fs.renameSync(tmpFile, DATA_FILE);
+}
+
+const store = loadData();
+
+// ============================
+// 記録・実績の操作
+// ============================
+
+/**
+ * 指定した位置より後に変更された記録を返す
+ * @param {number} since - 前回受け取った位置
+ */
+function getRecordsSince(since) {
+  const records = Object.values(store.records)
+    .filter(r => r.seq > since)
+    .sort((a, b) => a.seq - b.seq);
+  return { records, cursor: store.seq };
+}
+
+/**
+ * 送られてきた記録を取り込む（updatedAt が新しいものだけ）
+ * @param {Object[]} records
+ * @returns {Object} 取り込んだ件数と、新しい位置
+ */
+function putRecords(records) {
+  let accepted = 0;
+
+  records.forEach(record => {
+    if (!record || typeof record.id !== 'string' || typeof record.updatedAt !== 'string') return;
+
+    const existing = store.records[record.id];
+    if (existing && existing.updatedAt >= record.updatedAt) return;
+
+    store.seq++;
+    store.records[record.id] = { ...record, seq: store.seq };
+    accepted++;
+  });
+
+  if (accepted > 0) saveData(store);
+  return { accepted, cursor: store.seq };
+}
+
+/**
+ * 送られてきた実績を足す
+ * @param {string[]} achievements
+ */
+function putAchievements(achievements) {
+  const merged = [...new Set([...store.achievements, ...achievements.filter(id => typeof id === 'string')])];
+  if (merged.length !== store.achievements.length) {
+    store.achievements = merged;
+    saveData(store);
+  }
+  return { achievements: store.achievements };
+}
+
+// ============================
+// HTTP
+// ============================
+
+/**
+ * JSONで応答する（ブラウザから直接呼べるよう CORS のヘッダーを付ける）
+ */
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * リクエスト本文をJSONとして読む
+ * 本文はオブジェクト（{ records: [...] } など）でなければならない
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('リクエストが大きすぎます'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+      } catch (e) {
+        reject(Object.assign(new Error('JSONとして読めません'), { status: 400 }));
+        return;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(Object.assign(new Error('本文がオブジェクトではありません'), { status: 400 }));
+        return;
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handle(req, res) {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (url.pathname === '/api/health' && req.method === 'GET') {
+    return send(res, 200, { ok: true, cursor: store.seq });
+  }
+
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return send(res, 401, { error: 'トークンが正しくありません' });
+  }
+
+  if (url.pathname === '/api/records') {
+    if (req.method === 'GET') {
+      const since = Number(url.searchParams.get('since')) || 0;
+      return send(res, 200, getRecordsSince(since));
+    }
+    if (req.method === 'PUT') {
+      const body = await readBody(req);
+      if (!Array.isArray(body.records)) return send(res, 400, { error: 'records が配列ではありません' });
+      return send(res, 200, putRecords(body.records));
+    }
+  }
+
+  if (url.pathname === '/api/achievements') {
+    if (req.method === 'GET') {
+      return send(res, 200, { achievements: store.achievements });
+    }
+    if (req.method === 'PUT') {
+      const body = await readBody(req);
+      if (!Array.isArray(body.achievements)) return send(res, 400, { error: 'achievements が配列ではありません' });
+      return send(res, 200, putAchievements(body.achievements));
+    }
+  }
+
+  return send(res, 404, { error: '見つかりません' });
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch(e => {
+    // 想定外のエラーは中身を返さない（サーバーのログにだけ残す）
+    if (!e.status) console.error(e);
+    send(res, e.status || 500, { error: e.status ? e.message : 'サーバーでエラーが発生しました' });
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`同期サーバーを起動しました: http://${HOST}:${PORT}`);
+  console.log(`データファイル: ${DATA_FILE}${TOKEN ? '（トークン必須）' : ''}`);
+});
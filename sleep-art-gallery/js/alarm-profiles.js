@@ -0,0 +1,210 @@
+/* ============================================
+   alarm-profiles.js - 曜日ごとのアラームのスケジュール
+
+   毎晩アラーム時刻を入れ直さなくてよいように、
+   曜日ごとの起きる時刻を「プロフィール」として登録しておく
+   （例: 「通常」は平日 06:30・週末なし、「夏休み」は毎日 08:00）。
+   「おやすみ」を押すと、使用中のプロフィールから翌朝の時刻を選んで
+   アラーム設定パネルに入れておく（app.js）。
+
+   特定の日だけの変更（例: 10/20 だけ 05:30、祝日はアラームなし）は
+   プロフィールとは別に日付ごとに登録し、プロフィールより優先する。
+
+   保存先はユーザー設定（SleepStorage.getSettings()）:
+   - alarmProfiles: [{ id, name, times: ["HH:MM" または null（日曜〜土曜の7つ）] }]
+   - activeAlarmProfile: 使用中のプロフィールのID
+   - alarmOverrides: { "YYYY-MM-DD": "HH:MM" または null（アラームなし） }
+   - lastAlarmTime: 前回セットした時刻（スケジュールを使わない場合に入れておく）
+
+   どの朝のアラームか:
+   正午より前に寝るなら今日の朝、正午以降に寝るなら翌朝のアラームとみなす。
+   ============================================ */
+
+// 曜日の表示名（Date.getDay() の順）
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// スケジュールもなく、前回の時刻もないときにアラーム設定パネルに入れておく時刻
+const DEFAULT_ALARM_TIME = '07:00';
+
+/**
+ * SleepAlarmProfiles クラス
+ * アラームのプロフィールと日付ごとの変更を管理する
+ */
+class SleepAlarmProfiles {
+
+  // === 取得 ===
+
+  /**
+   * 登録されているプロフィールの一覧を取得する
+   * @returns {Object[]} { id, name, times }
+   */
+  static getProfiles() {
+    const profiles = SleepStorage.getSettings().alarmProfiles;
+    return Array.isArray(profiles) ? profiles.filter(p => this.isValidProfile(p)) : [];
+  }
+
+  /**
+   * 使用中のプロフィールを取得する（登録がなければnull）
+   */
+  static getActiveProfile() {
+    const profiles = this.getProfiles();
+    const activeId = SleepStorage.getSettings().activeAlarmProfile;
+    return profiles.find(p => p.id === activeId) || profiles[0] || null;
+  }
+
+  /**
+   * 今日以降の日付ごとの変更を日付順に取得する
+   * @returns {Object[]} { date: "YYYY-MM-DD", time: "HH:MM" または null（アラームなし） }
+   */
+  static getOverrides() {
+    const overrides = this.pruneOverrides(SleepStorage.getSettings().alarmOverrides);
+    return Object.keys(overrides).sort().map(date => ({ date, time: overrides[date] }));
+  }
+
+  /**
+   * 指定した日の朝のアラーム時刻を決める
+   * 日付ごとの変更 → 使用中のプロフィールの曜日の時刻 の順に探す
+   *
+   * @param {Date} date - 起きる日
+   * @returns {Object|null} { time: "HH:MM" または null（アラームなし）, source: "override" / "profile" }
+   *   （スケジュールを何も登録していなければnull）
+   */
+  static resolve(date) {
+    const overrides = SleepStorage.getSettings().alarmOverrides || {};
+    const dateId = SleepStorage.formatDate(date);
+    if (dateId in overrides && this.isValidOverride(dateId, overrides[dateId])) {
+      return { time: overrides[dateId], source: 'override' };
+    }
+
+    const profile = this.getActiveProfile();
+    if (!profile) return null;
+    return { time: profile.times[date.getDay()], source: 'profile' };
+  }
+
+  /**
+   * 今から寝た場合に、どの朝の何時に起きる予定かを取得する
+   * @param {Date} now - 寝る時刻
+   * @returns {Object} { date: 起きる日, time: "HH:MM" または null, source: "override" / "profile" / "last" }
+   */
+  static getNextAlarm(now = new Date()) {
+    // 正午以降に寝るなら翌朝
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    if (now.getHours() >= 12) date.setDate(date.getDate() + 1);
+
+    const resolved = this.resolve(date);
+    if (resolved) return { date, ...resolved };
+
+    // スケジュールを使っていなければ、前回セットした時刻
+    return { date, time: SleepStorage.getSettings().lastAlarmTime || DEFAULT_ALARM_TIME, source: 'last' };
+  }
+
+  // === 変更 ===
+
+  /**
+   * プロフィールを追加する（初期値は毎日アラームなし）
+   * @param {string} name - プロフィールの名前
+   * @returns {Object} 追加したプロフィール
+   */
+  static addProfile(name) {
+    const profile = {
+      id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      times: Array(7).fill(null),
+    };
+    SleepStorage.updateSettings({
+      alarmProfiles: [...this.getProfiles(), profile],
+      activeAlarmProfile: profile.id,
+    });
+    return profile;
+  }
+
+  /**
+   * プロフィールの名前・曜日ごとの時刻を変更する
+   * @param {string} id - プロフィールのID
+   * @param {Object} changes - { name, times }
+   */
+  static updateProfile(id, changes) {
+    SleepStorage.updateSettings({
+      alarmProfiles: this.getProfiles().map(p => (p.id === id ? { ...p, ...changes } : p)),
+    });
+  }
+
+  /**
+   * プロフィールを削除する
+   * @param {string} id - プロフィールのID
+   */
+  static removeProfile(id) {
+    const profiles = this.getProfiles().filter(p => p.id !== id);
+    SleepStorage.updateSettings({
+      alarmProfiles: profiles,
+      activeAlarmProfile: profiles.length > 0 ? profiles[0].id : null,
+    });
+  }
+
+  /**
+   * 使用するプロフィールを切り替える
+   * @param {string} id - プロフィールのID
+   */
+  static setActiveProfile(id) {
+    SleepStorage.updateSettings({ activeAlarmProfile: id });
+  }
+
+  /**
+   * 特定の日だけアラーム時刻を変える（過ぎた日の変更はここで片付ける）
+   * @param {string} dateId - "YYYY-MM-DD" 形式の起きる日
+   * @param {string|null} time - "HH:MM" 形式の時刻（nullならその日はアラームなし）
+   */
+  static setOverride(dateId, time) {
+    const overrides = this.pruneOverrides(SleepStorage.getSettings().alarmOverrides);
+    overrides[dateId] = time;
+    SleepStorage.updateSettings({ alarmOverrides: overrides });
+  }
+
+  /**
+   * 特定の日の変更を取り消す
+   * @param {string} dateId - "YYYY-MM-DD" 形式の日付
+   */
+  static removeOverride(dateId) {
+    const overrides = this.pruneOverrides(SleepStorage.getSettings().alarmOverrides);
+    delete overrides[dateId];
+    SleepStorage.updateSettings({ alarmOverrides: overrides });
+  }
+
+  // === ユーティリティ ===
+
+  /**
+   * 過ぎた日の変更と、形の正しくない変更を取り除いたコピーを作る
+   * @param {Object} overrides - { "YYYY-MM-DD": "HH:MM" または null }
+   */
+  static pruneOverrides(overrides) {
+    const today = SleepStorage.formatDate(new Date());
+    return Object.fromEntries(Object.entries(overrides || {})
+      .filter(([date, time]) => this.isValidOverride(date, time) && date >= today));
+  }
+
+  /**
+   * 日付ごとの変更の形が正しいか確認する（設定は取り込みで外から入ることもある）
+   * @param {string} date - "YYYY-MM-DD"
+   * @param {*} time - "HH:MM" または null
+   */
+  static isValidOverride(date, time) {
+    return SleepSchema.isValidAlarmOverride(date, time);
+  }
+
+  /**
+   * プロフィールの形が正しいか確認する（設定は取り込みで外から入ることもある）
+   * @param {*} profile
+   */
+  static isValidProfile(profile) {
+    return SleepSchema.isValidAlarmProfile(profile);
+  }
+
+  /**
+   * 日付を「10/20（火）」の形で表示する
+   * @param {Date} date
+   */
+  static formatDay(date) {
+    return `${date.getMonth() + 1}/${date.getDate()}（${WEEKDAY_LABELS[date.getDay()]}）`;
+  }
+}
@@ -0,0 +1,258 @@
+/* ============================================
+   alarm-scheduler.js - アラームの予約
+
+   タブの setTimeout だけでは、タブを閉じたり端末がスリープしたりすると
+   アラームが鳴らない。ブラウザが対応していれば Service Worker（sw.js）に
+   通知を予約し、タブを閉じていても「起きる時間です」の通知を出す。
+
+   予約の方法（使えるものをすべて使う）:
+   1. 通知の時刻指定（Notification Triggers）
+      → 指定した時刻にブラウザが通知を出す。タブを閉じていても確実に届く
+   2. 定期バックグラウンド同期（Periodic Background Sync）
+      → ブラウザが決めた間隔で sw.js が起こされ、時刻を過ぎていれば通知を出す。
+        間隔はブラウザ次第なので、遅れて届くことがある（ホーム画面に追加した場合のみ）
+   3. タブの中のタイマー（setTimeout）
+      → タブを開いている間は、音とオーバーレイで正確に鳴らす
+
+   通知の「起きた」ボタンを押すと、sw.js がアプリに知らせ
+   （タブがなければ ?wake=<時刻> 付きで開き）、アプリが起床を記録する。
+   止めるときのチャレンジを決めたアラームの通知には「起きた」ボタンを付けない。
+   通知を押すとアプリが開き（タブがなければ ?alarm=<鳴った時刻> 付き）、チャレンジを出す。
+
+   スヌーズも同じ仕組みで予約する（鳴らす日時がスヌーズの終わりになるだけ）。
+   間隔と回数の上限は設定画面で変えられる。
+
+   起床ウィンドウ（planWakeWindow()）:
+   「06:30〜07:00 のどこかで起こす」ように幅を持たせると、
+   就寝時刻から睡眠サイクル（約90分）を数え、眠りが浅くなるサイクルの
+   切れ目がウィンドウ内にあればその時刻に鳴らす。なければウィンドウの終わりに鳴らす。
+   ============================================ */
+
+// アラームの通知に付けるタグ（同じタグの通知は1つにまとまる）
+const ALARM_NOTIFICATION_TAG = 'sleep-art-gallery-alarm';
+
+// 定期バックグラウンド同期の登録名と、希望する間隔（ミリ秒）
+const ALARM_PERIODIC_SYNC_TAG = 'sleep-art-gallery-alarm-check';
+const ALARM_PERIODIC_SYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+// 睡眠サイクルの長さと、寝付くまでにかかる時間（分）（起床ウィンドウの計算に使う簡単なモデル）
+const SLEEP_CYCLE_MINUTES = 90;
+const SLEEP_ONSET_MINUTES = 15;
+
+// スヌーズの間隔（分）と回数の上限の初期値（設定の snoozeMinutes / snoozeLimit で変えられる）
+const SNOOZE_DEFAULT_MINUTES = 5;
+const SNOOZE_DEFAULT_LIMIT = 3;
+
+/**
+ * SleepAlarmScheduler クラス
+ * アラームの予約・取り消しを担当する（鳴らすのは app.js）
+ */
+class SleepAlarmScheduler {
+
+  static timerId = null;
+  static generation = 0;  // 予約・取り消しのたびに増やす（古い予約の続きを止めるため）
+  static mode = 'page';  // 今の予約方法（"trigger" / "periodic" / "page"）
+
+  /**
+   * アラームを予約する
+   * @param {Date} target - 鳴らす日時
+   * @param {Function} onRing - タブの中で鳴らす時刻になったときに呼ぶ関数
+   * @returns {Promise<string>} 予約できた方法（"trigger" / "periodic" / "page"）
+   */
+  static async schedule(target, onRing) {
+    // 前の予約を消している間に取り消された・予約し直された場合は何もしない
+    const generation = ++this.generation;
+    this.mode = 'page';
+    await this.clear();
+    if (generation !== this.generation) return this.mode;
+
+    // タブを開いている間はタイマーで鳴らす
+    this.timerId = setTimeout(onRing, Math.max(0, target - new Date()));
+
+    const registration = await this.getRegistration();
+    if (!registration || generation !== this.generation) return this.mode;
+
+    // Service Worker にも時刻を伝えておく（定期バックグラウンド同期で確認する）
+    this.postToWorker(registration, {
+      type: 'ALARM_SCHEDULE',
+      at: target.getTime(),
+      challenge: Boolean(SleepStorage.getAlarmChallenge()),
+    });
+
+    if (Notification.permission !== 'granted') return this.mode;
+
+    if (this.supportsTriggers()) {
+      try {
+        await registration.showNotification('Sleep Art Gallery', {
+          ...this.getNotificationOptions(),
+          showTrigger: new TimestampTrigger(target.getTime()),
+        });
+        this.mode = 'trigger';
+        return this.mode;
+      } catch (e) {
+        console.warn('時刻指定の通知を予約できませんでした:', e);
+      }
+    }
+
+    if ('periodicSync' in registration) {
+      try {
+        await registration.periodicSync.register(ALARM_PERIODIC_SYNC_TAG, {
+          minInterval: ALARM_PERIODIC_SYNC_INTERVAL_MS,
+        });
+        this.mode = 'periodic';
+      } catch (e) {
+        // ホーム画面に追加していない場合などは許可されない
+        console.info('定期バックグラウンド同期は使えません:', e.message);
+      }
+    }
+
+    return this.mode;
+  }
+
+  /**
+   * 予約したアラームを取り消す（表示中の通知も閉じる）
+   */
+  static async cancel() {
+    this.generation++;
+    this.mode = 'page';
+    await this.clear();
+  }
+
+  /**
+   * タイマー・通知・定期バックグラウンド同期の予約を消す
+   */
+  static async clear() {
+    clearTimeout(this.timerId);
+    this.timerId = null;
+
+    const registration = await this.getRegistration();
+    if (!registration) return;
+
+    this.postToWorker(registration, { type: 'ALARM_CANCEL' });
+    await this.closeNotifications(registration);
+
+    if ('periodicSync' in registration) {
+      await registration.periodicSync.unregister(ALARM_PERIODIC_SYNC_TAG).catch(() => {});
+    }
+  }
+
+  /**
+   * 「起きる時間です」の通知を今すぐ出す（タブの中でアラームが鳴ったとき）
+   * 予約した通知と同じタグなので、二重には表示されない
+   */
+  static async notify() {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const registration = await this.getRegistration();
+    if (registration) {
+      await registration.showNotification('Sleep Art Gallery', this.getNotificationOptions());
+    } else {
+      new Notification('Sleep Art Gallery', this.getNotificationOptions());
+    }
+  }
+
+  /**
+   * アラームの通知を閉じる（予約中のものも含む）
+   */
+  static async closeNotifications(registration) {
+    const notifications = await registration.getNotifications({
+      tag: ALARM_NOTIFICATION_TAG,
+      includeTriggered: true,
+    }).catch(() => []);
+    notifications.forEach(notification => notification.close());
+  }
+
+  /**
+   * アラームの通知の内容
+   * チャレンジ付きのアラームは通知だけで止められないよう、「起きた」ボタンを付けない
+   * （sw.js の showAlarmNotification() と同じ内容にする）
+   */
+  static getNotificationOptions() {
+    const challenge = Boolean(SleepStorage.getAlarmChallenge());
+    return {
+      tag: ALARM_NOTIFICATION_TAG,
+      body: challenge
+        ? 'おはようございます！起きる時間です（開いてチャレンジをクリアすると止まります）'
+        : 'おはようございます！起きる時間です',
+      icon: 'icons/icon.svg',
+      renotify: true,
+      requireInteraction: true,
+      actions: challenge ? [] : [{ action: 'wake', title: '起きた' }],
+    };
+  }
+
+  /**
+   * 起床ウィンドウの中で鳴らす時刻を決める
+   * 寝付いてから睡眠サイクルが終わる時刻のうち、ウィンドウ内で最も遅いものを選ぶ
+   *
+   * @param {Date} bedtime - 就寝時刻
+   * @param {Date} end - ウィンドウの終わり（これより遅くは鳴らさない）
+   * @param {number} minutes - ウィンドウの幅（分）
+   * @returns {Object} { start, end, ringAt（いずれもISO文字列）, cycles: 選んだサイクルの回数（切れ目がなければnull） }
+   */
+  static planWakeWindow(bedtime, end, minutes) {
+    const start = new Date(end.getTime() - minutes * 60 * 1000);
+    const asleepAt = bedtime.getTime() + SLEEP_ONSET_MINUTES * 60 * 1000;
+    const cycleMs = SLEEP_CYCLE_MINUTES * 60 * 1000;
+
+    // ウィンドウの終わりまでに終わるサイクルの数
+    const cycles = Math.floor((end.getTime() - asleepAt) / cycleMs);
+    const cycleEnd = asleepAt + cycles * cycleMs;
+    const fits = cycles > 0 && cycleEnd >= start.getTime();
+
+    return {
+      start: start.toISOString(),
+      end: end.toISOString(),
+      ringAt: new Date(fits ? cycleEnd : end.getTime()).toISOString(),
+      cycles: fits ? cycles : null,
+    };
+  }
+
+  /**
+   * スヌーズの設定を取得する（未設定の項目は初期値）
+   * @returns {Object} { minutes: 間隔（分）, limit: 回数の上限（0ならスヌーズしない） }
+   */
+  static getSnoozeSettings() {
+    const settings = SleepStorage.getSettings();
+    return {
+      minutes: Number.isInteger(settings.snoozeMinutes) ? settings.snoozeMinutes : SNOOZE_DEFAULT_MINUTES,
+      limit: Number.isInteger(settings.snoozeLimit) ? settings.snoozeLimit : SNOOZE_DEFAULT_LIMIT,
+    };
+  }
+
+  /**
+   * 通知の時刻指定（Notification Triggers）に対応しているか
+   */
+  static supportsTriggers() {
+    return typeof TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+  }
+
+  /**
+   * 予約方法の説明（就寝中の画面に表示する）
+   */
+  static describeMode() {
+    if (this.mode === 'trigger') return 'タブを閉じても通知でお知らせします';
+    if (this.mode === 'periodic') return 'タブを閉じた場合、通知が遅れることがあります';
+    return 'このタブを開いたままにしてください';
+  }
+
+  /**
+   * 有効な Service Worker の登録を取得する（使えなければnull）
+   */
+  static async getRegistration() {
+    if (!('serviceWorker' in navigator) || !('Notification' in window)) return null;
+    try {
+      return (await navigator.serviceWorker.getRegistration()) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Service Worker にメッセージを送る
+   */
+  static postToWorker(registration, message) {
+    const worker = registration.active || registration.waiting || registration.installing;
+    if (worker) worker.postMessage(message);
+  }
+}
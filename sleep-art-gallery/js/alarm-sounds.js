@@ -0,0 +1,557 @@
+/* ============================================
+   alarm-sounds.js - アラーム音のライブラリ
+
+   アラーム音は Web Audio API でその場で合成する（音声ファイルは使わない）。
+   プリセット（PRESETS）はそれぞれ「1回分のパターン」を鳴らす関数を持ち、
+   アラームが止められるまでパターンを繰り返す。
+
+   - 音量は小さく始めて、設定した時間（分）をかけて最大まで上げる（クレッシェンド）
+   - 自分で選んだ音声ファイルも使える。ファイルは端末の IndexedDB に保存し、
+     繰り返し再生する（IndexedDB が使えない環境では選べない）
+   - 試聴（preview()）は最大の音量で数秒だけ鳴らす
+   - おやすみ前の画面の静かな音（startWindDown()）もここで鳴らす
+
+   その夜のメロディ（composeMelody()）:
+   アートと同じシード（就寝時に決める）とパレット（就寝時刻と、記録したときのパレットの版で決まる）から、
+   音階・テンポ・音色・旋律を作る。毎朝ちがうメロディになり、
+   同じ夜の記録からはいつでも同じメロディを再現できる（アートのモーダルで再生できる）。
+   ============================================ */
+
+// 音量を最大まで上げるのにかける時間（分）の初期値（設定の alarmRampMinutes で変えられる。0ならはじめから最大）
+const ALARM_RAMP_DEFAULT_MINUTES = 2;
+
+// クレッシェンドの始まりの音量（最大音量に対する割合）
+const ALARM_RAMP_START_RATIO = 0.05;
+
+// 試聴で鳴らす長さ（秒）
+const ALARM_PREVIEW_SECONDS = 6;
+
+// 自分で選んだ音声ファイルを IndexedDB に保存するキー
+const CUSTOM_SOUND_ASSET_KEY = 'alarm-sound';
+
+// 自分で選んだ音声ファイルの最大サイズ（バイト）
+const CUSTOM_SOUND_MAX_BYTES = 10 * 1024 * 1024;
+
+// その夜のメロディの乱数に混ぜる値（アートと同じシードでも、アートの乱数列とは別にする）
+const MELODY_SEED_SALT = 0x2545f491;
+
+// その夜のメロディの1フレーズの音の数
+const MELODY_PHRASE_NOTES = 8;
+
+/**
+ * SleepAlarmSounds クラス
+ * アラーム音の再生を担当する
+ */
+class SleepAlarmSounds {
+
+  // === プリセット ===
+  // label: 表示名 / volume: 最大音量 / play(ctx, out, time): time から1回分を鳴らし、長さ（秒）を返す
+  static PRESETS = {
+    // 穏やかなベル: C5 → E5 → G5 → C6 の和音的なパターン（もともとのアラーム音）
+    bells: {
+      label: 'ベル',
+      volume: 0.3,
+      play(ctx, out, time) {
+        const notes = [523, 659, 784, 1047, 784, 659];
+        const noteDuration = 0.3;   // 1音の長さ（秒）
+        const noteGap = 0.15;       // 音と音の間隔（秒）
+        const patternGap = 1.5;     // パターン間の休止（秒）
+
+        notes.forEach((freq, i) => {
+          SleepAlarmSounds.playTone(ctx, out, {
+            type: 'sine', freq, time: time + i * (noteDuration + noteGap), duration: noteDuration, gain: 0.5,
+          });
+        });
+        return notes.length * (noteDuration + noteGap) + patternGap;
+      },
+    },
+
+    // ウィンドチャイム: ペンタトニックの音を不規則な間隔で、長い余韻とともに鳴らす
+    chimes: {
+      label: 'ウィンドチャイム',
+      volume: 0.3,
+      play(ctx, out, time) {
+        const scale = [1047, 1175, 1319, 1568, 1760, 2093];
+        let t = time;
+        const strikes = 5 + Math.floor(Math.random() * 4);
+        for (let i = 0; i < strikes; i++) {
+          const freq = scale[Math.floor(Math.random() * scale.length)];
+          SleepAlarmSounds.playTone(ctx, out, { type: 'triangle', freq, time: t, duration: 2.5, gain: 0.35 });
+          // 金属らしさを出す、少しずれた倍音
+          SleepAlarmSounds.playTone(ctx, out, { type: 'sine', freq: freq * 2.76, time: t, duration: 0.8, gain: 0.08 });
+          t += 0.2 + Math.random() * 0.6;
+        }
+        return t - time + 2;
+      },
+    },
+
+    // 雨音: 低域を抑えたノイズに、ときどき雫の音を混ぜる
+    rain: {
+      label: '雨音',
+      volume: 0.5,
+      play(ctx, out, time) {
+        const duration = 4;
+        const fade = 0.5;   // 次のパターンと重ねてつなぐ長さ
+
+        const noise = ctx.createBufferSource();
+        noise.buffer = SleepAlarmSounds.getNoiseBuffer(ctx);
+        noise.loop = true;
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 1200;
+        filter.Q.value = 0.6;
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(0.6, time + fade);
+        gain.gain.setValueAtTime(0.6, time + duration - fade);
+        gain.gain.linearRampToValueAtTime(0, time + duration);
+
+        noise.connect(filter);
+        filter.connect(gain);
+        gain.connect(out);
+        noise.start(time, Math.random());
+        noise.stop(time + duration);
+
+        // 雫
+        const drops = 3 + Math.floor(Math.random() * 4);
+        for (let i = 0; i < drops; i++) {
+          SleepAlarmSounds.playTone(ctx, out, {
+            type: 'sine', freq: 1500 + Math.random() * 1500,
+            time: time + Math.random() * (duration - 0.2), duration: 0.08, gain: 0.25,
+          });
+        }
+        return duration - fade;
+      },
+    },
+
+    // 小鳥のさえずり: 高い音を素早く上下させた短い鳴き声を何回か続ける
+    birds: {
+      label: '小鳥のさえずり',
+      volume: 0.25,
+      play(ctx, out, time) {
+        let t = time;
+        const phrases = 2 + Math.floor(Math.random() * 2);
+        for (let p = 0; p < phrases; p++) {
+          const base = 2500 + Math.random() * 1500;
+          const chirps = 2 + Math.floor(Math.random() * 4);
+          for (let i = 0; i < chirps; i++) {
+            SleepAlarmSounds.playChirp(ctx, out, t, base);
+            t += 0.12 + Math.random() * 0.08;
+          }
+          t += 0.4 + Math.random() * 0.6;
+        }
+        return t - time + 1.2;
+      },
+    },
+  };
+
+  // === その夜のメロディの雰囲気 ===
+  // アートのパレット（SleepArtGenerator.PALETTES）ごとに、音階・テンポ・音色の候補を決めておく
+  // その夜の記録のパレットの雰囲気で作る（SleepArtGenerator.getPaletteName。版1の記録は版1のパレット）
+  // scales: 主音からの半音の数 / root: 主音の MIDI ノート番号の範囲 / tempo: BPM の範囲 / voices: 音色の候補
+  static MELODY_MOODS = {
+    // 早寝: 明るく穏やかに（長調のペンタトニック・イオニアン、ゆっくり、柔らかいサイン波）
+    serene: {
+      scales: [[0, 2, 4, 7, 9], [0, 2, 4, 5, 7, 9, 11]],
+      root: [67, 72], tempo: [60, 76], voices: ['sine', 'triangle'],
+    },
+    // 通常: 少し浮遊感のある響き（ドリアン・リディアン）
+    twilight: {
+      scales: [[0, 2, 3, 5, 7, 9, 10], [0, 2, 4, 6, 7, 9, 11]],
+      root: [62, 67], tempo: [70, 88], voices: ['triangle', 'sine'],
+    },
+    // 遅め: 切ない響き（短調のペンタトニック・エオリアン）
+    midnight: {
+      scales: [[0, 3, 5, 7, 10], [0, 2, 3, 5, 7, 8, 10]],
+      root: [60, 65], tempo: [80, 100], voices: ['triangle', 'square'],
+    },
+    // 深夜: 温かく少し急かす（ミクソリディアン・沖縄音階）
+    latenight: {
+      scales: [[0, 2, 4, 5, 7, 9, 10], [0, 4, 5, 7, 11]],
+      root: [57, 62], tempo: [92, 112], voices: ['square', 'triangle'],
+    },
+    // 朝に眠る: 澄んだ明るい響き（リディアン・長調のペンタトニック）
+    daybreak: {
+      scales: [[0, 2, 4, 6, 7, 9, 11], [0, 2, 4, 7, 9]],
+      root: [65, 70], tempo: [66, 84], voices: ['sine', 'triangle'],
+    },
+    // 昼に眠る: 軽やかに（イオニアン・長調のペンタトニック）
+    daylight: {
+      scales: [[0, 2, 4, 5, 7, 9, 11], [0, 2, 4, 7, 9]],
+      root: [64, 69], tempo: [84, 104], voices: ['triangle', 'sine'],
+    },
+    // 夕方に眠る: 少しほろ苦く（ドリアン・短調のペンタトニック）
+    dusk: {
+      scales: [[0, 2, 3, 5, 7, 9, 10], [0, 3, 5, 7, 10]],
+      root: [60, 66], tempo: [68, 86], voices: ['sine', 'triangle'],
+    },
+  };
+
+  // === 再生中の状態 ===
+
+  static ctx = null;        // AudioContext
+  static master = null;     // 全体の音量（クレッシェンドはここで行う）
+  static loopTimer = null;  // 次のパターンを鳴らすタイマー
+  static stopTimer = null;  // 試聴を止めるタイマー
+  static playId = 0;        // 再生するたびに増やす（止めた後に読み込みが終わった音を鳴らさないため）
+
+  /**
+   * アラーム音を鳴らし始める（止めるまで繰り返す）
+   * @param {Object} options
+   * @param {string} options.sound - プリセットのID、"melody"（その夜のメロディ）または "custom"（自分で選んだファイル）
+   * @param {number} options.rampMinutes - 最大の音量になるまでの時間（分）
+   * @param {Object|null} night - その夜の { artSeed, bedtime, paletteVersion }（その夜のメロディに使う）
+   */
+  static async start({ sound, rampMinutes }, night = null) {
+    const playId = this.begin();
+    const ctx = this.ctx;
+    const preset = this.getPreset(sound, night);
+
+    // 小さな音から始めて、少しずつ大きくする
+    const volume = sound === 'custom' ? 0.8 : preset.volume;
+    const now = ctx.currentTime;
+    if (rampMinutes > 0) {
+      this.master.gain.setValueAtTime(volume * ALARM_RAMP_START_RATIO, now);
+      this.master.gain.linearRampToValueAtTime(volume, now + rampMinutes * 60);
+    } else {
+      this.master.gain.setValueAtTime(volume, now);
+    }
+
+    if (sound === 'custom' && await this.playCustom(playId)) return;
+    if (playId !== this.playId) return;
+
+    // ファイルを読めなかった場合はベルで鳴らす
+    this.loop(preset, playId);
+  }
+
+  /**
+   * アラーム音を試聴する（最大の音量で数秒だけ鳴らす）
+   * @param {string} sound - プリセットのID、"melody" または "custom"
+   * @param {Object|null} night - その夜の { artSeed, bedtime, paletteVersion }（その夜のメロディに使う）
+   * @param {number} seconds - 鳴らす長さ（秒）
+   */
+  static async preview(sound, night = null, seconds = ALARM_PREVIEW_SECONDS) {
+    const playId = this.begin();
+    const preset = this.getPreset(sound, night);
+    this.master.gain.setValueAtTime(sound === 'custom' ? 0.8 : preset.volume, this.ctx.currentTime);
+
+    this.stopTimer = setTimeout(() => this.stop(), seconds * 1000);
+    if (sound === 'custom' && await this.playCustom(playId)) return;
+    if (playId === this.playId) this.loop(preset, playId);
+  }
+
+  /**
+   * おやすみ前の画面の静かな音を鳴らす（止めるまで続ける）
+   * こもった波の音が、呼吸のリズムに合わせて寄せては返す
+   *
+   * @param {number} inSeconds - 吸う長さ（秒。音が大きくなる）
+   * @param {number} outSeconds - 吐く長さ（秒。音が小さくなる）
+   */
+  static startWindDown(inSeconds, outSeconds) {
+    const playId = this.begin();
+    this.master.gain.setValueAtTime(0.15, this.ctx.currentTime);
+
+    this.loop({
+      play(ctx, out, time) {
+        const noise = ctx.createBufferSource();
+        noise.buffer = SleepAlarmSounds.getNoiseBuffer(ctx);
+        noise.loop = true;
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 400;
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.2, time);
+        gain.gain.linearRampToValueAtTime(1, time + inSeconds);
+        gain.gain.linearRampToValueAtTime(0.2, time + inSeconds + outSeconds);
+
+        noise.connect(filter);
+        filter.connect(gain);
+        gain.connect(out);
+        noise.start(time, Math.random());
+        noise.stop(time + inSeconds + outSeconds);
+        return inSeconds + outSeconds;
+      },
+    }, playId);
+  }
+
+  /**
+   * 記録した夜のメロディを1フレーズ分（2回）鳴らす（アートのモーダルから再生する）
+   * @param {Object} record - 睡眠記録（artSeed・bedtime・paletteVersion を使う）
+   */
+  static playMelody(record) {
+    const melody = this.composeMelody(record);
+    return this.preview('melody', record, melody.length * 2);
+  }
+
+  /**
+   * 音が鳴っているか（アラーム・試聴・メロディの再生）
+   */
+  static isPlaying() {
+    return this.ctx !== null;
+  }
+
+  /**
+   * 鳴っている音を止める
+   */
+  static stop() {
+    this.playId++;
+    clearTimeout(this.loopTimer);
+    clearTimeout(this.stopTimer);
+    this.loopTimer = null;
+    this.stopTimer = null;
+
+    // AudioContextを閉じて音を完全に止める
+    if (this.ctx) {
+      this.ctx.close().catch(() => {});
+      this.ctx = null;
+      this.master = null;
+    }
+  }
+
+  /**
+   * 鳴らす準備をする（鳴っている音は止め、新しい AudioContext を作る）
+   * @returns {number} 今回の再生のID
+   * @throws {Error} Web Audio API が使えない場合
+   */
+  static begin() {
+    this.stop();
+    this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+    this.master = this.ctx.createGain();
+    this.master.connect(this.ctx.destination);
+    return this.playId;
+  }
+
+  /**
+   * プリセットのパターンを、止めるまで繰り返し鳴らす
+   */
+  static loop(preset, playId) {
+    if (playId !== this.playId) return;
+    const duration = preset.play(this.ctx, this.master, this.ctx.currentTime);
+    this.loopTimer = setTimeout(() => this.loop(preset, playId), duration * 1000);
+  }
+
+  /**
+   * 保存した音声ファイルを繰り返し再生する
+   * @returns {Promise<boolean>} 再生できたかどうか
+   */
+  static async playCustom(playId) {
+    try {
+      const asset = await SleepStorage.getAsset(CUSTOM_SOUND_ASSET_KEY);
+      if (!asset || playId !== this.playId) return false;
+
+      const buffer = await this.ctx.decodeAudioData(await asset.blob.arrayBuffer());
+      if (playId !== this.playId) return false;
+
+      const source = this.ctx.createBufferSource();
+      source.buffer = buffer;
+      source.loop = true;
+      source.connect(this.master);
+      source.start();
+      return true;
+    } catch (e) {
+      console.warn('音声ファイルを再生できませんでした:', e);
+      return false;
+    }
+  }
+
+  // === その夜のメロディ ===
+
+  /**
+   * アートのシードとパレットから、その夜のメロディを作る
+   * 同じ { artSeed, bedtime } からは必ず同じメロディになる
+   *
+   * @param {Object} night - { artSeed: アートのシード, bedtime: 就寝時刻（ISO文字列）, paletteVersion: パレットの版 }
+   * @returns {Object} プリセットと同じ形（label, volume, play）に、1フレーズの長さ（length: 秒）を加えたもの
+   */
+  static composeMelody(night) {
+    const rand = SleepArtGenerator.createRandom(night.artSeed ^ MELODY_SEED_SALT);
+    const pick = (list) => list[Math.floor(rand() * list.length)];
+
+    // パレットから雰囲気を選ぶ
+    const mood = this.MELODY_MOODS[SleepArtGenerator.getPaletteName(night)] || this.MELODY_MOODS.twilight;
+
+    const scale = pick(mood.scales);
+    const root = mood.root[0] + Math.floor(rand() * (mood.root[1] - mood.root[0] + 1));
+    const beat = 60 / (mood.tempo[0] + rand() * (mood.tempo[1] - mood.tempo[0]));
+    const voice = pick(mood.voices);
+    const harmony = rand() < 0.5;  // 3度上（音階で2つ上）の音を重ねる
+    const bass = rand() < 0.6;     // フレーズの頭に1オクターブ下の主音を鳴らす
+
+    // 音階の上を行ったり来たりする旋律（最後は主音で終わる）
+    const degreeToFreq = (degree) => {
+      const octave = Math.floor(degree / scale.length);
+      const semitone = scale[((degree % scale.length) + scale.length) % scale.length] + octave * 12;
+      return 440 * Math.pow(2, (root + semitone - 69) / 12);
+    };
+    const notes = [];
+    let degree = Math.floor(rand() * scale.length);
+    let offset = 0;
+    for (let i = 0; i < MELODY_PHRASE_NOTES; i++) {
+      const last = i === MELODY_PHRASE_NOTES - 1;
+      if (last) degree = scale.length;  // 1オクターブ上の主音
+      const beats = last ? 2 : pick([0.5, 1, 1, 1.5]);
+      notes.push({ degree, time: offset, duration: beats * beat });
+      offset += beats * beat;
+      degree = Math.max(0, Math.min(scale.length * 2 - 1, degree + pick([-2, -1, -1, 1, 1, 2])));
+    }
+    const length = offset + beat * 2;  // フレーズ間の休止
+
+    return {
+      label: 'その夜のメロディ',
+      volume: voice === 'square' ? 0.15 : 0.3,  // 矩形波は耳に強いので控えめに
+      length,
+      play(ctx, out, time) {
+        notes.forEach(note => {
+          const freq = degreeToFreq(note.degree);
+          SleepAlarmSounds.playTone(ctx, out, {
+            type: voice, freq, time: time + note.time, duration: note.duration * 0.9, gain: 0.5,
+          });
+          if (harmony) {
+            SleepAlarmSounds.playTone(ctx, out, {
+              type: 'sine', freq: degreeToFreq(note.degree + 2), time: time + note.time, duration: note.duration * 0.9, gain: 0.2,
+            });
+          }
+        });
+        if (bass) {
+          SleepAlarmSounds.playTone(ctx, out, {
+            type: 'sine', freq: degreeToFreq(0) / 2, time, duration: length * 0.8, gain: 0.3,
+          });
+        }
+        return length;
+      },
+    };
+  }
+
+  // === 音の部品 ===
+
+  /**
+   * 1音を鳴らす（ふわっと鳴ってふわっと消える）
+   * @param {Object} tone - { type: 波形, freq: 周波数（Hz）, time: 開始時刻, duration: 長さ（秒）, gain: 音量 }
+   */
+  static playTone(ctx, out, { type, freq, time, duration, gain }) {
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.value = freq;
+
+    const noteGain = ctx.createGain();
+    noteGain.gain.setValueAtTime(0, time);
+    noteGain.gain.linearRampToValueAtTime(gain, time + 0.05);  // アタック
+    noteGain.gain.exponentialRampToValueAtTime(0.01, time + duration);  // リリース
+
+    osc.connect(noteGain);
+    noteGain.connect(out);
+    osc.start(time);
+    osc.stop(time + duration);
+  }
+
+  /**
+   * 小鳥の鳴き声を1回鳴らす（高い音から一気に上げて下げる）
+   */
+  static playChirp(ctx, out, time, base) {
+    const osc = ctx.createOscillator();
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(base, time);
+    osc.frequency.exponentialRampToValueAtTime(base * 1.6, time + 0.04);
+    osc.frequency.exponentialRampToValueAtTime(base * 0.9, time + 0.09);
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(0.5, time + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.01, time + 0.1);
+
+    osc.connect(gain);
+    gain.connect(out);
+    osc.start(time);
+    osc.stop(time + 0.1);
+  }
+
+  /**
+   * 雨音用のホワイトノイズ（2秒分。AudioContext ごとに1回だけ作る）
+   */
+  static getNoiseBuffer(ctx) {
+    if (ctx.noiseBuffer) return ctx.noiseBuffer;
+    const buffer = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+    const samples = buffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.random() * 2 - 1;
+    }
+    ctx.noiseBuffer = buffer;
+    return buffer;
+  }
+
+  // === 設定 ===
+
+  /**
+   * プリセットを取得する（知らないIDならベル）
+   * @param {string} sound - プリセットのID、または "melody"
+   * @param {Object|null} night - その夜の { artSeed, bedtime, paletteVersion }（分からなければ、その夜のメロディの代わりにベル）
+   */
+  static getPreset(sound, night = null) {
+    if (sound === 'melody' && night && Number.isFinite(night.artSeed)) {
+      return this.composeMelody(night);
+    }
+    return this.PRESETS[sound] || this.PRESETS.bells;
+  }
+
+  /**
+   * アラーム音の設定を取得する（未設定の項目は初期値）
+   * @returns {Object} { sound: プリセットのID・"melody"・"custom" のいずれか, rampMinutes: 最大の音量になるまでの時間（分） }
+   */
+  static getSettings() {
+    const settings = SleepStorage.getSettings();
+    const sound = settings.alarmSound === 'custom' && settings.customAlarmSound ? 'custom'
+      : (this.PRESETS[settings.alarmSound] || settings.alarmSound === 'melody' ? settings.alarmSound : 'bells');
+    return {
+      sound,
+      rampMinutes: Number.isInteger(settings.alarmRampMinutes) ? settings.alarmRampMinutes : ALARM_RAMP_DEFAULT_MINUTES,
+    };
+  }
+
+  /**
+   * 選べるアラーム音の一覧（その夜のメロディを先頭に、自分で選んだファイルがあれば最後に加える）
+   * @returns {Object[]} { id, label }
+   */
+  static getOptions() {
+    const options = [
+      { id: 'melody', label: 'その夜のメロディ（アートと同じシードで作曲）' },
+      ...Object.entries(this.PRESETS).map(([id, preset]) => ({ id, label: preset.label })),
+    ];
+    const custom = SleepStorage.getSettings().customAlarmSound;
+    if (custom) options.push({ id: 'custom', label: `ファイル: ${custom.name}` });
+    return options;
+  }
+
+  /**
+   * 自分で選んだ音声ファイルを保存し、アラーム音に設定する
+   * @param {File} file - 音声ファイル
+   * @throws {Error} 保存できない場合（IndexedDB が使えない、ファイルが大きすぎる、音声ではない）
+   */
+  static async saveCustomSound(file) {
+    if (!SleepStorage.supportsAssets()) {
+      throw new Error('このブラウザでは音声ファイルを保存できません');
+    }
+    if (!file.type.startsWith('audio/')) {
+      throw new Error('音声ファイルを選んでください');
+    }
+    if (file.size > CUSTOM_SOUND_MAX_BYTES) {
+      throw new Error(`ファイルが大きすぎます（${CUSTOM_SOUND_MAX_BYTES / 1024 / 1024}MBまで）`);
+    }
+
+    await SleepStorage.putAsset(CUSTOM_SOUND_ASSET_KEY, { name: file.name, blob: file });
+    SleepStorage.updateSettings({ customAlarmSound: { name: file.name }, alarmSound: 'custom' });
+  }
+
+  /**
+   * 自分で選んだ音声ファイルを削除する（アラーム音はベルに戻す）
+   */
+  static async removeCustomSound() {
+    await SleepStorage.deleteAsset(CUSTOM_SOUND_ASSET_KEY);
+    const changes = { customAlarmSound: null };
+    if (SleepStorage.getSettings().alarmSound === 'custom') changes.alarmSound = 'bells';
+    SleepStorage.updateSettings(changes);
+  }
+}
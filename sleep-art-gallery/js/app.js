@@ -6,11 +6,17 @@
    - 時計の更新
    - 睡眠ボタンのイベント処理
    - ギャラリー（カレンダー）の表示
+   - 過去の睡眠記録の手動入力・編集
+   - 「おはよう」の押し忘れの確認（起きた時刻の入力・記録の破棄）
+   - 朝のふりかえり（満足度・気分・前日の過ごし方・夢のメモ）とギャラリーでの検索
+   - おやすみの準備の画面（就寝リマインダーから開く）
+   - データの書き出し・取り込み（設定画面）
    - 実績の判定と通知
    ============================================ */
 
 /* ============================================
    実績の定義
+   check には1日分にまとめた記録の配列とストリークが渡される
    ============================================ */
 const ACHIEVEMENTS = [
   {
@@ -44,9 +50,10 @@ const ACHIEVEMENTS = [
   {
     id: 'perfect_sleep',
     name: 'パーフェクトスリープ',
-    description: '7〜8時間の理想的な睡眠をとる',
+    description: '目標の睡眠時間（前後30分）どおりに眠る',
     icon: '💎',
-    check: (records) => records.some(r => r.duration >= 7 && r.duration <= 8),
+    // 目標はその夜に記録したもの（js/sleep-goal.js）
+    check: (records) => records.some(r => SleepGoal.isOnGoal(r)),
   },
   {
     id: 'long_sleep',
@@ -102,11 +109,28 @@ class SleepApp {
     this.galleryDate = new Date();
 
     // アラーム関連の状態
-    this.alarmTimerId = null;     // setTimeout のID（キャンセル用）
-    this.alarmAudioCtx = null;    // Web Audio API のコンテキスト
-    this.alarmOscillator = null;  // 発音中のオシレーター
-    this.alarmGain = null;        // 音量制御ノード
     this.isAlarmRinging = false;  // アラーム鳴動中フラグ
+    this.nightArtSeed = null;     // 「おやすみ」を押したときに決めた、その夜のアートのシード
+
+    // おやすみの準備（就寝リマインダー）の状態
+    this.windDownTimer = null;    // 呼吸のリズム（吸う・吐く）を切り替えるタイマー
+    this.bedtimeReminderKey = null;  // 予約したときの就寝リマインダーの設定（変わったら予約し直す）
+
+    // 「おはよう」の押し忘れの確認で「あとで」を選んだ夜の就寝時刻（同じ夜は聞き直さない）
+    this.forgottenWakeDismissed = null;
+
+    // 朝のふりかえりの入力中の状態
+    this.checkInSessionId = null;  // ふりかえりを残すセッションのID
+    this.checkInDraft = null;      // 入力中のふりかえり（{ quality, mood, tags }）
+
+    // モーダル関連の状態
+    this.modalRecord = null;      // アートモーダルで表示中の記録
+    this.editingRecordId = null;  // 編集中の記録ID（新規入力時はnull）
+    this.exportRecord = null;     // 書き出しの画面で保存する記録
+
+    // 取り込み待ちのデータ（ファイル選択後、「取り込む」を押すまで保持）
+    this.importFile = null;       // 選択されたファイル（{ name, text }）
+    this.pendingImport = null;    // 変換済みの取り込みデータ
 
     // 初期化処理を実行
     this.init();
@@ -128,9 +152,27 @@ class SleepApp {
     // モーダルのイベント設定
     this.setupModal();
 
+    // 記録入力フォームのイベント設定
+    this.setupRecordEditor();
+
+    // 「おはよう」の押し忘れの確認のイベント設定
+    this.setupForgottenWake();
+
+    // 朝のふりかえりのイベント設定
+    this.setupCheckIn();
+
+    // 作品の書き出しのイベント設定
+    this.setupExport();
+
+    // 設定画面のイベント設定
+    this.setupSettings();
+
     // アラームのイベント設定
     this.setupAlarm();
 
+    // おやすみの準備のイベント設定
+    this.setupWindDown();
+
     // 時計の更新を開始（1秒ごと）
     this.updateClock();
     setInterval(() => this.updateClock(), 1000);
@@ -146,6 +188,92 @@ class SleepApp {
 
     // 既にアラームが設定済みならタイマーを復元
     this.restoreAlarm();
+
+    // アラームの通知から開かれた場合は、起床を記録する（チャレンジ付きならチャレンジを出す）
+    this.handleWakeFromURL();
+
+    // 就寝から長く経ったまま開かれた場合は、押し忘れでないか確認する
+    // （タブを開いたままにしていた場合は、画面に戻ってきたときに確認する）
+    this.checkForgottenWake();
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.checkForgottenWake();
+    });
+
+    // 就寝リマインダーを予約する（通知の「準備を始める」から開かれた場合は準備の画面を出す）
+    this.scheduleBedtimeReminder();
+    this.handleWindDownFromURL();
+
+    // 他のタブでの変更を画面に反映する
+    SleepStorage.onChange(() => this.handleExternalChange());
+    SleepTabSync.on('alarm-stop', () => this.silenceAlarm());
+    SleepTabSync.on('alarm-snooze', () => {
+      this.muteAlarm();
+      this.restoreAlarm();
+    });
+
+    // 同期サーバーが登録されていれば同期を始める
+    SleepSync.init();
+
+    // オフライン対応（新しいバージョンがあれば知らせる）
+    this.setupUpdateBanner();
+    SleepPWA.register(() => this.showUpdateBanner());
+  }
+
+  /**
+   * 他のタブでデータが変わったときに画面を更新する
+   */
+  handleExternalChange() {
+    const isSleeping = SleepStorage.isSleeping();
+    const alarmTime = isSleeping ? SleepStorage.getAlarm() : null;
+
+    // アラーム: 他のタブで解除・起床されたら止め、設定・スヌーズされたら予約する
+    if (alarmTime || this.getSnoozeUntil()) {
+      if (!this.isAlarmRinging) this.restoreAlarm();
+    } else {
+      this.silenceAlarm();
+    }
+
+    // 他のタブで就寝を記録したら、このタブのアラーム設定パネルは閉じる
+    if (isSleeping) {
+      document.getElementById('alarm-panel').classList.add('hidden');
+    }
+
+    // 他のタブで起床を記録・破棄したら、押し忘れの確認は閉じる
+    if (!isSleeping) this.closeForgottenWake();
+
+    this.updateHomeView();
+
+    // 他のタブで就寝リマインダーの設定が変わったら予約し直す
+    this.scheduleBedtimeReminder();
+
+    // 表示中の画面を描き直す
+    const activeView = document.querySelector('.view.active');
+    if (activeView && activeView.id === 'gallery-view') {
+      this.renderCalendar();
+    } else if (activeView && activeView.id === 'achievements-view') {
+      this.renderAchievements();
+    } else if (activeView && activeView.id === 'settings-view') {
+      this.renderSettings();
+      if (this.pendingImport) this.renderImportPreview();
+    }
+
+    // 開いているモーダルの記録を最新にする（他のタブで消された場合は閉じる）
+    if (this.modalRecord) {
+      const record = SleepStorage.getRecord(this.modalRecord.id);
+      if (record) this.openModal(record);
+      else this.closeModal();
+    }
+    if (this.editingRecordId && !SleepStorage.getSession(this.editingRecordId)) {
+      this.closeRecordEditor();
+    }
+    if (this.checkInSessionId && !SleepStorage.getSession(this.checkInSessionId)) {
+      this.closeCheckIn();
+    }
+    if (this.exportRecord) {
+      const record = SleepStorage.getRecord(this.exportRecord.id);
+      if (record) this.openExport(record);
+      else this.closeExport();
+    }
   }
 
   // ============================
@@ -167,7 +295,7 @@ class SleepApp {
 
   /**
    * ビュー（画面）を切り替える
-   * @param {string} viewName - "home", "gallery", "achievements" のいずれか
+   * @param {string} viewName - "home", "gallery", "achievements", "settings" のいずれか
    */
   switchView(viewName) {
     // 全ビューを非表示にする
@@ -193,9 +321,34 @@ class SleepApp {
       this.renderCalendar();
     } else if (viewName === 'achievements') {
       this.renderAchievements();
+    } else if (viewName === 'settings') {
+      this.renderSettings();
     }
   }
 
+  // ============================
+  // 更新のお知らせ
+  // ============================
+
+  /**
+   * 更新のお知らせのボタンを設定する
+   */
+  setupUpdateBanner() {
+    document.getElementById('update-apply-btn').addEventListener('click', () => {
+      SleepPWA.applyUpdate();
+    });
+    document.getElementById('update-dismiss-btn').addEventListener('click', () => {
+      document.getElementById('update-banner').classList.add('hidden');
+    });
+  }
+
+  /**
+   * 新しいバージョンがあることを知らせる
+   */
+  showUpdateBanner() {
+    document.getElementById('update-banner').classList.remove('hidden');
+  }
+
   // ============================
   // 時計
   // ============================
@@ -237,6 +390,20 @@ class SleepApp {
     const panel = document.getElementById('alarm-panel');
     panel.classList.remove('hidden');
 
+    // 前回選んだ起床ウィンドウの幅を選んでおく
+    const windowMinutes = SleepStorage.getSettings().wakeWindowMinutes;
+    document.getElementById('alarm-window-select').value = String(windowMinutes || 0);
+
+    // その夜のアートのシードをここで決めておく（その夜のメロディを就寝前に試聴できるように）
+    this.nightArtSeed = SleepStorage.createArtSeed();
+
+    // アラーム音（js/alarm-sounds.js）と止めるときのチャレンジは前回選んだものを選んでおく
+    this.renderAlarmSoundOptions();
+    document.getElementById('alarm-challenge-select').value = SleepStorage.getSettings().wakeChallenge || '';
+
+    // スケジュール（js/alarm-profiles.js）から翌朝の時刻を入れておく
+    this.prefillAlarmTime();
+
     // おやすみボタンを一時的に無効化
     document.getElementById('btn-sleep').disabled = true;
 
@@ -244,28 +411,68 @@ class SleepApp {
     document.getElementById('status-message').textContent = '目覚ましを設定しますか？';
   }
 
+  /**
+   * アラーム設定パネルに、スケジュールから決めた翌朝の時刻を入れる
+   * （アラームなしの日は時刻を変えず、その旨を表示する）
+   */
+  prefillAlarmTime() {
+    const next = SleepAlarmProfiles.getNextAlarm(new Date());
+    const hint = document.getElementById('alarm-schedule-hint');
+    const day = SleepAlarmProfiles.formatDay(next.date);
+
+    if (next.time) {
+      document.getElementById('alarm-time-input').value = next.time;
+    }
+
+    if (next.source === 'last') {
+      hint.classList.add('hidden');
+      return;
+    }
+
+    hint.classList.remove('hidden');
+    if (!next.time) {
+      hint.textContent = `${day}はアラームなしの予定です`;
+    } else if (next.source === 'override') {
+      hint.textContent = `${day}だけの時刻です`;
+    } else {
+      hint.textContent = `${day}の時刻（${SleepAlarmProfiles.getActiveProfile().name}）です`;
+    }
+  }
+
   /**
    * アラーム設定を確定して就寝を記録する
-   * @param {string|null} alarmTime - "HH:MM" 形式、スキップ時はnull
+   * @param {string|null} alarmTime - "HH:MM" 形式、スキップ時はnull（起床ウィンドウの場合は終わりの時刻）
+   * @param {number} windowMinutes - 起床ウィンドウの幅（分）。0なら時刻ちょうどに鳴らす
+   * @param {string|null} challenge - 止めるときのチャレンジの種類（js/wake-challenges.js）。nullならボタンを押すだけ
    */
-  confirmSleep(alarmTime) {
+  confirmSleep(alarmTime, windowMinutes = 0, challenge = null) {
     // アラーム設定パネルを非表示
     document.getElementById('alarm-panel').classList.add('hidden');
 
     // 就寝時刻を記録
-    SleepStorage.startSleep();
+    SleepStorage.startSleep(new Date(), this.nightArtSeed);
 
     // アラームを設定（設定された場合のみ）
+    // 起床ウィンドウなら、就寝時刻から睡眠サイクルを数えて鳴らす時刻を決めておく
+    let wakeWindow = null;
     if (alarmTime) {
-      SleepStorage.setAlarm(alarmTime);
-      this.scheduleAlarm(alarmTime);
+      if (windowMinutes > 0) {
+        wakeWindow = SleepAlarmScheduler.planWakeWindow(
+          SleepStorage.getCurrentBedtime(), this.getNextAlarmDate(alarmTime), windowMinutes
+        );
+      }
+      SleepStorage.setAlarm(alarmTime, wakeWindow, challenge);
+      this.restoreAlarm();
     }
 
     // ボタンの状態を更新
     this.updateHomeView();
 
     // ステータスメッセージを更新
-    if (alarmTime) {
+    if (wakeWindow) {
+      document.getElementById('status-message').textContent =
+        `おやすみなさい... ${this.formatTime(new Date(wakeWindow.start))}〜${alarmTime} の眠りが浅いころにお起こしします`;
+    } else if (alarmTime) {
       document.getElementById('status-message').textContent =
         `おやすみなさい... ${alarmTime} にお起こしします`;
     } else {
@@ -274,24 +481,38 @@ class SleepApp {
   }
 
   /**
-   * 「おはよう」ボタンが押された時の処理
+   * 「おはよう」ボタン（または通知の「起きた」ボタン）が押された時の処理
+   * @param {Date} [time] - 起床時刻（省略時は現在時刻）
    */
-  handleWake() {
+  handleWake(time = new Date()) {
     // アラームが鳴っていたら止める
     this.stopAlarm();
 
     // 起床を記録し、睡眠データを取得
-    const record = SleepStorage.endSleep();
+    // （睡眠時間が長すぎるなど記録できない場合は、起きた時刻を入力してもらう）
+    let record;
+    try {
+      record = SleepStorage.endSleep(time);
+    } catch (e) {
+      this.openForgottenWake(e.message);
+      return;
+    }
+    this.closeForgottenWake();
 
     if (record) {
       // ステータスメッセージを更新
       document.getElementById('status-message').textContent = 'おはようございます！アートを生成しました';
 
-      // 今日のアートを表示
-      this.showTodayArt(record);
+      // 今日のアートを表示（同じ日の昼寝などもまとめた作品）
+      const day = SleepStorage.getRecord(record.date);
+      this.showTodayArt(day);
 
       // 実績をチェック
       this.checkAchievements();
+
+      // 昨夜の眠りをふりかえってもらう
+      // （アートはメインの睡眠のふりかえりで描くので、昼寝から起きたときもメインの睡眠に残す）
+      this.openCheckIn(SleepStorage.getSession(day.sessionId));
     }
 
     // ホーム画面を更新
@@ -311,6 +532,7 @@ class SleepApp {
     // 就寝中かどうかでボタンの状態を切り替え
     btnSleep.disabled = isSleeping;
     btnWake.disabled = !isSleeping;
+    document.getElementById('btn-winddown').classList.toggle('hidden', isSleeping);
 
     // 就寝中の情報表示
     if (isSleeping) {
@@ -320,12 +542,29 @@ class SleepApp {
       document.getElementById('sleeping-since').textContent = `${timeStr} から就寝中`;
       this.updateSleepingElapsed();
 
-      // アラーム状態を表示
+      // アラーム状態を表示（スヌーズ中なら次に鳴る時刻）
       const alarmTime = SleepStorage.getAlarm();
+      const snoozeUntil = this.getSnoozeUntil();
       const alarmStatus = document.getElementById('alarm-status');
-      if (alarmTime) {
+      if (alarmTime || snoozeUntil) {
         alarmStatus.classList.remove('hidden');
-        document.getElementById('alarm-status-time').textContent = `${alarmTime} にアラーム`;
+        const wakeWindow = snoozeUntil ? null : this.getActiveWakeWindow();
+        const reason = document.getElementById('alarm-status-reason');
+        reason.classList.toggle('hidden', !wakeWindow);
+
+        if (snoozeUntil) {
+          document.getElementById('alarm-status-time').textContent =
+            `${this.formatTime(snoozeUntil)} にもう一度（スヌーズ ${SleepStorage.getSnooze().count}回目）`;
+        } else if (wakeWindow) {
+          // 起床ウィンドウ: 選んだ時刻と、その理由を表示する
+          document.getElementById('alarm-status-time').textContent =
+            `${this.formatTime(new Date(wakeWindow.start))}〜${this.formatTime(new Date(wakeWindow.end))}` +
+            ` → ${this.formatTime(new Date(wakeWindow.ringAt))} にアラーム`;
+          reason.textContent = this.describeWakeWindow(wakeWindow);
+        } else {
+          document.getElementById('alarm-status-time').textContent = `${alarmTime} にアラーム`;
+        }
+        document.getElementById('alarm-status-mode').textContent = SleepAlarmScheduler.describeMode();
       } else {
         alarmStatus.classList.add('hidden');
       }
@@ -336,11 +575,13 @@ class SleepApp {
     // 統計情報を更新
     this.updateStats();
 
-    // 今日の記録があれば表示
+    // 今日の記録があれば表示（削除された場合は隠す）
     const today = SleepStorage.formatDate(new Date());
     const todayRecord = SleepStorage.getRecord(today);
     if (todayRecord && !isSleeping) {
       this.showTodayArt(todayRecord);
+    } else if (!todayRecord) {
+      document.getElementById('today-art-section').classList.add('hidden');
     }
   }
 
@@ -368,14 +609,22 @@ class SleepApp {
    */
   updateStats() {
     const streak = SleepStorage.getStreak();
-    const records = SleepStorage.getAllRecords();
+    const days = SleepStorage.getAllDays();
     const avg = SleepStorage.getAverageDuration();
 
     document.getElementById('stat-streak').textContent = streak;
-    document.getElementById('stat-total').textContent = records.length;
+    document.getElementById('stat-total').textContent = days.length;
     document.getElementById('stat-avg').textContent = avg > 0
       ? `${avg}h`
       : '-';
+    document.getElementById('stat-avg-label').textContent = `平均睡眠（目標 ${SleepStorage.getSleepGoal()}h）`;
+
+    // 目標の就寝時刻どおりに寝られた日数（目標を決めた記録がある場合のみ）
+    const adherence = SleepBedtimeReminder.getAdherence();
+    document.getElementById('stat-bedtime-card').classList.toggle('hidden', !adherence);
+    if (adherence) {
+      document.getElementById('stat-bedtime').textContent = `${adherence.onTarget}/${adherence.count}`;
+    }
   }
 
   /**
@@ -389,19 +638,18 @@ class SleepApp {
     // セクションを表示
     section.classList.remove('hidden');
 
-    // アートを生成
-    const streak = SleepStorage.getStreak();
-    SleepArtGenerator.generate(canvas, record, { streak });
+    // アートを生成（ストリークはその夜の時点のもの）
+    SleepArtGenerator.generate(canvas, record, this.getArtOptions(record));
 
     // 睡眠情報を表示
     const bedtime = new Date(record.bedtime);
     const wakeTime = new Date(record.wakeTime);
-    const hours = Math.floor(record.duration);
-    const minutes = Math.round((record.duration - hours) * 60);
+    const napCount = record.naps ? record.naps.length : 0;
 
     info.innerHTML = `
-      <div class="sleep-duration">${hours}時間${minutes}分</div>
+      <div class="sleep-duration">${this.formatDuration(record.duration)}</div>
       <div>就寝: ${this.formatTime(bedtime)} → 起床: ${this.formatTime(wakeTime)}</div>
+      ${napCount > 0 ? `<div>昼寝 ${napCount}回を含む</div>` : ''}
     `;
 
     // アートクリックでモーダル表示
@@ -420,44 +668,167 @@ class SleepApp {
     // 「セットして寝る」ボタン
     document.getElementById('alarm-set-btn').addEventListener('click', () => {
       const timeInput = document.getElementById('alarm-time-input');
-      this.confirmSleep(timeInput.value);
+      const windowMinutes = Number(document.getElementById('alarm-window-select').value);
+
+      const sound = document.getElementById('alarm-sound-select').value;
+      const challenge = document.getElementById('alarm-challenge-select').value || null;
+
+      // 時刻・起床ウィンドウの幅・アラーム音・チャレンジは次回のために覚えておく
+      const settings = SleepStorage.getSettings();
+      if (timeInput.value && (timeInput.value !== settings.lastAlarmTime ||
+          windowMinutes !== (settings.wakeWindowMinutes || 0) ||
+          sound !== SleepAlarmSounds.getSettings().sound ||
+          challenge !== (settings.wakeChallenge || null))) {
+        SleepStorage.updateSettings({
+          lastAlarmTime: timeInput.value,
+          wakeWindowMinutes: windowMinutes,
+          alarmSound: sound,
+          wakeChallenge: challenge,
+        });
+      }
+      SleepAlarmSounds.stop();
+      this.confirmSleep(timeInput.value, windowMinutes, challenge);
     });
 
     // 「設定せずに寝る」ボタン
     document.getElementById('alarm-skip-btn').addEventListener('click', () => {
+      SleepAlarmSounds.stop();
       this.confirmSleep(null);
     });
 
+    // アラーム音の試聴ボタン（最大の音量で数秒だけ鳴らす）
+    document.getElementById('alarm-preview-btn').addEventListener('click', () => {
+      const sound = document.getElementById('alarm-sound-select').value;
+      const night = { artSeed: this.nightArtSeed, bedtime: new Date().toISOString(), paletteVersion: PALETTE_VERSION };
+      SleepAlarmSounds.preview(sound, night).catch(e => console.warn('アラーム音を試聴できませんでした:', e));
+    });
+
     // アラーム取消ボタン（就寝中の表示内）
     document.getElementById('alarm-cancel-btn').addEventListener('click', () => {
       this.cancelAlarm();
     });
 
+    // 止めるときのチャレンジの選択肢（js/wake-challenges.js）
+    const challengeSelect = document.getElementById('alarm-challenge-select');
+    SleepWakeChallenges.getOptions().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      challengeSelect.appendChild(option);
+    });
+
     // アラーム停止ボタン（鳴動オーバーレイ内）
+    // チャレンジ付きのアラームなら、止める前にチャレンジを出す
     document.getElementById('alarm-stop-btn').addEventListener('click', () => {
-      this.stopAlarm();
+      const challenge = SleepStorage.getAlarmChallenge();
+      if (challenge && !challenge.solvedAt) {
+        this.showWakeChallenge(challenge.type);
+      } else {
+        this.stopAlarm();
+      }
+    });
+
+    // スヌーズボタン（鳴動オーバーレイ内）
+    document.getElementById('alarm-snooze-btn').addEventListener('click', () => {
+      this.snoozeAlarm();
     });
 
     // ブラウザ通知の許可をリクエスト（ユーザー操作時に行う）
+    // 許可されたら、タブを閉じても鳴るよう予約し直す
     document.getElementById('alarm-set-btn').addEventListener('click', () => {
       if ('Notification' in window && Notification.permission === 'default') {
-        Notification.requestPermission();
+        Notification.requestPermission().then(() => this.restoreAlarm());
       }
     }, { once: true });
+
+    // アラームの通知が押された（sw.js から知らせが届く）
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        const message = e.data || {};
+        if (message.type === 'ALARM_ACTION') {
+          this.handleAlarmAction(message.action, new Date(message.at), new Date(message.rangAt || message.at));
+        }
+        // 就寝リマインダーの通知から開かれたら、おやすみの準備の画面を出す
+        if (message.type === 'BEDTIME_ACTION' && !SleepStorage.isSleeping()) {
+          this.openWindDown();
+        }
+      });
+    }
   }
 
   /**
-   * アラーム時刻をスケジュールする
-   * 指定時刻に鳴動するようsetTimeoutを設定する
+   * アラームの通知からアプリが開かれた場合の処理
+   * - 「起きた」ボタン（?wake=<時刻>）: 起床を記録する
+   * - 通知の本文（?alarm=<鳴った時刻>）: チャレンジ付きのアラームならチャレンジを出す
+   */
+  handleWakeFromURL() {
+    const params = new URLSearchParams(location.search);
+    const wakeAt = Number(params.get('wake'));
+    const rangAt = Number(params.get('alarm'));
+    if (!wakeAt && !rangAt) return;
+
+    // 再読み込みで二重に記録しないよう、URLから消しておく
+    history.replaceState(null, '', location.pathname);
+
+    if (wakeAt) {
+      this.handleAlarmAction('wake', new Date(wakeAt), new Date(wakeAt));
+    } else {
+      this.handleAlarmAction('open', new Date(), new Date(rangAt));
+    }
+  }
+
+  /**
+   * アラームの通知が押されたときの処理
+   * チャレンジ付きのアラームは、通知からは止めずに鳴っている画面とチャレンジを出す
+   * （前の版の通知に残っていた「起きた」ボタンが押された場合も同じ）
    *
-   * @param {string} timeStr - "HH:MM" 形式の時刻
+   * @param {string} action - "wake"（「起きた」ボタン）または "open"（通知の本文）
+   * @param {Date} at - 押した日時
+   * @param {Date} rangAt - 通知を出したアラームの日時
    */
-  scheduleAlarm(timeStr) {
-    // 既存のタイマーがあればクリア
-    if (this.alarmTimerId) {
-      clearTimeout(this.alarmTimerId);
+  handleAlarmAction(action, at, rangAt) {
+    if (!SleepStorage.isSleeping()) return;
+
+    const challenge = SleepStorage.getAlarmChallenge();
+    if (challenge && !challenge.solvedAt) {
+      if (!this.isAlarmRinging) this.triggerAlarm(rangAt);
+      // 解いている途中で通知をもう一度押しても、やり直しにしない
+      if (document.getElementById('alarm-challenge').classList.contains('hidden')) {
+        this.showWakeChallenge(challenge.type);
+      }
+    } else if (action === 'wake') {
+      this.handleWake(at);
     }
+  }
+
+  /**
+   * アラーム時刻をスケジュールする
+   * タブの中のタイマーに加え、使えれば Service Worker の通知も予約する
+   * （js/alarm-scheduler.js）
+   *
+   * @param {string|Date} time - "HH:MM" 形式の時刻、またはスヌーズの終わる日時
+   */
+  scheduleAlarm(time) {
+    const now = new Date();
+    const target = time instanceof Date ? time : this.getNextAlarmDate(time);
+
+    // 目標時刻までのミリ秒を計算
+    const msUntilAlarm = Math.max(0, target - now);
+
+    console.log(`アラーム設定: ${this.formatTime(target)}（${Math.round(msUntilAlarm / 60000)}分後）`);
+
+    // 予約し、予約できた方法を就寝中の画面に表示する
+    SleepAlarmScheduler.schedule(target, () => this.triggerAlarm())
+      .then(() => this.updateHomeView())
+      .catch(e => console.warn('アラームを予約できませんでした:', e));
+  }
 
+  /**
+   * "HH:MM" の時刻が次に来る日時を計算する（既に過ぎていたら翌日）
+   * @param {string} timeStr - "HH:MM" 形式の時刻
+   * @returns {Date}
+   */
+  getNextAlarmDate(timeStr) {
     const [hours, minutes] = timeStr.split(':').map(Number);
 
     // 目標時刻を計算
@@ -469,41 +840,105 @@ class SleepApp {
     if (target <= now) {
       target.setDate(target.getDate() + 1);
     }
-
-    // 目標時刻までのミリ秒を計算
-    const msUntilAlarm = target - now;
-
-    console.log(`アラーム設定: ${timeStr}（${Math.round(msUntilAlarm / 60000)}分後）`);
-
-    // setTimeoutでスケジュール
-    this.alarmTimerId = setTimeout(() => {
-      this.triggerAlarm();
-    }, msUntilAlarm);
+    return target;
   }
 
   /**
    * ページ再読み込み後にアラームを復元する
-   * （タブを閉じなければアラームが維持される）
+   * （タブを閉じていた場合も、開き直せば予約し直す）
+   * スヌーズ中・起床ウィンドウでは決めておいた日時に予約する（過ぎていればすぐ鳴らす）
    */
   restoreAlarm() {
     if (SleepStorage.isSleeping()) {
       const alarmTime = SleepStorage.getAlarm();
-      if (alarmTime) {
+      const ringAt = this.getAlarmRingAt();
+      if (ringAt) {
+        this.scheduleAlarm(ringAt);
+      } else if (alarmTime) {
         this.scheduleAlarm(alarmTime);
       }
     }
   }
 
+  /**
+   * 時刻（"HH:MM"）ではなく日時で決めてあるアラームの、鳴らす日時を取得する
+   * - スヌーズ中: スヌーズの終わる日時
+   * - 起床ウィンドウ: ウィンドウの中で選んだ日時
+   * @returns {Date|null}
+   */
+  getAlarmRingAt() {
+    const snoozeUntil = this.getSnoozeUntil();
+    if (snoozeUntil) return snoozeUntil;
+
+    const wakeWindow = this.getActiveWakeWindow();
+    return wakeWindow ? new Date(wakeWindow.ringAt) : null;
+  }
+
+  /**
+   * 使用中の起床ウィンドウを取得する
+   * （ウィンドウの終わりを過ぎていたら、時刻ちょうどのアラームと同じく翌日の時刻に鳴らすので使わない）
+   * @returns {Object|null} { start, end, ringAt, cycles }
+   */
+  getActiveWakeWindow() {
+    const wakeWindow = SleepStorage.getWakeWindow();
+    if (!SleepStorage.isSleeping() || !SleepStorage.getAlarm() || !wakeWindow) return null;
+    return new Date(wakeWindow.end) > new Date() ? wakeWindow : null;
+  }
+
+  /**
+   * 起床ウィンドウの中でその時刻を選んだ理由
+   * @param {Object} wakeWindow - { start, end, ringAt, cycles }
+   */
+  describeWakeWindow(wakeWindow) {
+    if (wakeWindow.cycles === null) {
+      return 'ウィンドウ内に睡眠サイクルの切れ目がないため、終わりの時刻に鳴らします';
+    }
+    return `寝付いてから${wakeWindow.cycles}回目の睡眠サイクル（約${SLEEP_CYCLE_MINUTES}分）が終わり、` +
+      '眠りが浅くなるころです';
+  }
+
+  /**
+   * スヌーズ中なら、次に鳴らす日時を取得する
+   * @returns {Date|null}
+   */
+  getSnoozeUntil() {
+    const snooze = SleepStorage.getSnooze();
+    return SleepStorage.isSleeping() && snooze && snooze.until ? new Date(snooze.until) : null;
+  }
+
+  /**
+   * スヌーズする
+   * 音とオーバーレイを止め、設定した分だけ後にもう一度鳴らす
+   * （回数の上限に達していたら何もしない）
+   */
+  snoozeAlarm() {
+    const { minutes, limit } = SleepAlarmScheduler.getSnoozeSettings();
+    const snooze = SleepStorage.getSnooze();
+    if ((snooze ? snooze.count : 0) >= limit) return;
+
+    this.muteAlarm();
+
+    const until = new Date(Date.now() + minutes * 60 * 1000);
+    SleepStorage.snoozeAlarm(until);
+    SleepTabSync.post('alarm-snooze');
+    this.scheduleAlarm(until);
+
+    document.getElementById('status-message').textContent =
+      `${this.formatTime(until)} にもう一度お起こしします`;
+    this.updateHomeView();
+  }
+
   /**
    * アラームを発動する
    * - 音を鳴らす
    * - オーバーレイを表示する
    * - ブラウザ通知を送る
+   * @param {Date} [rangAt] - 鳴った日時（通知から開かれた場合は通知を出した日時。省略時は現在時刻）
    */
-  triggerAlarm() {
+  triggerAlarm(rangAt = new Date()) {
     this.isAlarmRinging = true;
 
-    // アラーム音を再生（Web Audio API）
+    // アラーム音を再生（js/alarm-sounds.js）
     this.playAlarmSound();
 
     // アラーム発動オーバーレイを表示
@@ -514,90 +949,79 @@ class SleepApp {
     const now = new Date();
     document.getElementById('alarm-ring-time').textContent = this.formatTime(now);
 
+    // チャレンジ付きのアラームなら、止めるまでの時間を測り始める
+    SleepStorage.markAlarmRang(rangAt);
+    document.getElementById('alarm-stop-btn').classList.remove('hidden');
+
+    // スヌーズボタン（回数の上限に達したら隠す）
+    const { minutes, limit } = SleepAlarmScheduler.getSnoozeSettings();
+    const snooze = SleepStorage.getSnooze();
+    const remaining = limit - (snooze ? snooze.count : 0);
+    const snoozeBtn = document.getElementById('alarm-snooze-btn');
+    snoozeBtn.classList.toggle('hidden', remaining <= 0);
+    snoozeBtn.textContent = `スヌーズ（${minutes}分・あと${remaining}回）`;
+
     // ブラウザ通知を送信
     this.sendAlarmNotification();
   }
 
   /**
-   * Web Audio API でアラーム音を生成・再生する
-   * 穏やかなベル風の音を繰り返し鳴らす
+   * 設定したアラーム音を、小さな音から少しずつ大きくしながら鳴らす
    */
   playAlarmSound() {
-    try {
-      // AudioContextを作成
-      this.alarmAudioCtx = new (window.AudioContext || window.webkitAudioContext)();
-      const ctx = this.alarmAudioCtx;
-
-      // 音量制御ノード（マスターボリューム）
-      this.alarmGain = ctx.createGain();
-      this.alarmGain.gain.value = 0.3;  // 控えめな音量
-      this.alarmGain.connect(ctx.destination);
-
-      // 穏やかなメロディを繰り返し鳴らす
-      this.playAlarmMelody(ctx, this.alarmGain);
+    // その夜のメロディは、アートと同じシードと就寝時刻から作る
+    const bedtime = SleepStorage.getCurrentBedtime();
+    const night = bedtime
+      ? { artSeed: SleepStorage.getCurrentArtSeed(), bedtime: bedtime.toISOString(), paletteVersion: PALETTE_VERSION }
+      : null;
 
-    } catch (e) {
-      console.warn('アラーム音の再生に失敗しました:', e);
-    }
+    SleepAlarmSounds.start(SleepAlarmSounds.getSettings(), night)
+      .catch(e => console.warn('アラーム音の再生に失敗しました:', e));
   }
 
   /**
-   * アラームのメロディを鳴らす
-   * 心地よい周波数のトーンを順番に鳴らす
+   * アラームを止めるチャレンジを表示する（成功したらアラームを止める）
+   * @param {string} type - チャレンジの種類（js/wake-challenges.js）
    */
-  playAlarmMelody(ctx, gainNode) {
-    // 穏やかなメロディ（周波数: Hz）
-    // C5 → E5 → G5 → C6 の和音的なパターン
-    const notes = [523, 659, 784, 1047, 784, 659];
-    const noteDuration = 0.3;   // 1音の長さ（秒）
-    const noteGap = 0.15;       // 音と音の間隔（秒）
-    const patternGap = 1.5;     // パターン間の休止（秒）
-
-    let time = ctx.currentTime;
-
-    // メロディパターンを1回分鳴らす
-    notes.forEach((freq) => {
-      // オシレーター（音源）を作成
-      const osc = ctx.createOscillator();
-      osc.type = 'sine';       // サイン波（柔らかい音）
-      osc.frequency.value = freq;
-
-      // 個別の音量エンベロープ（ふわっと鳴ってふわっと消える）
-      const noteGain = ctx.createGain();
-      noteGain.gain.setValueAtTime(0, time);
-      noteGain.gain.linearRampToValueAtTime(0.5, time + 0.05);  // アタック
-      noteGain.gain.exponentialRampToValueAtTime(0.01, time + noteDuration);  // リリース
-
-      osc.connect(noteGain);
-      noteGain.connect(gainNode);
-
-      osc.start(time);
-      osc.stop(time + noteDuration);
-
-      time += noteDuration + noteGap;
+  showWakeChallenge(type) {
+    document.getElementById('alarm-stop-btn').classList.add('hidden');
+    document.getElementById('alarm-challenge').classList.remove('hidden');
+    document.getElementById('alarm-challenge-title').textContent =
+      `止めるには「${SleepWakeChallenges.getLabel(type) || SleepWakeChallenges.getLabel('math')}」をクリアしてください`;
+
+    const result = document.getElementById('alarm-challenge-result');
+    result.textContent = '';
+    SleepWakeChallenges.mount(type, document.getElementById('alarm-challenge-body'), (solved) => {
+      SleepStorage.recordChallengeAttempt(solved);
+      if (solved) {
+        this.stopAlarm();
+      } else {
+        result.textContent = 'もう一度どうぞ';
+      }
     });
+  }
 
-    // パターンの総時間を計算
-    const patternDuration = notes.length * (noteDuration + noteGap) + patternGap;
-
-    // アラームが鳴り続けている間、メロディを繰り返す
-    this.alarmMelodyTimer = setTimeout(() => {
-      if (this.isAlarmRinging) {
-        this.playAlarmMelody(ctx, gainNode);
-      }
-    }, patternDuration * 1000);
+  /**
+   * アラーム設定パネルのアラーム音の選択肢を作り、設定中のものを選んでおく
+   */
+  renderAlarmSoundOptions() {
+    const select = document.getElementById('alarm-sound-select');
+    select.innerHTML = '';
+    SleepAlarmSounds.getOptions().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = SleepAlarmSounds.getSettings().sound;
   }
 
   /**
-   * ブラウザ通知を送信する
+   * ブラウザ通知を送信する（「起きた」ボタン付き）
    */
   sendAlarmNotification() {
-    if ('Notification' in window && Notification.permission === 'granted') {
-      new Notification('Sleep Art Gallery', {
-        body: 'おはようございます！起きる時間です',
-        icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text y=".9em" font-size="90">⏰</text></svg>',
-      });
-    }
+    SleepAlarmScheduler.notify()
+      .catch(e => console.warn('通知を送れませんでした:', e));
   }
 
   /**
@@ -607,10 +1031,18 @@ class SleepApp {
   checkAlarmTime() {
     if (!SleepStorage.isSleeping() || this.isAlarmRinging) return;
 
+    const now = new Date();
+
+    // スヌーズ中・起床ウィンドウでは決めておいた日時と照合する
+    const ringAt = this.getAlarmRingAt();
+    if (ringAt) {
+      if (now >= ringAt && now - ringAt < 2000) this.triggerAlarm();
+      return;
+    }
+
     const alarmTime = SleepStorage.getAlarm();
     if (!alarmTime) return;
 
-    const now = new Date();
     const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
 
     // 時刻が一致したらアラーム発動
@@ -624,50 +1056,57 @@ class SleepApp {
    * - 音を止める
    * - オーバーレイを閉じる
    * - タイマーをクリアする
+   * - 他のタブで鳴っているアラームも止める
    */
   stopAlarm() {
-    this.isAlarmRinging = false;
-
-    // メロディの繰り返しを停止
-    if (this.alarmMelodyTimer) {
-      clearTimeout(this.alarmMelodyTimer);
-      this.alarmMelodyTimer = null;
-    }
-
-    // AudioContextを閉じて音を完全に止める
-    if (this.alarmAudioCtx) {
-      this.alarmAudioCtx.close().catch(() => {});
-      this.alarmAudioCtx = null;
-    }
-
-    // タイマーをクリア
-    if (this.alarmTimerId) {
-      clearTimeout(this.alarmTimerId);
-      this.alarmTimerId = null;
-    }
-
-    // オーバーレイを閉じる
-    document.getElementById('alarm-overlay').classList.add('hidden');
+    this.silenceAlarm();
 
     // ストレージからアラームをクリア
     SleepStorage.clearAlarm();
+    SleepTabSync.post('alarm-stop');
 
     // ホーム画面を更新
     this.updateHomeView();
   }
 
+  /**
+   * このタブのアラームの音・オーバーレイ・タイマーを止める
+   * （保存されたアラーム時刻はそのまま）
+   */
+  silenceAlarm() {
+    this.muteAlarm();
+
+    // タイマーと予約した通知を取り消す
+    SleepAlarmScheduler.cancel().catch(() => {});
+  }
+
+  /**
+   * このタブのアラームの音とオーバーレイだけを止める
+   * （スヌーズでは予約し直すので、予約はここでは取り消さない）
+   */
+  muteAlarm() {
+    this.isAlarmRinging = false;
+
+    // アラーム音を止める
+    SleepAlarmSounds.stop();
+
+    // チャレンジを片付ける（スヌーズ後にもう一度鳴ったら、最初からやり直す）
+    SleepWakeChallenges.unmount(document.getElementById('alarm-challenge-body'));
+    document.getElementById('alarm-challenge').classList.add('hidden');
+
+    // オーバーレイを閉じる
+    document.getElementById('alarm-overlay').classList.add('hidden');
+  }
+
   /**
    * アラームをキャンセルする（就寝中にアラームだけ解除）
    */
   cancelAlarm() {
-    // タイマーをクリア
-    if (this.alarmTimerId) {
-      clearTimeout(this.alarmTimerId);
-      this.alarmTimerId = null;
-    }
+    // タイマーと予約した通知を取り消す
+    SleepAlarmScheduler.cancel().catch(() => {});
 
     // ストレージからアラームをクリア
-    SleepStorage.clearAlarm();
+    SleepStorage.clearAlarm({ cancelled: true });
 
     // 画面を更新
     this.updateHomeView();
@@ -675,6 +1114,114 @@ class SleepApp {
     document.getElementById('status-message').textContent = 'アラームを解除しました';
   }
 
+  // ============================
+  // おやすみの準備（就寝リマインダー）
+  // ============================
+
+  /**
+   * おやすみの準備の画面のイベントを設定する
+   */
+  setupWindDown() {
+    document.getElementById('btn-winddown').addEventListener('click', () => this.openWindDown());
+    document.getElementById('winddown-close-btn').addEventListener('click', () => this.closeWindDown());
+
+    // 「おやすみ」: 準備の画面を閉じて、いつもの「おやすみ」と同じくアラーム設定パネルを出す
+    document.getElementById('winddown-sleep-btn').addEventListener('click', () => {
+      this.closeWindDown();
+      if (!SleepStorage.isSleeping()) this.handleSleep();
+    });
+
+    // 静かな音（呼吸のリズムに合わせて寄せては返す波の音）のオン・オフ
+    document.getElementById('winddown-sound-btn').addEventListener('click', () => {
+      if (SleepAlarmSounds.isPlaying()) {
+        SleepAlarmSounds.stop();
+      } else {
+        SleepAlarmSounds.startWindDown(BREATH_IN_SECONDS, BREATH_OUT_SECONDS);
+      }
+      this.renderWindDownSound();
+    });
+  }
+
+  /**
+   * おやすみの準備の画面を開く（画面を暗くして、呼吸に合わせて円を広げる）
+   */
+  openWindDown() {
+    const overlay = document.getElementById('winddown-overlay');
+    if (!overlay.classList.contains('hidden')) return;
+    overlay.classList.remove('hidden');
+
+    const { target } = SleepBedtimeReminder.getSettings();
+    document.getElementById('winddown-target').textContent = target ? `${target} 就寝予定` : '';
+    this.renderWindDownSound();
+
+    // 吸う → 吐く を繰り返す
+    const circle = document.getElementById('winddown-circle');
+    const guide = document.getElementById('winddown-guide');
+    const breathe = (inhale) => {
+      const seconds = inhale ? BREATH_IN_SECONDS : BREATH_OUT_SECONDS;
+      circle.style.transitionDuration = `${seconds}s`;
+      circle.classList.toggle('inhale', inhale);
+      circle.classList.toggle('exhale', !inhale);
+      guide.textContent = inhale ? 'ゆっくり吸って…' : 'ゆっくり吐いて…';
+      this.windDownTimer = setTimeout(() => breathe(!inhale), seconds * 1000);
+    };
+    breathe(true);
+  }
+
+  /**
+   * おやすみの準備の画面を閉じる（鳴っているアラームは止めない）
+   */
+  closeWindDown() {
+    clearTimeout(this.windDownTimer);
+    this.windDownTimer = null;
+    if (!this.isAlarmRinging) SleepAlarmSounds.stop();
+
+    const circle = document.getElementById('winddown-circle');
+    circle.classList.remove('inhale', 'exhale');
+    document.getElementById('winddown-overlay').classList.add('hidden');
+  }
+
+  /**
+   * 静かな音のボタンの表示を更新する
+   */
+  renderWindDownSound() {
+    document.getElementById('winddown-sound-btn').textContent =
+      SleepAlarmSounds.isPlaying() ? '♪ 音を止める' : '♪ 静かな音';
+  }
+
+  /**
+   * 就寝リマインダーを予約する（設定が前回の予約から変わっていなければ何もしない）
+   */
+  scheduleBedtimeReminder() {
+    const key = JSON.stringify(SleepBedtimeReminder.getSettings());
+    if (key === this.bedtimeReminderKey) return;
+    this.bedtimeReminderKey = key;
+
+    SleepBedtimeReminder.schedule(() => this.remindBedtime())
+      .catch(e => console.warn('就寝リマインダーを予約できませんでした:', e));
+  }
+
+  /**
+   * 就寝リマインダーの時刻になったときの処理（タブを開いている場合）
+   */
+  remindBedtime() {
+    document.getElementById('status-message').textContent =
+      'そろそろ寝る準備を始めましょう（「おやすみの準備」で呼吸を整えられます）';
+    SleepBedtimeReminder.notify()
+      .catch(e => console.warn('通知を送れませんでした:', e));
+  }
+
+  /**
+   * 就寝リマインダーの通知からアプリが開かれた場合（?winddown=1）、おやすみの準備の画面を出す
+   */
+  handleWindDownFromURL() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('winddown')) return;
+
+    history.replaceState(null, '', location.pathname);
+    if (!SleepStorage.isSleeping()) this.openWindDown();
+  }
+
   // ============================
   // ギャラリー（カレンダー）
   // ============================
@@ -693,6 +1240,9 @@ class SleepApp {
       this.galleryDate.setMonth(this.galleryDate.getMonth() + 1);
       this.renderCalendar();
     });
+
+    // ふりかえりの検索（入力するたびに絞り込む）
+    document.getElementById('gallery-search-input').addEventListener('input', () => this.applyGallerySearch());
   }
 
   /**
@@ -736,6 +1286,7 @@ class SleepApp {
       const dateId = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
 
       cell.className = 'calendar-day current-month';
+      cell.dataset.date = dateId;
 
       // 今日の日付にマーク
       if (dateId === today) {
@@ -756,11 +1307,31 @@ class SleepApp {
         cell.appendChild(thumbCanvas);
 
         // アートを生成（サムネイルサイズ）
-        const streak = SleepStorage.getStreak();
-        SleepArtGenerator.generate(thumbCanvas, record, { streak });
+        this.drawThumbnail(thumbCanvas, record, this.getArtOptions(record));
+
+        // 昼寝がある日は回数を小さく表示
+        if (record.naps.length > 0) {
+          const badge = document.createElement('span');
+          badge.className = 'nap-badge';
+          badge.textContent = `+${record.naps.length}`;
+          cell.appendChild(badge);
+        }
+
+        // 睡眠時間が長すぎる記録（押し忘れの疑い）がある日は印を付ける
+        if (record.sessions.some(session => SleepStorage.isImplausible(session))) {
+          const flag = document.createElement('span');
+          flag.className = 'flag-badge';
+          flag.textContent = '⚠';
+          flag.title = '睡眠時間が長すぎる記録があります';
+          cell.appendChild(flag);
+        }
 
         // クリックでモーダル表示
         cell.addEventListener('click', () => this.openModal(record));
+      } else if (dateId <= today) {
+        // 記録のない過去の日 → クリックで手動入力
+        cell.classList.add('can-add');
+        cell.addEventListener('click', () => this.openRecordEditor(null, dateId));
       }
 
       // 日付番号を表示
@@ -771,6 +1342,84 @@ class SleepApp {
 
       body.appendChild(cell);
     }
+
+    this.applyGallerySearch();
+  }
+
+  /**
+   * ふりかえりの検索語で、カレンダーの日を絞り込む
+   * 合わない日は薄くし、合う日は全期間から新しい順に並べて、押すとアートを開けるようにする
+   */
+  applyGallerySearch() {
+    const query = document.getElementById('gallery-search-input').value.trim();
+    const results = document.getElementById('gallery-search-results');
+    const cells = document.querySelectorAll('#calendar-body .calendar-day[data-date]');
+
+    if (!query) {
+      cells.forEach(cell => cell.classList.remove('search-hit', 'search-miss'));
+      results.classList.add('hidden');
+      return;
+    }
+
+    const matches = SleepStorage.getAllDays().filter(day => SleepCheckIn.matches(day, query));
+    const matchedDates = new Set(matches.map(day => day.id));
+    cells.forEach(cell => {
+      const hit = matchedDates.has(cell.dataset.date);
+      cell.classList.toggle('search-hit', hit);
+      cell.classList.toggle('search-miss', !hit);
+    });
+
+    results.classList.remove('hidden');
+    results.innerHTML = '';
+    const summary = document.createElement('span');
+    summary.textContent = matches.length > 0 ? `${matches.length}件` : '見つかりませんでした';
+    results.appendChild(summary);
+    matches.slice(-20).reverse().forEach(day => {
+      const [, month, date] = day.id.split('-').map(Number);
+      const button = document.createElement('button');
+      button.textContent = `${month}/${date}`;
+      button.addEventListener('click', () => this.openModal(day));
+      results.appendChild(button);
+    });
+  }
+
+  /**
+   * 1日分の記録のアートを描くときのオプション
+   * ストリークは今日ではなくその夜の時点のものを使い、同じ記録からはいつでも同じ作品になるようにする
+   *
+   * @param {Object} record - 1日分の記録
+   * @returns {Object} SleepArtGenerator.generate() のオプション
+   */
+  getArtOptions(record) {
+    return { streak: SleepStorage.getStreakAt(record.id) };
+  }
+
+  /**
+   * カレンダーのサムネイルを描画する
+   * 一度描いたアートは保存先にキャッシュし、次からは画像を貼るだけにする
+   *
+   * @param {HTMLCanvasElement} canvas - 描画先のキャンバス
+   * @param {Object} record - 1日分の記録
+   * @param {Object} options - SleepArtGenerator.generate() のオプション
+   */
+  drawThumbnail(canvas, record, options) {
+    const key = `${record.id}@${canvas.width}x${canvas.height}`;
+    const signature = SleepArtGenerator.getSignature(record, options);
+
+    SleepStorage.getCachedArt(key, signature)
+      .then(blob => {
+        if (blob) {
+          return createImageBitmap(blob).then(image => {
+            canvas.getContext('2d').drawImage(image, 0, 0);
+          });
+        }
+
+        SleepArtGenerator.generate(canvas, record, options);
+        canvas.toBlob(png => {
+          if (png) SleepStorage.putCachedArt(key, signature, png);
+        });
+      })
+      .catch(() => SleepArtGenerator.generate(canvas, record, options));
   }
 
   // ============================
@@ -791,15 +1440,73 @@ class SleepApp {
     // 閉じるボタン
     closeBtn.addEventListener('click', () => this.closeModal());
 
+    // 「記録を追加」ボタン → 同じ日に昼寝などのセッションを追加する
+    document.getElementById('modal-add-btn').addEventListener('click', () => {
+      const dateId = this.modalRecord.id;
+      this.closeModal();
+      this.openRecordEditor(null, dateId);
+    });
+
+    // 「この夜のメロディ」ボタン → アートと同じシードから作ったメロディを鳴らす（もう一度押すと止める）
+    // アラームが鳴っている間は、アラーム音を止めてしまわないよう何もしない
+    document.getElementById('modal-melody-btn').addEventListener('click', () => {
+      if (this.isAlarmRinging) return;
+      if (SleepAlarmSounds.isPlaying()) {
+        SleepAlarmSounds.stop();
+        return;
+      }
+      SleepAlarmSounds.playMelody(this.modalRecord)
+        .catch(e => console.warn('メロディを再生できませんでした:', e));
+    });
+
+    // 「ふりかえり」ボタン → メインの睡眠のふりかえりを書く・書き直す
+    document.getElementById('modal-checkin-btn').addEventListener('click', () => {
+      const session = SleepStorage.getSession(this.modalRecord.sessionId);
+      this.closeModal();
+      this.openCheckIn(session);
+    });
+
+    // 「保存」ボタン → 形式・縦横比・大きさを選んで作品を書き出す
+    document.getElementById('modal-export-btn').addEventListener('click', () => {
+      const record = this.modalRecord;
+      this.closeModal();
+      this.openExport(record);
+    });
+
+    // スタイルの選択 → この夜のアートだけ描き方を変える（js/art-styles.js）
+    const styleSelect = document.getElementById('modal-style-select');
+    SleepArtStyles.getOptions().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = `🎨 ${label}`;
+      styleSelect.appendChild(option);
+    });
+    styleSelect.addEventListener('change', () => {
+      try {
+        SleepStorage.setArtStyle(this.modalRecord.sessionId, styleSelect.value);
+      } catch (e) {
+        // 他のタブで記録が消された場合など
+        console.warn('スタイルを変えられませんでした:', e);
+        return;
+      }
+      this.openModal(SleepStorage.getRecord(this.modalRecord.id));
+      this.refreshAfterRecordChange();
+    });
+
     // Escキーで閉じる
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') this.closeModal();
+      if (e.key === 'Escape') {
+        this.closeModal();
+        this.closeRecordEditor();
+        this.closeCheckIn();
+        this.closeExport();
+      }
     });
   }
 
   /**
    * モーダルを開いてアートを拡大表示する
-   * @param {Object} record - 睡眠記録
+   * @param {Object} record - 1日分の睡眠記録
    */
   openModal(record) {
     const modal = document.getElementById('art-modal');
@@ -808,23 +1515,64 @@ class SleepApp {
 
     // モーダルを表示
     modal.classList.remove('hidden');
+    this.modalRecord = record;
 
     // 大きなサイズでアートを生成
-    const streak = SleepStorage.getStreak();
-    SleepArtGenerator.generate(canvas, record, { streak });
+    SleepArtGenerator.generate(canvas, record, this.getArtOptions(record));
+    document.getElementById('modal-style-select').value = SleepArtStyles.STYLES[record.style] ? record.style : ART_STYLE_DEFAULT;
 
     // 睡眠データの詳細を表示
-    const bedtime = new Date(record.bedtime);
-    const wakeTime = new Date(record.wakeTime);
-    const hours = Math.floor(record.duration);
-    const minutes = Math.round((record.duration - hours) * 60);
-
     info.innerHTML = `
       <strong>${record.id}</strong>のアート<br>
-      睡眠時間: <strong>${hours}時間${minutes}分</strong><br>
-      就寝: ${this.formatTime(bedtime)} → 起床: ${this.formatTime(wakeTime)}
+      睡眠時間: <strong>${this.formatDuration(record.duration)}</strong>（目標 ${SleepGoal.format(SleepGoal.getGoal(record))}）
+      <ul class="modal-sessions"></ul>
     `;
 
+    // セッション（メインの睡眠・昼寝）ごとに時刻と編集ボタンを並べる
+    const list = info.querySelector('.modal-sessions');
+    record.sessions.forEach(session => {
+      const item = document.createElement('li');
+      const label = session.id === record.sessionId ? '睡眠' : '昼寝';
+      const source = SleepImporters.SOURCE_LABELS[session.source];
+      const snooze = session.snoozeCount ? ` ・スヌーズ${session.snoozeCount}回` : '';
+      const wakeWindow = session.wakeWindow
+        ? ` ・起床ウィンドウ ${this.formatTime(new Date(session.wakeWindow.start))}〜` +
+          `${this.formatTime(new Date(session.wakeWindow.end))}（${this.formatTime(new Date(session.wakeWindow.ringAt))} に鳴動）`
+        : '';
+      const challenge = session.wakeChallenge
+        ? ` ・${SleepWakeChallenges.getLabel(session.wakeChallenge.type) || 'チャレンジ'}` +
+          (session.wakeChallenge.solved
+            ? `で止めた（${session.wakeChallenge.seconds}秒・${session.wakeChallenge.attempts}回目で成功）`
+            : `を通さずに起床（鳴ってから${session.wakeChallenge.seconds}秒）`)
+        : '';
+      // 目標の就寝時刻との差はメインの睡眠だけに出す
+      const flag = SleepStorage.isImplausible(session)
+        ? ' <span class="modal-session-flag">・⚠ 長すぎる記録です（「おはよう」の押し忘れかもしれません。編集で直せます）</span>'
+        : '';
+      const deviation = session.id === record.sessionId ? SleepBedtimeReminder.getDeviation(session) : null;
+      const bedtimeTarget = deviation !== null
+        ? ` ・就寝は${SleepBedtimeReminder.formatDeviation(deviation)}（目標 ${session.bedtimeTarget}）`
+        : '';
+      const checkIn = session.checkIn
+        ? `<br>${SleepCheckIn.describe(session.checkIn)}` +
+          (session.checkIn.note ? `<br><span class="modal-checkin-note">${this.escapeHTML(session.checkIn.note)}</span>` : '')
+        : '';
+      item.innerHTML = `
+        <span>${label}: ${this.formatTime(new Date(session.bedtime))} → ${this.formatTime(new Date(session.wakeTime))}
+        （${this.formatDuration(session.duration)}）${snooze}${wakeWindow}${challenge}${bedtimeTarget}${source ? ` ・${source}から取り込み` : ''}${flag}${checkIn}</span>
+      `;
+
+      const editBtn = document.createElement('button');
+      editBtn.className = 'modal-session-edit';
+      editBtn.textContent = '編集';
+      editBtn.addEventListener('click', () => {
+        this.closeModal();
+        this.openRecordEditor(session);
+      });
+      item.appendChild(editBtn);
+      list.appendChild(item);
+    });
+
     // スクロールを無効化
     document.body.style.overflow = 'hidden';
   }
@@ -834,8 +1582,490 @@ class SleepApp {
    */
   closeModal() {
     const modal = document.getElementById('art-modal');
+    // 再生中のメロディを止める（アラームは止めない）
+    if (this.modalRecord && !this.isAlarmRinging) SleepAlarmSounds.stop();
+
+    modal.classList.add('hidden');
+    document.body.style.overflow = '';
+    this.modalRecord = null;
+  }
+
+  // ============================
+  // 記録の手動入力・編集
+  // ============================
+
+  /**
+   * 記録入力フォームのイベントを設定する
+   */
+  setupRecordEditor() {
+    const modal = document.getElementById('record-modal');
+
+    // オーバーレイ・閉じるボタン・キャンセルで閉じる
+    modal.querySelector('.modal-overlay').addEventListener('click', () => this.closeRecordEditor());
+    modal.querySelector('.modal-close').addEventListener('click', () => this.closeRecordEditor());
+    document.getElementById('record-cancel-btn').addEventListener('click', () => this.closeRecordEditor());
+
+    // 保存・削除
+    document.getElementById('record-save-btn').addEventListener('click', () => this.saveRecordForm());
+    document.getElementById('record-delete-btn').addEventListener('click', () => this.deleteRecordFromForm());
+  }
+
+  /**
+   * 記録入力フォームを開く
+   * @param {Object|null} record - 編集する記録（新規入力時はnull）
+   * @param {string} [dateId] - 新規入力時の起床日（"YYYY-MM-DD"）
+   */
+  openRecordEditor(record, dateId) {
+    const bedtimeInput = document.getElementById('record-bedtime-input');
+    const wakeInput = document.getElementById('record-wake-input');
+
+    this.editingRecordId = record ? record.id : null;
+
+    if (record) {
+      // 既存の記録の時刻をそのまま入れる
+      bedtimeInput.value = this.formatDateTimeLocal(new Date(record.bedtime));
+      wakeInput.value = this.formatDateTimeLocal(new Date(record.wakeTime));
+    } else if (SleepStorage.getRecord(dateId)) {
+      // 既に記録がある日: 13時から1時間の昼寝を初期値にする
+      const [y, m, d] = dateId.split('-').map(Number);
+      bedtimeInput.value = this.formatDateTimeLocal(new Date(y, m - 1, d, 13, 0));
+      wakeInput.value = this.formatDateTimeLocal(new Date(y, m - 1, d, 14, 0));
+    } else {
+      // 新規: 前日23時に寝て当日7時に起きた想定で初期値を入れる
+      const [y, m, d] = dateId.split('-').map(Number);
+      bedtimeInput.value = this.formatDateTimeLocal(new Date(y, m - 1, d - 1, 23, 0));
+      wakeInput.value = this.formatDateTimeLocal(new Date(y, m - 1, d, 7, 0));
+    }
+
+    document.getElementById('record-form-title').textContent = record
+      ? `${record.date} の記録を編集`
+      : `${dateId} の睡眠を記録`;
+    document.getElementById('record-delete-btn').classList.toggle('hidden', !record);
+    this.showRecordFormError(null);
+
+    document.getElementById('record-modal').classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 記録入力フォームを閉じる
+   */
+  closeRecordEditor() {
+    document.getElementById('record-modal').classList.add('hidden');
+    document.body.style.overflow = '';
+    this.editingRecordId = null;
+  }
+
+  /**
+   * フォームの内容で記録を保存する（新規追加 or 更新）
+   */
+  saveRecordForm() {
+    const bedtime = new Date(document.getElementById('record-bedtime-input').value);
+    const wakeTime = new Date(document.getElementById('record-wake-input').value);
+
+    try {
+      if (this.editingRecordId) {
+        SleepStorage.updateRecord(this.editingRecordId, bedtime, wakeTime);
+      } else {
+        SleepStorage.addRecord(bedtime, wakeTime);
+      }
+    } catch (e) {
+      // 入力エラーはフォーム内に表示して閉じない
+      this.showRecordFormError(e.message);
+      return;
+    }
+
+    this.closeRecordEditor();
+    this.refreshAfterRecordChange();
+  }
+
+  /**
+   * 編集中の記録を削除する
+   */
+  deleteRecordFromForm() {
+    if (!this.editingRecordId) return;
+    if (!confirm('この記録とアートを削除しますか？')) return;
+
+    SleepStorage.deleteRecord(this.editingRecordId);
+    this.closeRecordEditor();
+    this.refreshAfterRecordChange();
+  }
+
+  /**
+   * 記録が変わった後に実績・画面をまとめて更新する
+   */
+  refreshAfterRecordChange() {
+    // 過去の記録が埋まるとストリークが繋がることがあるので実績を再判定
+    this.checkAchievements();
+    this.updateHomeView();
+
+    if (document.getElementById('gallery-view').classList.contains('active')) {
+      this.renderCalendar();
+    }
+  }
+
+  /**
+   * フォームのエラーメッセージを表示する
+   * @param {string|null} message - 表示するメッセージ（nullで非表示）
+   */
+  showRecordFormError(message) {
+    const el = document.getElementById('record-form-error');
+    el.textContent = message || '';
+    el.classList.toggle('hidden', !message);
+  }
+
+  // ============================
+  // 作品の書き出し
+  // ============================
+
+  /**
+   * 書き出しの画面のイベントを設定し、選択肢を並べる（js/art-export.js）
+   */
+  setupExport() {
+    const modal = document.getElementById('export-modal');
+    modal.querySelector('.modal-overlay').addEventListener('click', () => this.closeExport());
+    modal.querySelector('.modal-close').addEventListener('click', () => this.closeExport());
+    document.getElementById('export-cancel-btn').addEventListener('click', () => this.closeExport());
+    document.getElementById('export-save-btn').addEventListener('click', () => this.saveExport());
+
+    const addOptions = (select, options) => options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    const formatSelect = document.getElementById('export-format-select');
+    const ratioSelect = document.getElementById('export-ratio-select');
+    const sizeSelect = document.getElementById('export-size-select');
+    const sideInput = document.getElementById('export-side-input');
+    addOptions(formatSelect, Object.entries(SleepArtExport.FORMATS).map(([value, format]) => ({ value, label: format.label })));
+    addOptions(ratioSelect, Object.entries(SleepArtExport.RATIOS).map(([value, ratio]) => ({ value, label: ratio.label })));
+    addOptions(sizeSelect, SleepArtExport.SIZES.map(size => ({ value: size.side, label: size.label })));
+
+    // 初期値: PNG・正方形・長い辺 2160px
+    formatSelect.value = 'png';
+    ratioSelect.value = 'square';
+    sideInput.value = 2160;
+
+    formatSelect.addEventListener('change', () => this.renderExport());
+    ratioSelect.addEventListener('change', () => this.renderExport());
+    // 大きさを選んだら長い辺の欄に入れる（「長い辺を入力」なら欄はそのまま）
+    sizeSelect.addEventListener('change', () => {
+      if (sizeSelect.value) sideInput.value = sizeSelect.value;
+      this.renderExport();
+    });
+    sideInput.addEventListener('change', () => this.renderExport());
+  }
+
+  /**
+   * 書き出しの画面を開く
+   * @param {Object} record - 1日分の記録
+   */
+  openExport(record) {
+    if (!record) return;
+    this.exportRecord = record;
+    this.showExportError(null);
+    this.renderExport();
+
+    document.getElementById('export-modal').classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 選んだ縦横比のプレビューと、書き出す大きさの表示を更新する
+   */
+  renderExport() {
+    const record = this.exportRecord;
+    if (!record) return;
+    const { format, ratio, width, height } = this.getExportChoice();
+
+    // 長い辺の欄を範囲内に収め、その値の大きさがあれば選んでおく
+    const side = Math.max(width, height);
+    document.getElementById('export-side-input').value = side;
+    const sizeSelect = document.getElementById('export-size-select');
+    sizeSelect.value = SleepArtExport.SIZES.some(size => size.side === side) ? String(side) : '';
+
+    // プレビューは書き出すものと同じ縦横比で小さく描く（アートは大きさによらず同じ見た目になる）
+    const preview = document.getElementById('export-preview-canvas');
+    const previewSize = SleepArtExport.getSize(ratio, 240);
+    preview.width = previewSize.width;
+    preview.height = previewSize.height;
+    SleepArtGenerator.generate(preview, record, this.getArtOptions(record));
+
+    document.getElementById('export-summary').textContent =
+      `${record.id} のアート: ${width} × ${height} px の ${SleepArtExport.FORMATS[format].label}`;
+  }
+
+  /**
+   * 書き出しの画面で選んでいる形式・縦横比・大きさ
+   * @returns {Object} { format, ratio, width, height }
+   */
+  getExportChoice() {
+    const format = document.getElementById('export-format-select').value;
+    const ratio = document.getElementById('export-ratio-select').value;
+    const side = Math.round(Number(document.getElementById('export-side-input').value));
+    return { format, ratio, ...SleepArtExport.getSize(ratio, side) };
+  }
+
+  /**
+   * 書き出しの画面を閉じる
+   */
+  closeExport() {
+    const modal = document.getElementById('export-modal');
+    if (modal.classList.contains('hidden')) return;
+    modal.classList.add('hidden');
+    document.body.style.overflow = '';
+    this.exportRecord = null;
+  }
+
+  /**
+   * 選んだ形式・大きさで作品を描いて保存する
+   * 大きな画像は描くのに時間がかかるので、ボタンの表示を変えてから描き始める
+   */
+  async saveExport() {
+    const record = this.exportRecord;
+    if (!record) return;
+    const { format, width, height } = this.getExportChoice();
+    const button = document.getElementById('export-save-btn');
+
+    button.disabled = true;
+    button.textContent = '書き出し中…';
+    this.showExportError(null);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    try {
+      const { blob, extension, fallback } = await SleepArtExport.render(record, this.getArtOptions(record), { format, width, height });
+      SleepDataTransfer.download(`sleep-art-${record.id}-${width}x${height}.${extension}`, blob, blob.type);
+      if (fallback) {
+        this.showExportError(`お使いのブラウザは ${SleepArtExport.FORMATS[format].label} で保存できないため、${fallback} で保存しました`);
+      } else {
+        this.closeExport();
+      }
+    } catch (e) {
+      this.showExportError(e.message);
+    } finally {
+      button.disabled = false;
+      button.textContent = '保存する';
+    }
+  }
+
+  /**
+   * 書き出しのエラーメッセージを表示する
+   * @param {string|null} message - 表示するメッセージ（nullで非表示）
+   */
+  showExportError(message) {
+    const el = document.getElementById('export-error');
+    el.textContent = message || '';
+    el.classList.toggle('hidden', !message);
+  }
+
+  // ============================
+  // 朝のふりかえり
+  // ============================
+
+  /**
+   * 朝のふりかえりのイベントを設定し、選択肢を並べる（js/check-in.js）
+   */
+  setupCheckIn() {
+    const modal = document.getElementById('checkin-modal');
+    modal.querySelector('.modal-overlay').addEventListener('click', () => this.closeCheckIn());
+    modal.querySelector('.modal-close').addEventListener('click', () => this.closeCheckIn());
+    document.getElementById('checkin-skip-btn').addEventListener('click', () => this.closeCheckIn());
+    document.getElementById('checkin-save-btn').addEventListener('click', () => this.saveCheckIn());
+
+    // 満足度（同じ星をもう一度押すと取り消す）
+    const stars = document.getElementById('checkin-quality');
+    for (let value = 1; value <= 5; value++) {
+      const star = document.createElement('button');
+      star.className = 'checkin-star';
+      star.textContent = '★';
+      star.title = `${value}`;
+      star.addEventListener('click', () => {
+        this.checkInDraft.quality = this.checkInDraft.quality === value ? null : value;
+        this.renderCheckIn();
+      });
+      stars.appendChild(star);
+    }
+
+    // 気分（1つだけ選ぶ）
+    const moods = document.getElementById('checkin-moods');
+    Object.entries(SleepCheckIn.MOODS).forEach(([id, mood]) => {
+      const chip = document.createElement('button');
+      chip.className = 'checkin-chip';
+      chip.dataset.value = id;
+      chip.textContent = `${mood.emoji} ${mood.label}`;
+      chip.addEventListener('click', () => {
+        this.checkInDraft.mood = this.checkInDraft.mood === id ? null : id;
+        this.renderCheckIn();
+      });
+      moods.appendChild(chip);
+    });
+
+    // 前日の過ごし方（いくつでも選べる）
+    const tags = document.getElementById('checkin-tags');
+    Object.entries(SleepCheckIn.TAGS).forEach(([id, tag]) => {
+      const chip = document.createElement('button');
+      chip.className = 'checkin-chip';
+      chip.dataset.value = id;
+      chip.textContent = `${tag.emoji} ${tag.label}`;
+      chip.addEventListener('click', () => {
+        const selected = this.checkInDraft.tags;
+        this.checkInDraft.tags = selected.includes(id) ? selected.filter(t => t !== id) : [...selected, id];
+        this.renderCheckIn();
+      });
+      tags.appendChild(chip);
+    });
+  }
+
+  /**
+   * 朝のふりかえりを開く（既に残していれば、その内容を入れておく）
+   * @param {Object} session - ふりかえりを残すセッション
+   */
+  openCheckIn(session) {
+    if (!session) return;
+    const checkIn = session.checkIn || { quality: null, mood: null, tags: [], note: '' };
+
+    this.checkInSessionId = session.id;
+    this.checkInDraft = { quality: checkIn.quality, mood: checkIn.mood, tags: [...checkIn.tags] };
+    document.getElementById('checkin-note').value = checkIn.note;
+    document.getElementById('checkin-title').textContent =
+      `${SleepStorage.formatDate(new Date(session.wakeTime))} の眠りはどうでしたか？`;
+    this.renderCheckIn();
+
+    document.getElementById('checkin-modal').classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 選んでいる星・気分・タグの表示を更新する
+   */
+  renderCheckIn() {
+    const { quality, mood, tags } = this.checkInDraft;
+    document.querySelectorAll('#checkin-quality .checkin-star').forEach((star, i) => {
+      star.classList.toggle('selected', quality !== null && i < quality);
+    });
+    document.querySelectorAll('#checkin-moods .checkin-chip').forEach(chip => {
+      chip.classList.toggle('selected', chip.dataset.value === mood);
+    });
+    document.querySelectorAll('#checkin-tags .checkin-chip').forEach(chip => {
+      chip.classList.toggle('selected', tags.includes(chip.dataset.value));
+    });
+  }
+
+  /**
+   * 朝のふりかえりを閉じる（残さずに閉じた場合は何も変えない）
+   */
+  closeCheckIn() {
+    const modal = document.getElementById('checkin-modal');
+    if (modal.classList.contains('hidden')) return;
     modal.classList.add('hidden');
     document.body.style.overflow = '';
+    this.checkInSessionId = null;
+    this.checkInDraft = null;
+  }
+
+  /**
+   * 入力したふりかえりを記録に残す（アートにも反映されるので描き直す）
+   */
+  saveCheckIn() {
+    const checkIn = SleepCheckIn.normalize({
+      ...this.checkInDraft,
+      note: document.getElementById('checkin-note').value,
+    });
+
+    try {
+      SleepStorage.setCheckIn(this.checkInSessionId, checkIn);
+    } catch (e) {
+      // 他のタブで記録が消された場合など
+      console.warn('ふりかえりを残せませんでした:', e);
+    }
+
+    this.closeCheckIn();
+    this.refreshAfterRecordChange();
+  }
+
+  // ============================
+  // 「おはよう」の押し忘れ
+  // ============================
+
+  /**
+   * 「おはよう」の押し忘れの確認のイベントを設定する
+   */
+  setupForgottenWake() {
+    document.getElementById('forgotten-wake-save-btn').addEventListener('click', () => {
+      const time = new Date(document.getElementById('forgotten-wake-input').value);
+      if (SleepStorage.isSleeping()) this.handleWake(time);
+    });
+    document.getElementById('forgotten-wake-discard-btn').addEventListener('click', () => this.discardSleep());
+    document.getElementById('forgotten-wake-later-btn').addEventListener('click', () => {
+      this.forgottenWakeDismissed = SleepStorage.getCurrentBedtime().toISOString();
+      this.closeForgottenWake();
+    });
+  }
+
+  /**
+   * 就寝中のまま上限の時間を過ぎていたら、押し忘れの確認を出す
+   * （同じ夜に「あとで」を選んでいたら出さない）
+   */
+  checkForgottenWake() {
+    if (!SleepStorage.isOverdue()) return;
+    if (this.forgottenWakeDismissed === SleepStorage.getCurrentBedtime().toISOString()) return;
+    this.openForgottenWake(null);
+  }
+
+  /**
+   * 押し忘れの確認を開く（既に開いていれば、入力中の時刻はそのままにする）
+   * 起床時刻の初期値は、就寝時刻にふだんの睡眠時間（記録がなければ8時間）を足した時刻
+   *
+   * @param {string|null} message - 表示するエラーメッセージ（記録できなかった理由）
+   */
+  openForgottenWake(message) {
+    const modal = document.getElementById('forgotten-wake-modal');
+    const bedtime = SleepStorage.getCurrentBedtime();
+    if (!bedtime) return;
+
+    if (modal.classList.contains('hidden')) {
+      const usualHours = SleepStorage.getAverageDuration(7) || 8;
+      const wakeTime = new Date(Math.min(bedtime.getTime() + usualHours * 60 * 60 * 1000, Date.now()));
+      document.getElementById('forgotten-wake-input').value = this.formatDateTimeLocal(wakeTime);
+    }
+
+    const hours = Math.floor((new Date() - bedtime) / (1000 * 60 * 60));
+    document.getElementById('forgotten-wake-desc').textContent =
+      `${bedtime.getMonth() + 1}/${bedtime.getDate()} ${this.formatTime(bedtime)} に「おやすみ」を押してから${hours}時間経っています。` +
+      '起きた時刻を入力するか、この夜は記録しないでください。';
+
+    const error = document.getElementById('forgotten-wake-error');
+    error.textContent = message || '';
+    error.classList.toggle('hidden', !message);
+
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 押し忘れの確認を閉じる
+   */
+  closeForgottenWake() {
+    const modal = document.getElementById('forgotten-wake-modal');
+    if (modal.classList.contains('hidden')) return;
+    modal.classList.add('hidden');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * 就寝中の状態を記録せずに破棄する（アラームも止める）
+   */
+  discardSleep() {
+    if (!confirm('この夜は記録せずに「就寝中」を取り消しますか？')) return;
+
+    this.silenceAlarm();
+    SleepStorage.discardSleep();
+    SleepTabSync.post('alarm-stop');
+
+    this.closeForgottenWake();
+    this.updateHomeView();
+    document.getElementById('status-message').textContent = '就寝中の記録を取り消しました';
   }
 
   // ============================
@@ -847,7 +2077,7 @@ class SleepApp {
    * 新しく解除された実績があればトースト通知を表示する
    */
   checkAchievements() {
-    const records = SleepStorage.getAllRecords();
+    const records = SleepStorage.getAllDays();
     const streak = SleepStorage.getStreak();
     const unlockedIds = SleepStorage.getAchievements();
 
@@ -916,10 +2146,621 @@ class SleepApp {
     }
   }
 
+  // ============================
+  // 設定（データの書き出し・取り込み）
+  // ============================
+
+  /**
+   * 設定画面のイベントを設定する
+   */
+  setupSettings() {
+    const today = SleepStorage.formatDate(new Date());
+
+    // アラーム（スヌーズの間隔・回数、音量を上げる時間、長押しの秒数）は変更したらすぐ保存する
+    ['snooze-minutes-input', 'snooze-limit-input', 'alarm-ramp-input', 'challenge-hold-input'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.saveAlarmSettings());
+    });
+
+    // アラーム音にする音声ファイル
+    document.getElementById('alarm-sound-file-input').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.saveAlarmSoundFile(file);
+    });
+    document.getElementById('alarm-sound-file-remove-btn').addEventListener('click', () => {
+      SleepAlarmSounds.removeCustomSound()
+        .then(() => this.renderSettings())
+        .catch(e => console.warn('音声ファイルを削除できませんでした:', e));
+    });
+
+    // アラームのスケジュール
+    this.setupAlarmSchedule();
+
+    // 睡眠時間の目標（年齢ごとのおすすめから選ぶか、時間を直接入れる。変更したらすぐ保存する）
+    const goalPresetSelect = document.getElementById('sleep-goal-preset-select');
+    Object.entries(SleepGoal.PRESETS).forEach(([id, preset]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = `${preset.label} → ${SleepGoal.format(preset.goal)}`;
+      goalPresetSelect.appendChild(option);
+    });
+    goalPresetSelect.addEventListener('change', () => {
+      const preset = SleepGoal.PRESETS[goalPresetSelect.value];
+      if (preset) this.saveSleepGoal(preset.goal, goalPresetSelect.value);
+    });
+    document.getElementById('sleep-goal-input').addEventListener('change', (e) => {
+      this.saveSleepGoal(Number(e.target.value), null);
+    });
+
+    // アートのスタイル（これから記録する夜に使う。変更したらすぐ保存する）
+    const artStyleSelect = document.getElementById('art-style-select');
+    SleepArtStyles.getOptions().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      artStyleSelect.appendChild(option);
+    });
+    artStyleSelect.addEventListener('change', () => {
+      SleepStorage.updateSettings({ artStyle: artStyleSelect.value });
+    });
+
+    // 1回の睡眠の長さの上限（変更したらすぐ保存する）
+    document.getElementById('max-session-hours-input').addEventListener('change', (e) => {
+      const input = e.target;
+      const hours = Math.round(Number(input.value)) || SleepStorage.getMaxSessionHours();
+      SleepStorage.updateSettings({
+        maxSessionHours: Math.min(Number(input.max), Math.max(Number(input.min), hours)),
+      });
+      this.renderSettings();
+    });
+
+    // 就寝リマインダー（変更したらすぐ保存して予約し直す）
+    ['bedtime-enabled-input', 'bedtime-target-input', 'bedtime-minutes-input'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.saveBedtimeSettings());
+    });
+
+    // 書き出し
+    document.getElementById('export-json-btn').addEventListener('click', () => {
+      SleepDataTransfer.download(
+        `sleep-art-gallery-${today}.json`, SleepDataTransfer.exportJSON(), 'application/json'
+      );
+    });
+    document.getElementById('export-csv-btn').addEventListener('click', () => {
+      SleepDataTransfer.download(
+        `sleep-art-gallery-${today}.csv`, SleepDataTransfer.exportCSV(), 'text/csv'
+      );
+    });
+
+    // 取り込むファイルの選択 → プレビュー
+    document.getElementById('import-file-input').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.handleImportFile(file);
+    });
+
+    // ファイルの種類・CSVの列の対応を変えたら読み直す
+    document.getElementById('import-source-select').addEventListener('change', () => {
+      this.parseImportFile(true);
+    });
+    ['import-map-start', 'import-map-end', 'import-map-date'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.parseImportFile(false));
+    });
+
+    // 取り込み方法を変えたらプレビューを更新
+    document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+      radio.addEventListener('change', () => this.renderImportPreview());
+    });
+    document.getElementById('import-conflict-select').addEventListener('change', () => {
+      this.renderImportPreview();
+    });
+
+    document.getElementById('import-apply-btn').addEventListener('click', () => this.applyImport());
+
+    // 隔離されたデータ
+    document.getElementById('quarantine-export-btn').addEventListener('click', () => {
+      SleepDataTransfer.download(
+        `sleep-art-gallery-quarantine-${today}.json`,
+        JSON.stringify(SleepStorage.getQuarantine(), null, 2),
+        'application/json'
+      );
+    });
+    document.getElementById('quarantine-clear-btn').addEventListener('click', () => {
+      if (!confirm('読み込めなかったデータを削除しますか？（元に戻せません）')) return;
+      SleepStorage.clearQuarantine();
+      this.renderSettings();
+    });
+
+    // 同期サーバー
+    document.getElementById('sync-save-btn').addEventListener('click', () => this.saveSyncSettings());
+    document.getElementById('sync-now-btn').addEventListener('click', () => SleepSync.sync());
+    SleepSync.onStatus(status => {
+      this.renderSyncStatus(status);
+      // 他の端末の変更を取り込んだら画面に反映する
+      if (status.state === 'idle' && status.received > 0) this.handleExternalChange();
+    });
+  }
+
+  /**
+   * 設定画面を描画する
+   */
+  renderSettings() {
+    // アラームのスケジュール
+    this.renderAlarmSchedule();
+
+    // アラーム（入力中の欄は書き換えない）
+    const snooze = SleepAlarmScheduler.getSnoozeSettings();
+    const { rampMinutes } = SleepAlarmSounds.getSettings();
+    [
+      ['snooze-minutes-input', snooze.minutes],
+      ['snooze-limit-input', snooze.limit],
+      ['alarm-ramp-input', rampMinutes],
+      ['challenge-hold-input', SleepWakeChallenges.getHoldSeconds()],
+    ].forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (document.activeElement !== input) input.value = value;
+    });
+
+    // 睡眠時間の目標（入力中の欄は書き換えない）
+    const goalInput = document.getElementById('sleep-goal-input');
+    document.getElementById('sleep-goal-preset-select').value = SleepStorage.getSettings().sleepGoalPreset || '';
+    if (document.activeElement !== goalInput) goalInput.value = SleepStorage.getSleepGoal();
+
+    // アートのスタイル
+    document.getElementById('art-style-select').value = SleepArtStyles.getDefault();
+
+    // 1回の睡眠の長さの上限（入力中の欄は書き換えない）
+    const maxHoursInput = document.getElementById('max-session-hours-input');
+    if (document.activeElement !== maxHoursInput) maxHoursInput.value = SleepStorage.getMaxSessionHours();
+
+    // 就寝リマインダー（入力中の欄は書き換えない）
+    const bedtime = SleepBedtimeReminder.getSettings();
+    const targetInput = document.getElementById('bedtime-target-input');
+    const minutesInput = document.getElementById('bedtime-minutes-input');
+    document.getElementById('bedtime-enabled-input').checked = Boolean(bedtime.target);
+    targetInput.disabled = !bedtime.target;
+    minutesInput.disabled = !bedtime.target;
+    if (document.activeElement !== targetInput) {
+      targetInput.value = bedtime.target || SleepStorage.getSettings().lastBedtimeTarget || BEDTIME_DEFAULT_TARGET;
+    }
+    if (document.activeElement !== minutesInput) minutesInput.value = bedtime.minutes;
+
+    // 直近7日で、目標にどれだけ近づけているか
+    const adherence = SleepBedtimeReminder.getAdherence();
+    document.getElementById('bedtime-adherence').textContent = adherence
+      ? `直近の${adherence.count}日のうち${adherence.onTarget}日は目標どおり（前後${BEDTIME_ON_TARGET_MINUTES}分以内）に寝られました` +
+        `（目標との差は平均${adherence.averageMinutes}分）。`
+      : '';
+
+    // アラーム音にした音声ファイル（保存できない環境では選べない）
+    const customSound = SleepStorage.getSettings().customAlarmSound;
+    document.getElementById('alarm-sound-file-input').disabled = !SleepStorage.supportsAssets();
+    document.getElementById('alarm-sound-file').classList.toggle('hidden', !customSound);
+    document.getElementById('alarm-sound-file-name').textContent = customSound ? customSound.name : '';
+
+    // 同期サーバー（入力中の欄は書き換えない）
+    const server = SleepStorage.getSettings().syncServer || {};
+    const urlInput = document.getElementById('sync-url-input');
+    const tokenInput = document.getElementById('sync-token-input');
+    if (document.activeElement !== urlInput) urlInput.value = server.url || '';
+    if (document.activeElement !== tokenInput) tokenInput.value = server.token || '';
+    this.renderSyncStatus(SleepSync.status);
+
+    const quarantined = SleepStorage.getQuarantine();
+    document.getElementById('quarantine-card').classList.toggle('hidden', quarantined.length === 0);
+    document.getElementById('quarantine-desc').textContent =
+      `壊れていて読み込めなかった項目が${quarantined.length}件あります。` +
+      '削除せずに保管しているので、書き出して確認できます。';
+  }
+
+  /**
+   * アラームのスケジュール（プロフィール・特定の日の変更）のイベントを設定する
+   * 変更はすぐに保存する
+   */
+  setupAlarmSchedule() {
+    const profileSelect = document.getElementById('alarm-profile-select');
+
+    profileSelect.addEventListener('change', () => {
+      SleepAlarmProfiles.setActiveProfile(profileSelect.value);
+      this.renderAlarmSchedule();
+    });
+
+    document.getElementById('alarm-profile-add-btn').addEventListener('click', () => {
+      const count = SleepAlarmProfiles.getProfiles().length;
+      SleepAlarmProfiles.addProfile(count === 0 ? '通常' : `プロフィール${count + 1}`);
+      this.renderAlarmSchedule();
+      document.getElementById('alarm-profile-name').focus();
+    });
+
+    document.getElementById('alarm-profile-delete-btn').addEventListener('click', () => {
+      const profile = SleepAlarmProfiles.getActiveProfile();
+      if (!profile || !confirm(`プロフィール「${profile.name}」を削除しますか？`)) return;
+      SleepAlarmProfiles.removeProfile(profile.id);
+      this.renderAlarmSchedule();
+    });
+
+    document.getElementById('alarm-profile-name').addEventListener('change', (e) => {
+      const profile = SleepAlarmProfiles.getActiveProfile();
+      const name = e.target.value.trim();
+      if (!profile || !name) return;
+      SleepAlarmProfiles.updateProfile(profile.id, { name });
+      this.renderAlarmSchedule();
+    });
+
+    // 曜日ごとの時刻（チェックを外した曜日はアラームなし）
+    document.getElementById('alarm-weekday-list').addEventListener('change', () => {
+      const profile = SleepAlarmProfiles.getActiveProfile();
+      if (!profile) return;
+
+      const times = profile.times.map((time, day) => {
+        const enabled = document.querySelector(`#alarm-weekday-list input[type="checkbox"][data-day="${day}"]`);
+        const input = document.querySelector(`#alarm-weekday-list input[type="time"][data-day="${day}"]`);
+        return enabled.checked ? (input.value || SleepStorage.getSettings().lastAlarmTime || DEFAULT_ALARM_TIME) : null;
+      });
+      SleepAlarmProfiles.updateProfile(profile.id, { times });
+      this.renderAlarmSchedule();
+    });
+
+    // 特定の日だけの変更
+    const addOverride = (time) => {
+      const dateId = document.getElementById('alarm-override-date').value;
+      if (!dateId || time === '') return;
+      SleepAlarmProfiles.setOverride(dateId, time);
+      this.renderAlarmSchedule();
+    };
+    document.getElementById('alarm-override-add-btn').addEventListener('click', () => {
+      addOverride(document.getElementById('alarm-override-time').value);
+    });
+    document.getElementById('alarm-override-skip-btn').addEventListener('click', () => addOverride(null));
+  }
+
+  /**
+   * アラームのスケジュールを描画する
+   */
+  renderAlarmSchedule() {
+    const profiles = SleepAlarmProfiles.getProfiles();
+    const active = SleepAlarmProfiles.getActiveProfile();
+
+    // プロフィールの選択肢
+    const select = document.getElementById('alarm-profile-select');
+    select.innerHTML = profiles.length > 0
+      ? profiles.map(p => `<option value="${this.escapeHTML(p.id)}">${this.escapeHTML(p.name)}</option>`).join('')
+      : '<option value="">（未登録）</option>';
+    select.value = active ? active.id : '';
+    select.disabled = profiles.length === 0;
+    document.getElementById('alarm-profile-delete-btn').disabled = !active;
+    document.getElementById('alarm-profile-editor').classList.toggle('hidden', !active);
+
+    // 使用中のプロフィールの名前と曜日ごとの時刻（月曜から並べる）
+    if (active) {
+      const nameInput = document.getElementById('alarm-profile-name');
+      if (document.activeElement !== nameInput) nameInput.value = active.name;
+
+      document.getElementById('alarm-weekday-list').innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => {
+        const time = active.times[day];
+        return `
+          <div class="alarm-weekday">
+            <label><input type="checkbox" data-day="${day}" ${time ? 'checked' : ''}> ${WEEKDAY_LABELS[day]}</label>
+            <input type="time" class="settings-input" data-day="${day}" value="${time || ''}" ${time ? '' : 'disabled'}>
+          </div>
+        `;
+      }).join('');
+    }
+
+    // 特定の日だけの変更
+    const list = document.getElementById('alarm-override-list');
+    list.innerHTML = '';
+    SleepAlarmProfiles.getOverrides().forEach(({ date, time }) => {
+      const item = document.createElement('li');
+      const [y, m, d] = date.split('-').map(Number);
+      const label = document.createElement('span');
+      label.textContent = `${SleepAlarmProfiles.formatDay(new Date(y, m - 1, d))} ${time || 'アラームなし'}`;
+      item.appendChild(label);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'alarm-cancel-btn';
+      removeBtn.textContent = '取消';
+      removeBtn.addEventListener('click', () => {
+        SleepAlarmProfiles.removeOverride(date);
+        this.renderAlarmSchedule();
+      });
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * アラーム音にする音声ファイルを保存する（失敗したら理由を表示する）
+   * @param {File} file
+   */
+  async saveAlarmSoundFile(file) {
+    const input = document.getElementById('alarm-sound-file-input');
+    const error = document.getElementById('alarm-sound-file-error');
+    error.classList.add('hidden');
+
+    try {
+      await SleepAlarmSounds.saveCustomSound(file);
+      this.renderSettings();
+    } catch (e) {
+      error.textContent = e.message;
+      error.classList.remove('hidden');
+    }
+    input.value = '';
+  }
+
+  /**
+   * アラームの設定（スヌーズの間隔・回数、音量を上げる時間、長押しの秒数）を保存する
+   * 範囲外の値は入力欄の min / max に収める
+   */
+  saveAlarmSettings() {
+    const readInput = (id) => {
+      const input = document.getElementById(id);
+      const value = Math.round(Number(input.value)) || 0;
+      input.value = Math.min(Number(input.max), Math.max(Number(input.min), value));
+      return Number(input.value);
+    };
+
+    SleepStorage.updateSettings({
+      snoozeMinutes: readInput('snooze-minutes-input'),
+      snoozeLimit: readInput('snooze-limit-input'),
+      alarmRampMinutes: readInput('alarm-ramp-input'),
+      challengeHoldSeconds: readInput('challenge-hold-input'),
+    });
+  }
+
+  /**
+   * 睡眠時間の目標を保存する（これから記録する夜に使う。これまでの夜の作品は変わらない）
+   * @param {number} hours - 目標の睡眠時間（範囲外なら入力欄の min / max に収める。15分単位に丸める）
+   * @param {string|null} preset - 選んだ年齢ごとのおすすめ（SleepGoal.PRESETS のキー。直接入れたならnull）
+   */
+  saveSleepGoal(hours, preset) {
+    const input = document.getElementById('sleep-goal-input');
+    const goal = Number.isFinite(hours) && hours > 0 ? Math.round(hours * 4) / 4 : SleepStorage.getSleepGoal();
+
+    SleepStorage.updateSettings({
+      sleepGoal: Math.min(Number(input.max), Math.max(Number(input.min), goal)),
+      sleepGoalPreset: preset,
+    });
+    this.renderSettings();
+    this.updateStats();
+  }
+
+  /**
+   * 就寝リマインダーの設定を保存して予約し直す
+   * オフにしても時刻は覚えておき、次にオンにしたときに入れておく
+   */
+  saveBedtimeSettings() {
+    const enabled = document.getElementById('bedtime-enabled-input').checked;
+    const target = document.getElementById('bedtime-target-input').value || BEDTIME_DEFAULT_TARGET;
+    const minutesInput = document.getElementById('bedtime-minutes-input');
+    const minutes = Math.round(Number(minutesInput.value)) || BEDTIME_REMINDER_DEFAULT_MINUTES;
+
+    SleepStorage.updateSettings({
+      bedtimeTarget: enabled ? target : null,
+      lastBedtimeTarget: target,
+      bedtimeReminderMinutes: Math.min(Number(minutesInput.max), Math.max(Number(minutesInput.min), minutes)),
+    });
+    this.renderSettings();
+    this.scheduleBedtimeReminder();
+
+    // 通知で知らせるには許可がいる（許可されたら、タブを閉じても届くよう予約し直す）
+    if (enabled && 'Notification' in window && Notification.permission === 'default') {
+      Notification.requestPermission().then(() => {
+        this.bedtimeReminderKey = null;
+        this.scheduleBedtimeReminder();
+      });
+    }
+  }
+
+  /**
+   * 同期サーバーの設定を保存して同期を始める
+   * （URLを空にすると同期をやめる）
+   */
+  saveSyncSettings() {
+    const url = document.getElementById('sync-url-input').value.trim();
+    const token = document.getElementById('sync-token-input').value.trim();
+
+    if (url && !/^https?:\/\//.test(url)) {
+      SleepSync.setStatus('error', 'URLは http:// または https:// で始めてください');
+      return;
+    }
+
+    // 別のサーバーに変えたら、最初から送り直し・受け取り直す
+    const current = SleepStorage.getSettings().syncServer;
+    if (!current || current.url !== url) {
+      SleepStorage.updateSyncState({ cursor: 0, lastPushedAt: null });
+    }
+
+    SleepStorage.updateSettings({ syncServer: url ? { url, token } : null });
+    SleepSync.start();
+  }
+
+  /**
+   * 同期の状態を表示する
+   * @param {Object} status - SleepSync.status
+   */
+  renderSyncStatus(status) {
+    let text = status.message;
+    if (status.lastSyncedAt) {
+      text += `（最終同期: ${this.formatTime(new Date(status.lastSyncedAt))}）`;
+    }
+    document.getElementById('sync-status').textContent = text;
+    document.getElementById('sync-now-btn').disabled = status.state === 'off' || status.state === 'syncing';
+  }
+
+  /**
+   * 選択されたファイルを読み込んでプレビューを表示する
+   * @param {File} file - 選択されたファイル
+   */
+  async handleImportFile(file) {
+    this.importFile = { name: file.name, text: await file.text() };
+    this.parseImportFile(true);
+  }
+
+  /**
+   * 選択中のファイルを、選ばれた種類に応じて取り込み用のデータに変換する
+   * @param {boolean} resetMapping - CSVの列の対応を推測し直すかどうか
+   */
+  parseImportFile(resetMapping) {
+    if (!this.importFile) return;
+
+    const { name, text } = this.importFile;
+    const selected = document.getElementById('import-source-select').value;
+    const source = selected === 'auto' ? SleepImporters.detectSource(text, name) : selected;
+
+    // 列を指定するCSVのときだけ、列の対応を選ぶ欄を出す
+    document.getElementById('import-csv-mapping').classList.toggle('hidden', source !== 'csv');
+    if (source === 'csv' && resetMapping) {
+      this.renderCSVMapping(text);
+    }
+
+    try {
+      if (source === 'backup') {
+        this.pendingImport = SleepDataTransfer.parseFile(text, name);
+      } else {
+        this.pendingImport = SleepImporters.parse(text, source, {
+          mapping: {
+            start: document.getElementById('import-map-start').value,
+            end: document.getElementById('import-map-end').value,
+            date: document.getElementById('import-map-date').value,
+          },
+        });
+      }
+    } catch (e) {
+      this.pendingImport = null;
+      this.showImportMessage(`<span class="import-error">${this.escapeHTML(e.message)}</span>`);
+      return;
+    }
+
+    this.renderImportPreview();
+  }
+
+  /**
+   * CSVの列名から、列の対応を選ぶ欄を作る（初期値は列名から推測）
+   * @param {string} text - CSV文字列
+   */
+  renderCSVMapping(text) {
+    const headers = SleepImporters.getCSVHeaders(text);
+    const guess = SleepImporters.guessMapping(headers);
+
+    ['start', 'end', 'date'].forEach(key => {
+      const select = document.getElementById(`import-map-${key}`);
+      select.innerHTML = '';
+
+      // 日付の列は「なし」も選べる
+      const options = key === 'date' ? ['', ...headers] : headers;
+      options.forEach(header => {
+        const option = document.createElement('option');
+        option.value = header;
+        option.textContent = header || 'なし';
+        select.appendChild(option);
+      });
+      select.value = guess[key];
+    });
+  }
+
+  /**
+   * 選択中の取り込みオプションを取得する
+   */
+  getImportOptions() {
+    return {
+      mode: document.querySelector('input[name="import-mode"]:checked').value,
+      onConflict: document.getElementById('import-conflict-select').value,
+    };
+  }
+
+  /**
+   * 取り込んだ場合の変化をプレビュー表示する
+   */
+  renderImportPreview() {
+    if (!this.pendingImport) return;
+
+    const options = this.getImportOptions();
+    const summary = SleepDataTransfer.preview(this.pendingImport, options);
+    const incoming = this.pendingImport;
+
+    let html = `ファイル内の記録: <strong>${incoming.records.length}件</strong><br>
+      追加: <strong>${summary.added.length}件</strong> /
+      更新: <strong>${summary.updated.length}件</strong> /
+      変更なし: ${summary.unchanged.length}件`;
+
+    if (options.mode === 'replace') {
+      html += `<br>削除される記録: <strong>${summary.removed.length}件</strong>`;
+    } else if (summary.conflicts.length > 0) {
+      const action = options.onConflict === 'overwrite' ? '取り込む記録で上書き' : '今の記録を残す';
+      html += `<br>同じIDで内容が違う記録: <strong>${summary.conflicts.length}件</strong>（${action}）<ul>`;
+      summary.conflicts.slice(0, 5).forEach(({ current, incoming: r }) => {
+        html += `<li>${this.escapeHTML(r.date)}:
+          ${this.formatTime(new Date(current.bedtime))}→${this.formatTime(new Date(current.wakeTime))}
+          ／ 取り込み ${this.formatTime(new Date(r.bedtime))}→${this.formatTime(new Date(r.wakeTime))}</li>`;
+      });
+      html += summary.conflicts.length > 5 ? `<li>ほか${summary.conflicts.length - 5}件</li></ul>` : '</ul>';
+    }
+
+    // 睡眠時間が長すぎる記録は取り込むが、ギャラリーで印を付ける
+    const implausible = incoming.records.filter(r => SleepStorage.isImplausible(r)).length;
+    if (implausible > 0) {
+      html += `<br><span class="import-error">睡眠時間が${SleepStorage.getMaxSessionHours()}時間を超える記録: ${implausible}件` +
+        '（取り込みますが、ギャラリーで ⚠ を付けます）</span>';
+    }
+
+    if (incoming.rejected.length > 0) {
+      html += `<br><span class="import-error">読み込めない項目: ${incoming.rejected.length}件（取り込みません）</span>`;
+    }
+
+    this.showImportMessage(html);
+  }
+
+  /**
+   * プレビューの内容でデータを取り込む
+   */
+  applyImport() {
+    if (!this.pendingImport) return;
+
+    const options = this.getImportOptions();
+    if (options.mode === 'replace' &&
+        !confirm('今のデータをファイルの内容で置き換えます。よろしいですか？')) {
+      return;
+    }
+
+    const summary = SleepStorage.importData(this.pendingImport, options);
+
+    // 後片付け
+    this.importFile = null;
+    this.pendingImport = null;
+    document.getElementById('import-file-input').value = '';
+    document.getElementById('import-csv-mapping').classList.add('hidden');
+    this.showImportMessage(
+      `取り込みました（追加 ${summary.added.length}件・更新 ${summary.updated.length}件` +
+      (options.mode === 'replace' ? `・削除 ${summary.removed.length}件）` : '）')
+    );
+
+    this.refreshAfterRecordChange();
+  }
+
+  /**
+   * 取り込みエリアにメッセージを表示する
+   * @param {string} html - 表示するHTML
+   */
+  showImportMessage(html) {
+    const preview = document.getElementById('import-preview');
+    preview.innerHTML = html;
+    preview.classList.remove('hidden');
+    document.getElementById('import-apply-btn').disabled = !this.pendingImport;
+  }
+
   // ============================
   // ユーティリティ
   // ============================
 
+  /**
+   * HTMLに埋め込む文字列をエスケープする
+   * （ファイルから読んだ値など、信用できない文字列を表示するときに使う）
+   * @param {*} value
+   */
+  escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    }[c]));
+  }
+
   /**
    * Date オブジェクトを "HH:MM" 形式の文字列に変換する
    * @param {Date} date
@@ -930,14 +2771,67 @@ class SleepApp {
     const m = String(date.getMinutes()).padStart(2, '0');
     return `${h}:${m}`;
   }
+
+  /**
+   * 時間数を "X時間Y分" 形式の文字列に変換する
+   * @param {number} duration - 睡眠時間（時間）
+   */
+  formatDuration(duration) {
+    const hours = Math.floor(duration);
+    const minutes = Math.round((duration - hours) * 60);
+    return `${hours}時間${minutes}分`;
+  }
+
+  /**
+   * Date オブジェクトを datetime-local 入力欄の形式に変換する
+   * @param {Date} date
+   * @returns {string} "YYYY-MM-DDTHH:MM" 形式の文字列
+   */
+  formatDateTimeLocal(date) {
+    return `${SleepStorage.formatDate(date)}T${this.formatTime(date)}`;
+  }
 }
 
 /* ============================================
    アプリ起動
    ============================================ */
 
-// DOMの読み込み完了後にアプリを起動
-document.addEventListener('DOMContentLoaded', () => {
+// 保存先のお知らせ（SleepStorage.init の onNotice の種類 → 表示する内容）
+const STORAGE_NOTICES = {
+  blocked: {
+    message: '古いバージョンのアプリを開いているタブがあります。データを読み込むため、他のタブを閉じてください',
+    reload: false,
+  },
+  fallback: {
+    message: 'データを読み込めませんでした。他のタブを閉じてから再読み込みしてください（このままではいつもの記録が表示されません）',
+    reload: true,
+  },
+  closed: {
+    message: '別のタブで新しいバージョンのアプリが開かれました。このタブでの変更は保存されないため、再読み込みしてください',
+    reload: true,
+  },
+};
+
+/**
+ * 保存先のお知らせを表示する（アプリの起動前にも出せるよう、SleepApp の外に置く）
+ * @param {string|null} type - STORAGE_NOTICES のキー（null なら消す）
+ */
+function showStorageNotice(type) {
+  const banner = document.getElementById('storage-banner');
+  const notice = STORAGE_NOTICES[type];
+  banner.classList.toggle('hidden', !notice);
+  if (!notice) return;
+
+  document.getElementById('storage-banner-message').textContent = notice.message;
+  const reloadBtn = document.getElementById('storage-reload-btn');
+  reloadBtn.classList.toggle('hidden', !notice.reload);
+  reloadBtn.onclick = () => location.reload();
+}
+
+// DOMの読み込み完了後、保存データを読み込んでからアプリを起動
+document.addEventListener('DOMContentLoaded', async () => {
+  await SleepStorage.init(showStorageNotice);
+
   // グローバル変数にアプリのインスタンスを保存
   // （デバッグ時に便利）
   window.app = new SleepApp();
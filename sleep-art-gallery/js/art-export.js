@@ -0,0 +1,106 @@
+/* ============================================
+   art-export.js - 作品の書き出し（高解像度・印刷用）
+
+   アートの詳細の「保存」から、好きな形式・縦横比・大きさで作品を書き出す。
+
+   - 形式:   PNG / JPEG / WebP（Canvas で描いた画像）、SVG（拡大しても荒れない。svg-context.js）
+   - 縦横比: 正方形、スマホの壁紙（9:19.5）、A判の印刷（1:√2）など
+   - 大きさ: 長い辺のピクセル数（SNS向けからA2ポスターの 300dpi まで）
+
+   アートは大きさに関係なく同じ構図・同じ見た目で描ける（art-generator.js の ART_REFERENCE_SIZE）ので、
+   画面のプレビューと同じ絵をそのまま大きく書き出せる。
+   ============================================ */
+
+// 書き出せる長い辺の上限（px）。これより大きいとブラウザが Canvas を作れないことがある
+const EXPORT_MAX_SIDE = 8192;
+
+// 書き出せる長い辺の下限（px）
+const EXPORT_MIN_SIDE = 200;
+
+// JPEG / WebP の画質（0〜1）
+const EXPORT_IMAGE_QUALITY = 0.92;
+
+/**
+ * SleepArtExport クラス
+ * 書き出しの選択肢と、選んだ形式・大きさでの描画を担当する（画面は app.js）
+ */
+class SleepArtExport {
+
+  // === 選択肢 ===
+  // 形式（mime: ファイルの種類 / extension: 拡張子）
+  static FORMATS = {
+    png: { label: 'PNG', mime: 'image/png', extension: 'png' },
+    jpeg: { label: 'JPEG', mime: 'image/jpeg', extension: 'jpg' },
+    webp: { label: 'WebP', mime: 'image/webp', extension: 'webp' },
+    svg: { label: 'SVG（拡大しても荒れない）', mime: 'image/svg+xml', extension: 'svg' },
+  };
+
+  // 縦横比（横 / 縦）
+  static RATIOS = {
+    square: { label: '正方形（1:1）', ratio: 1 },
+    phone: { label: 'スマホの壁紙（9:19.5）', ratio: 9 / 19.5 },
+    paperPortrait: { label: 'A判の印刷・縦（1:√2）', ratio: 1 / Math.SQRT2 },
+    paperLandscape: { label: 'A判の印刷・横（√2:1）', ratio: Math.SQRT2 },
+    desktop: { label: 'パソコンの壁紙（16:9）', ratio: 16 / 9 },
+    portrait: { label: 'SNSの縦長（4:5）', ratio: 4 / 5 },
+  };
+
+  // 大きさ（長い辺のピクセル数）
+  static SIZES = [
+    { label: 'SNS（1080px）', side: 1080 },
+    { label: '高画質（2160px）', side: 2160 },
+    { label: 'A4 印刷 300dpi（3508px）', side: 3508 },
+    { label: 'A3 印刷 300dpi（4961px）', side: 4961 },
+    { label: 'A2 ポスター 300dpi（7016px）', side: 7016 },
+  ];
+
+  /**
+   * 縦横比と長い辺から、書き出す幅と高さを決める
+   * @param {string} ratioId - RATIOS のキー
+   * @param {number} side - 長い辺（px。範囲外なら上限・下限に収める）
+   * @returns {Object} { width, height }
+   */
+  static getSize(ratioId, side) {
+    const ratio = (this.RATIOS[ratioId] || this.RATIOS.square).ratio;
+    const longSide = Math.round(Math.min(EXPORT_MAX_SIDE, Math.max(EXPORT_MIN_SIDE, side || 0)));
+    return ratio >= 1
+      ? { width: longSide, height: Math.round(longSide / ratio) }
+      : { width: Math.round(longSide * ratio), height: longSide };
+  }
+
+  /**
+   * 作品を書き出すファイルにする
+   * ブラウザが選んだ形式に対応していない場合（WebP など）、Canvas は PNG を返すので、
+   * 実際の形式を fallback で知らせる
+   *
+   * @param {Object} record - 1日分の記録
+   * @param {Object} options - SleepArtGenerator.generate() のオプション
+   * @param {Object} settings - { format: FORMATS のキー, width, height }
+   * @returns {Promise<Object>} { blob, extension, fallback: 別の形式になった場合その形式の名前（なければnull） }
+   * @throws {Error} 大きすぎて描けなかった場合
+   */
+  static async render(record, options, { format, width, height }) {
+    const type = this.FORMATS[format] || this.FORMATS.png;
+
+    if (type === this.FORMATS.svg) {
+      const svg = SleepArtGenerator.generateSVG(record, options, { width, height });
+      return { blob: new Blob([svg], { type: type.mime }), extension: type.extension, fallback: null };
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    SleepArtGenerator.generate(canvas, record, options);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type.mime, EXPORT_IMAGE_QUALITY));
+    // 描いた後はすぐに大きなキャンバスのメモリを手放す
+    canvas.width = 0;
+    canvas.height = 0;
+    if (!blob) {
+      throw new Error('この大きさの画像は作れませんでした。小さくしてお試しください');
+    }
+
+    const actual = Object.values(this.FORMATS).find(f => f.mime === blob.type) || type;
+    return { blob, extension: actual.extension, fallback: actual === type ? null : actual.label };
+  }
+}
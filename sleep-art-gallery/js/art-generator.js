@@ -5,19 +5,74 @@
 
    仕組み:
    - 睡眠時間 → 作品の複雑さ（要素の数、レイヤー数）
-   - 就寝時刻 → カラーパレット（早寝=青系、遅寝=暖色系）
-   - 睡眠の質 → 色の調和度（7-8時間に近いほど調和的）
+   - 就寝時刻 → カラーパレット（早寝=青系、遅寝=暖色系、昼に眠る人=明るい空色系。
+     時計の上に置いた基準の色を混ぜて連続的に変わる。起床時刻と季節も色に加わる）
+   - 睡眠の質 → 色の調和度（その夜の目標の睡眠時間に近いほど調和的。sleep-goal.js）
    - ランダムシード → 同じデータでも毎回同じ絵を再現可能
+   - 昼寝 → メインの作品に添える小さな三日月のモチーフ
+   - スヌーズ → 回数だけ広がる水面の波紋
+   - 朝のふりかえり（check-in.js）→ 満足度を質に混ぜ、気分の光・前日の過ごし方のしるし・夢のうずまき
 
-   描画レイヤー:
+   描き方（スタイル）は art-styles.js で選ぶ。ここにあるのは標準のスタイル（classic）と、
+   どのスタイルでも使う睡眠データの読み取り（getParams）・記録のしるし（drawRecordMarks）。
+
+   標準のスタイルの描画レイヤー:
    1. 背景グラデーション
    2. 流れる曲線（オーロラ風）
    3. 浮遊する円（ボケ効果）
    4. 幾何学パターン
    5. 星空パーティクル
    6. ストリーク特殊効果
+   7. 昼寝のモチーフ（昼寝がある日のみ）
+   8. スヌーズの波紋（スヌーズした日のみ）
+   9. 気分の光（ふりかえりで気分を選んだ日のみ）
+   10. 前日の過ごし方のしるし（ふりかえりでタグを選んだ日のみ）
+   11. 夢のうずまき（ふりかえりにメモを書いた日のみ）
    ============================================ */
 
+// 描画結果のキャッシュの版（描き方を変えたら上げて、古いキャッシュを使わないようにする）
+const ART_CACHE_VERSION = 2;
+
+// 大きさを決めるときの基準の一辺（px）
+// 円の半径や線の太さは「この大きさのときの値 × 短い辺 / 基準」で描き、
+// サムネイルでもポスターでも同じ構図・同じ見た目になるようにする
+const ART_REFERENCE_SIZE = 400;
+
+// 気分ごとの光（glow: 上から差す光 / veil: 全体にかける薄い膜）
+const MOOD_LIGHTS = {
+  great: { glow: '#ffd54f', alpha: 0.22, y: 0.12 },
+  good: { glow: '#fff59d', alpha: 0.12, y: 0.3 },
+  okay: null,
+  tired: { veil: 'rgba(120, 120, 140, 0.15)' },
+  bad: { veil: 'rgba(0, 0, 0, 0.25)' },
+};
+
+// 前日の過ごし方のしるしの色と、乱数に混ぜる値（メインの作品の乱数列とは別にする）
+const CHECKIN_TAG_MARKS = {
+  caffeine: { color: '#ffb300', salt: 0x1b873593 },
+  alcohol: { color: '#ad1457', salt: 0x2c1b3c6d },
+  exercise: { color: '#66bb6a', salt: 0x297a2d39 },
+  stress: { color: '#ef5350', salt: 0x6b43a9b5 },
+};
+
+// 連続パレット（版2）の基準の色を置く時刻（時。就寝時刻の時計の上に並べる）
+// 基準の間の時刻は、前後の基準のパレットを lerpColor で混ぜる
+const PALETTE_ANCHORS = [
+  { hour: 1, name: 'midnight' },
+  { hour: 3.5, name: 'latenight' },
+  { hour: 7, name: 'daybreak' },   // 夜勤明けなど、朝に眠る人
+  { hour: 13, name: 'daylight' },  // 昼寝や、日中に眠る人
+  { hour: 18, name: 'dusk' },
+  { hour: 21, name: 'serene' },
+  { hour: 23, name: 'twilight' },
+];
+
+// 起床時刻のパレットを明るい色（5色目以降）に混ぜる割合
+const PALETTE_WAKE_BLEND = 0.35;
+
+// 冬至の夜の彩度（夏至の夜は1。その間は日付に合わせてなめらかに変える）
+const PALETTE_WINTER_SATURATION = 0.8;
+
 /**
  * SleepArtGenerator クラス
  * 睡眠データからアートを生成する
@@ -26,6 +81,7 @@ class SleepArtGenerator {
 
   // === カラーパレット定義 ===
   // 就寝時刻に応じて異なるパレットを使用する
+  // 版1は就寝時刻で最初の4つから選び、版2はすべてを基準の色として混ぜる（PALETTE_ANCHORS）
   static PALETTES = {
     // 早寝（~22時）: 穏やかな青・紫系
     serene: [
@@ -47,6 +103,21 @@ class SleepArtGenerator {
       '#1a0f05', '#4e342e', '#bf360c', '#e65100', '#ff8f00',
       '#ffc107', '#ffecb3', '#fff8e1',
     ],
+    // 朝（7時ごろ）: 朝焼けの桃色・淡い空色
+    daybreak: [
+      '#1c2541', '#3a506b', '#5c6b8a', '#f4a261', '#f6bd60',
+      '#90e0ef', '#caf0f8', '#fff1e6',
+    ],
+    // 昼（13時ごろ）: 明るい空色・若葉色
+    daylight: [
+      '#0b2545', '#13315c', '#1e6091', '#48cae4', '#90e0ef',
+      '#52b788', '#b7e4c7', '#fefae0',
+    ],
+    // 夕方（18時ごろ）: 夕焼けのくすんだ紫・珊瑚色
+    dusk: [
+      '#241734', '#2e1f47', '#6d597a', '#b56576', '#e56b6f',
+      '#eaac8b', '#ffcdb2', '#f8edeb',
+    ],
   };
 
   /**
@@ -69,35 +140,142 @@ class SleepArtGenerator {
   }
 
   /**
-   * 就寝時刻からカラーパレットを選択する
-   * @param {string} bedtimeISO - 就寝時刻のISO文字列
+   * 記録のカラーパレットを決める
+   * 記録したときのパレットの版で描く（版のない記録は版1）
+   *
+   * @param {Object} record - 睡眠記録（bedtime, wakeTime, paletteVersion）
    * @returns {string[]} カラーコードの配列
    */
-  static selectPalette(bedtimeISO) {
+  static selectPalette(record) {
+    if (this.isBucketPalette(record)) {
+      return this.PALETTES[this.getBucketPaletteName(record.bedtime)];
+    }
+    return this.blendPalette(record.bedtime, record.wakeTime);
+  }
+
+  /**
+   * 版1のパレットで描く記録か（版のない記録は版1）
+   * @param {Object} record - 睡眠記録（paletteVersion）
+   */
+  static isBucketPalette(record) {
+    return (record.paletteVersion || PALETTE_VERSION_BUCKETS) === PALETTE_VERSION_BUCKETS;
+  }
+
+  /**
+   * 版1: 就寝時刻で4つのパレットから選ぶ
+   * 6〜20時の就寝もすべて latenight になるが、これまでの作品を変えないためそのままにしている
+   *
+   * @param {string} bedtimeISO - 就寝時刻のISO文字列
+   * @returns {string} PALETTES の名前
+   */
+  static getBucketPaletteName(bedtimeISO) {
     const hour = new Date(bedtimeISO).getHours();
 
     // 時間帯に応じてパレットを返す
-    if (hour >= 20 && hour < 22) return this.PALETTES.serene;
-    if (hour >= 22 || hour < 0) return this.PALETTES.twilight;
-    if (hour >= 0 && hour < 2) return this.PALETTES.midnight;
-    return this.PALETTES.latenight;
+    if (hour >= 20 && hour < 22) return 'serene';
+    if (hour >= 22 || hour < 0) return 'twilight';
+    if (hour >= 0 && hour < 2) return 'midnight';
+    return 'latenight';
+  }
+
+  /**
+   * 版2: 就寝時刻・起床時刻・季節から色を連続的に混ぜる
+   * - 就寝時刻の時計の位置で、前後の基準のパレットを混ぜる
+   * - 明るい色には起床時刻の色を少し混ぜる（同じ時刻に寝ても、起きた時刻で朝の光が変わる）
+   * - 冬の夜ほど彩度を落とす
+   *
+   * @param {string} bedtimeISO - 就寝時刻のISO文字列
+   * @param {string} wakeTimeISO - 起床時刻のISO文字列
+   * @returns {string[]} "rgb(r, g, b)" 形式の色の配列
+   */
+  static blendPalette(bedtimeISO, wakeTimeISO) {
+    const bedtime = new Date(bedtimeISO);
+    const night = this.getPaletteAt(this.getClockHour(bedtime));
+    const morning = this.getPaletteAt(this.getClockHour(new Date(wakeTimeISO)));
+    const saturation = this.getSeasonSaturation(bedtime);
+
+    return night.map((color, i) => {
+      const lit = i >= 4 ? this.lerpColor(color, morning[i], PALETTE_WAKE_BLEND) : color;
+      return this.saturate(lit, saturation);
+    });
+  }
+
+  /**
+   * 時計の上の位置のパレット（前後の基準のパレットを混ぜる）
+   * @param {number} hour - 時（0〜24。小数で分を表す）
+   * @returns {string[]}
+   */
+  static getPaletteAt(hour) {
+    const count = PALETTE_ANCHORS.length;
+    const found = PALETTE_ANCHORS.findIndex(anchor => anchor.hour > hour);
+    const nextIndex = found === -1 ? 0 : found;  // 最後の基準より後なら、翌日の最初の基準へ向かう
+    const next = PALETTE_ANCHORS[nextIndex];
+    const prev = PALETTE_ANCHORS[(nextIndex - 1 + count) % count];
+
+    const span = (next.hour - prev.hour + 24) % 24;
+    const t = ((hour - prev.hour + 24) % 24) / span;
+    return this.PALETTES[prev.name].map((color, i) => this.lerpColor(color, this.PALETTES[next.name][i], t));
+  }
+
+  /**
+   * 記録のパレットの名前（アラームのメロディの雰囲気に使う）
+   * 版1の記録は選んだパレット、版2の記録は就寝時刻にいちばん近い基準のパレット
+   *
+   * @param {Object} record - 睡眠記録（bedtime, paletteVersion）
+   * @returns {string} PALETTES の名前
+   */
+  static getPaletteName(record) {
+    if (this.isBucketPalette(record)) return this.getBucketPaletteName(record.bedtime);
+
+    const hour = this.getClockHour(new Date(record.bedtime));
+    const distance = (anchor) => {
+      const diff = Math.abs(anchor.hour - hour);
+      return Math.min(diff, 24 - diff);
+    };
+    return PALETTE_ANCHORS.reduce((nearest, anchor) => (distance(anchor) < distance(nearest) ? anchor : nearest)).name;
+  }
+
+  /**
+   * 日時の時計の上の位置（時。分を小数で表す）
+   * @param {Date} date
+   */
+  static getClockHour(date) {
+    return date.getHours() + date.getMinutes() / 60;
+  }
+
+  /**
+   * 季節の彩度（夏至の夜が1、冬至の夜が PALETTE_WINTER_SATURATION）
+   * @param {Date} date
+   */
+  static getSeasonSaturation(date) {
+    const dayOfYear = (date - new Date(date.getFullYear(), 0, 1)) / 86400000;
+    const summer = (Math.cos(2 * Math.PI * (dayOfYear - 172) / 365.25) + 1) / 2;  // 夏至の前後で1、冬至で0
+    return PALETTE_WINTER_SATURATION + (1 - PALETTE_WINTER_SATURATION) * summer;
+  }
+
+  /**
+   * 色の彩度を変える（同じ明るさの灰色と混ぜる）
+   * @param {string} color - "#RRGGBB" または "rgb(r, g, b)" 形式の色
+   * @param {number} amount - 彩度の倍率（0〜1。1でそのまま）
+   * @returns {string} "rgb(r, g, b)" 形式の色
+   */
+  static saturate(color, amount) {
+    const [r, g, b] = this.parseColor(color);
+    const gray = Math.round(r * 0.299 + g * 0.587 + b * 0.114);
+    return this.lerpColor(`rgb(${gray}, ${gray}, ${gray})`, color, amount);
   }
 
   /**
    * 2色間を補間する（グラデーション用）
-   * @param {string} color1 - 開始色（#RRGGBB形式）
-   * @param {string} color2 - 終了色（#RRGGBB形式）
+   * @param {string} color1 - 開始色（#RRGGBB または rgb(r, g, b) 形式）
+   * @param {string} color2 - 終了色（#RRGGBB または rgb(r, g, b) 形式）
    * @param {number} t - 補間率（0〜1）
    * @returns {string} 補間された色
    */
   static lerpColor(color1, color2, t) {
-    // 16進数カラーコードをRGBに分解
-    const r1 = parseInt(color1.slice(1, 3), 16);
-    const g1 = parseInt(color1.slice(3, 5), 16);
-    const b1 = parseInt(color1.slice(5, 7), 16);
-    const r2 = parseInt(color2.slice(1, 3), 16);
-    const g2 = parseInt(color2.slice(3, 5), 16);
-    const b2 = parseInt(color2.slice(5, 7), 16);
+    // RGBに分解
+    const [r1, g1, b1] = this.parseColor(color1);
+    const [r2, g2, b2] = this.parseColor(color2);
 
     // 線形補間
     const r = Math.round(r1 + (r2 - r1) * t);
@@ -109,33 +287,73 @@ class SleepArtGenerator {
 
   /**
    * メインのアート生成関数
-   * キャンバスに睡眠データに基づくアートを描画する
+   * キャンバスに睡眠データに基づくアートを描画する（記録に残したスタイルで描く。art-styles.js）
    *
    * @param {HTMLCanvasElement} canvas - 描画先のキャンバス
-   * @param {Object} record - 睡眠記録
-   * @param {Object} options - オプション（streak: 連続日数）
+   * @param {Object} record - 睡眠記録（1日分。naps に昼寝のセッションを持つ）
+   * @param {Object} options - オプション（streak: その夜の時点での連続記録日数）
    */
   static generate(canvas, record, options = {}) {
-    const ctx = canvas.getContext('2d');
-    const w = canvas.width;
-    const h = canvas.height;
-    const streak = options.streak || 0;
+    SleepArtStyles.get(record.style).render(canvas, record, options);
+  }
 
-    // シード付き乱数を初期化
-    const rand = this.createRandom(record.artSeed);
+  /**
+   * アートを SVG の文書として生成する（拡大しても荒れない。svg-context.js）
+   * Canvas と同じ描画処理を通すので、同じ記録・オプション・大きさなら Canvas と同じ絵になる
+   *
+   * @param {Object} record - 睡眠記録（1日分）
+   * @param {Object} options - generate() のオプション
+   * @param {Object} size - { width, height }（px。作品の構図はこの大きさで決まる）
+   * @returns {string} SVG の文書
+   */
+  static generateSVG(record, options = {}, { width = 600, height = 600 } = {}) {
+    const ctx = new SleepSvgContext(width, height);
+    const canvas = { width, height, getContext: () => ctx };
+    this.generate(canvas, record, options);
+    return ctx.toSVG();
+  }
 
-    // 睡眠データからアートパラメータを計算
-    const duration = record.duration;          // 睡眠時間
-    const palette = this.selectPalette(record.bedtime);  // カラーパレット
+  /**
+   * 睡眠データからアートのパラメータを計算する（どのスタイルでも同じ）
+   *
+   * @param {Object} record - 睡眠記録（1日分）
+   * @param {Object} options - generate() のオプション
+   * @returns {Object} { palette, duration, quality: 0〜1, complexity: 0〜1, streak, checkIn }
+   */
+  static getParams(record, options = {}) {
+    const duration = record.duration;          // 睡眠時間（昼寝を含む1日の合計）
+    const palette = this.selectPalette(record);  // カラーパレット（記録したときの版で決める）
 
-    // 睡眠の「質」スコア（7.5時間を理想として計算）
+    // 睡眠の「質」スコア（その夜の目標の睡眠時間を理想として計算）
     // 理想に近いほど1に近く、離れるほど0に近い
-    const idealDiff = Math.abs(duration - 7.5);
-    const quality = Math.max(0, 1 - idealDiff / 5);
+    // 朝のふりかえりで満足度（1〜5）を付けていれば、半分はそちらで決める
+    const checkIn = record.checkIn || null;
+    const durationQuality = SleepGoal.getQuality(duration, SleepGoal.getGoal(record));
+    const quality = checkIn && checkIn.quality
+      ? (durationQuality + (checkIn.quality - 1) / 4) / 2
+      : durationQuality;
 
     // 各レイヤーの複雑さ（睡眠時間に比例）
     const complexity = Math.min(1, duration / 10);
 
+    return { palette, duration, quality, complexity, streak: options.streak || 0, checkIn };
+  }
+
+  /**
+   * 標準のスタイル（classic）: オーロラと光の粒の宇宙
+   * @param {HTMLCanvasElement} canvas - 描画先のキャンバス
+   * @param {Object} record - 睡眠記録（1日分）
+   * @param {Object} options - generate() のオプション
+   */
+  static drawClassic(canvas, record, options = {}) {
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const { palette, duration, quality, complexity, streak } = this.getParams(record, options);
+
+    // シード付き乱数を初期化
+    const rand = this.createRandom(record.artSeed);
+
     // === レイヤー1: 背景グラデーション ===
     this.drawBackground(ctx, w, h, palette, rand);
 
@@ -156,10 +374,54 @@ class SleepArtGenerator {
       this.drawStreakEffect(ctx, w, h, palette, rand, streak);
     }
 
+    // === レイヤー7〜11: 昼寝・スヌーズ・朝のふりかえり ===
+    this.drawRecordMarks(ctx, w, h, palette, record);
+
     // === 最終仕上げ: ビネット効果（周囲を暗く） ===
     this.drawVignette(ctx, w, h);
   }
 
+  /**
+   * 記録のしるし（レイヤー7〜11）を重ねる
+   * どのスタイルでも、昼寝・スヌーズ・朝のふりかえりが作品から分かるようにする
+   * （それぞれ専用のシードを使うので、スタイルの乱数列には影響しない）
+   */
+  static drawRecordMarks(ctx, w, h, palette, record) {
+    const checkIn = record.checkIn || null;
+
+    // === レイヤー7: 昼寝のモチーフ ===
+    // 昼寝ごとに別のシードを使い、メインの作品の乱数列には影響させない
+    (record.naps || []).forEach(nap => {
+      this.drawNap(ctx, w, h, palette, nap);
+    });
+
+    // === レイヤー8: スヌーズの波紋 ===
+    if (record.snoozeCount > 0) {
+      this.drawSnoozeRipples(ctx, w, h, palette, record);
+    }
+
+    // === レイヤー9〜11: 朝のふりかえり ===
+    if (checkIn) {
+      if (MOOD_LIGHTS[checkIn.mood]) this.drawMoodLight(ctx, w, h, MOOD_LIGHTS[checkIn.mood]);
+      checkIn.tags.forEach(tag => {
+        if (CHECKIN_TAG_MARKS[tag]) this.drawTagMark(ctx, w, h, tag, CHECKIN_TAG_MARKS[tag], record.artSeed);
+      });
+      if (checkIn.note) this.drawDreamSwirl(ctx, w, h, palette, checkIn.note);
+    }
+  }
+
+  /**
+   * 描画結果を決める入力をまとめた文字列を作る
+   * これが同じなら同じ絵になるので、描画済みアートのキャッシュの照合に使う
+   *
+   * @param {Object} record - 睡眠記録（1日分）
+   * @param {Object} options - generate() に渡すオプション
+   * @returns {string}
+   */
+  static getSignature(record, options = {}) {
+    return JSON.stringify([ART_CACHE_VERSION, record.sessions || [record], options]);
+  }
+
   // ============================
   // 各描画レイヤーの実装
   // ============================
@@ -253,7 +515,7 @@ class SleepArtGenerator {
       const x = rand() * w;
       const y = rand() * h;
       // サイズ: 質が高いほど大きくて柔らかい円
-      const radius = (10 + rand() * 40) * (0.5 + quality * 0.5) * (w / 400);
+      const radius = (10 + rand() * 40) * (0.5 + quality * 0.5) * this.getUnit(w, h);
       const color = palette[Math.floor(rand() * palette.length)];
 
       // 放射状グラデーションで柔らかいボケ効果
@@ -283,6 +545,7 @@ class SleepArtGenerator {
 
     // 幾何学要素のサイズ
     const maxRadius = Math.min(w, h) * (0.15 + quality * 0.1);
+    const unit = this.getUnit(w, h);
 
     ctx.save();
     ctx.translate(cx, cy);
@@ -307,12 +570,12 @@ class SleepArtGenerator {
       ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, 0, -lineLen);
 
       ctx.strokeStyle = this.withAlpha(color, 0.3);
-      ctx.lineWidth = 1 + rand() * 1.5;
+      ctx.lineWidth = (1 + rand() * 1.5) * unit;
       ctx.stroke();
 
       // 先端に小さな円
       ctx.beginPath();
-      ctx.arc(0, -lineLen, 2 + rand() * 4, 0, Math.PI * 2);
+      ctx.arc(0, -lineLen, (2 + rand() * 4) * unit, 0, Math.PI * 2);
       ctx.fillStyle = this.withAlpha(color, 0.4);
       ctx.fill();
 
@@ -327,7 +590,7 @@ class SleepArtGenerator {
       ctx.beginPath();
       ctx.arc(0, 0, ringRadius, 0, Math.PI * 2);
       ctx.strokeStyle = this.withAlpha(ringColor, 0.15 + quality * 0.1);
-      ctx.lineWidth = 0.5 + rand() * 1;
+      ctx.lineWidth = (0.5 + rand() * 1) * unit;
       ctx.stroke();
     }
 
@@ -341,11 +604,12 @@ class SleepArtGenerator {
   static drawStars(ctx, w, h, rand, complexity) {
     // 星の数（複雑さに応じて30〜150個）
     const numStars = 30 + Math.floor(complexity * 120);
+    const unit = this.getUnit(w, h);
 
     for (let i = 0; i < numStars; i++) {
       const x = rand() * w;
       const y = rand() * h;
-      const size = 0.5 + rand() * 2;
+      const size = (0.5 + rand() * 2) * unit;
       const brightness = 0.3 + rand() * 0.7;
 
       ctx.beginPath();
@@ -362,7 +626,7 @@ class SleepArtGenerator {
         ctx.moveTo(x, y - glowSize);
         ctx.lineTo(x, y + glowSize);
         ctx.strokeStyle = `rgba(255, 255, 255, ${brightness * 0.2})`;
-        ctx.lineWidth = 0.5;
+        ctx.lineWidth = 0.5 * unit;
         ctx.stroke();
       }
     }
@@ -373,13 +637,15 @@ class SleepArtGenerator {
    * 連続記録日数に応じて特別なエフェクトを追加
    */
   static drawStreakEffect(ctx, w, h, palette, rand, streak) {
+    const unit = this.getUnit(w, h);
+
     // 3日以上: 黄金の輝き効果
     if (streak >= 3) {
       const numGlows = Math.min(streak, 20);
       for (let i = 0; i < numGlows; i++) {
         const x = rand() * w;
         const y = rand() * h;
-        const size = 20 + rand() * 30;
+        const size = (20 + rand() * 30) * unit;
 
         const gradient = ctx.createRadialGradient(x, y, 0, x, y, size);
         gradient.addColorStop(0, 'rgba(255, 215, 0, 0.1)');
@@ -402,7 +668,7 @@ class SleepArtGenerator {
       ctx.beginPath();
       ctx.arc(cx, cy, radius, 0, Math.PI * 2);
       ctx.strokeStyle = 'rgba(255, 215, 0, 0.12)';
-      ctx.lineWidth = 2;
+      ctx.lineWidth = 2 * unit;
       ctx.stroke();
 
       // 虹色のグラデーションリング
@@ -415,7 +681,7 @@ class SleepArtGenerator {
         ctx.beginPath();
         ctx.arc(cx, cy, radius * (0.95 + rand() * 0.1), angle, nextAngle);
         ctx.strokeStyle = `hsla(${hue}, 80%, 60%, 0.08)`;
-        ctx.lineWidth = 3;
+        ctx.lineWidth = 3 * unit;
         ctx.stroke();
       }
     }
@@ -441,13 +707,205 @@ class SleepArtGenerator {
       ctx.fillStyle = dGrad;
       ctx.fill();
       ctx.strokeStyle = 'rgba(255, 215, 0, 0.2)';
-      ctx.lineWidth = 1;
+      ctx.lineWidth = unit;
       ctx.stroke();
 
       ctx.restore();
     }
   }
 
+  /**
+   * レイヤー7: 昼寝のモチーフ
+   * 時計の文字盤に見立てた円周上、昼寝した時刻の位置に三日月を置き、
+   * 昼寝していた時間の長さだけ細い弧を描く
+   */
+  static drawNap(ctx, w, h, palette, nap) {
+    const rand = this.createRandom(nap.artSeed);
+    const cx = w / 2;
+    const cy = h / 2;
+    const orbit = Math.min(w, h) * 0.38;
+
+    // 時刻 → 文字盤上の角度（0時が真上、24時間で1周）
+    const toAngle = (date) => {
+      const hours = date.getHours() + date.getMinutes() / 60;
+      return (hours / 24) * Math.PI * 2 - Math.PI / 2;
+    };
+    const startAngle = toAngle(new Date(nap.bedtime));
+    const endAngle = toAngle(new Date(nap.wakeTime));
+    const color = palette[3 + Math.floor(rand() * (palette.length - 3))];
+
+    // 昼寝していた時間の弧
+    ctx.beginPath();
+    ctx.arc(cx, cy, orbit, startAngle, endAngle);
+    ctx.strokeStyle = this.withAlpha(color, 0.35);
+    ctx.lineWidth = 2 * this.getUnit(w, h);
+    ctx.stroke();
+
+    // 三日月の位置（弧の中央）と大きさ（長い昼寝ほど大きい）
+    const midAngle = startAngle + (((endAngle - startAngle) + Math.PI * 2) % (Math.PI * 2)) / 2;
+    const x = cx + Math.cos(midAngle) * orbit;
+    const y = cy + Math.sin(midAngle) * orbit;
+    const r = Math.min(w, h) * (0.03 + Math.min(nap.duration, 3) / 3 * 0.04);
+
+    // ふんわりとした光
+    const glow = ctx.createRadialGradient(x, y, 0, x, y, r * 3);
+    glow.addColorStop(0, this.withAlpha(color, 0.2));
+    glow.addColorStop(1, 'transparent');
+    ctx.beginPath();
+    ctx.arc(x, y, r * 3, 0, Math.PI * 2);
+    ctx.fillStyle = glow;
+    ctx.fill();
+
+    // 三日月: 大きな円から、少しずらした円を切り取った形
+    const d = r * 0.5;          // 切り取る円の中心のずれ
+    const r2 = r * 0.85;        // 切り取る円の半径
+    const xi = (d * d + r * r - r2 * r2) / (2 * d);
+    const yi = Math.sqrt(Math.max(0, r * r - xi * xi));
+    const theta = Math.atan2(yi, xi);
+    const phi = Math.atan2(yi, xi - d);
+
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(rand() * Math.PI * 2);
+    ctx.beginPath();
+    ctx.arc(0, 0, r, theta, Math.PI * 2 - theta);
+    ctx.arc(d, 0, r2, -phi, phi, true);
+    ctx.closePath();
+    ctx.fillStyle = this.withAlpha(color, 0.75);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * レイヤー8: スヌーズの波紋
+   * 水面にしずくが落ちたように、スヌーズした回数だけ同心円の波紋を広げる
+   * メインの作品の乱数列には影響させないよう、別のシードを使う
+   */
+  static drawSnoozeRipples(ctx, w, h, palette, record) {
+    const rand = this.createRandom(record.artSeed ^ 0x5f3759df);
+    const count = Math.min(record.snoozeCount, 8);
+    const size = Math.min(w, h);
+    const cx = w * (0.25 + rand() * 0.5);
+    const cy = h * (0.6 + rand() * 0.25);
+    const color = palette[5 + Math.floor(rand() * (palette.length - 5))];
+
+    for (let i = 0; i < count; i++) {
+      // 外側の波紋ほど大きく、薄く
+      const radius = size * (0.05 + i * 0.045);
+      const alpha = 0.35 * (1 - i / (count + 1));
+
+      // 水面を斜めから見たように、横長の楕円にする
+      ctx.beginPath();
+      ctx.ellipse(cx, cy, radius, radius * 0.35, 0, 0, Math.PI * 2);
+      ctx.strokeStyle = this.withAlpha(color, alpha);
+      ctx.lineWidth = 1.2 * this.getUnit(w, h);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * レイヤー9: 気分の光
+   * 気分がよい朝は上から柔らかい光が差し、すぐれない朝は全体に薄い膜がかかる
+   */
+  static drawMoodLight(ctx, w, h, light) {
+    if (light.veil) {
+      ctx.fillStyle = light.veil;
+      ctx.fillRect(0, 0, w, h);
+      return;
+    }
+
+    const cy = h * light.y;
+    const radius = Math.max(w, h) * 0.7;
+    const gradient = ctx.createRadialGradient(w / 2, cy, 0, w / 2, cy, radius);
+    gradient.addColorStop(0, this.withAlpha(light.glow, light.alpha));
+    gradient.addColorStop(1, 'transparent');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, w, h);
+  }
+
+  /**
+   * レイヤー10: 前日の過ごし方のしるし
+   * タグごとに小さなしるしを1つ置く（位置はシードとタグから決める）
+   * - caffeine: はじける火花 / alcohol: ゆらぐ輪 / exercise: 駆け上がる線 / stress: もつれた線
+   */
+  static drawTagMark(ctx, w, h, tag, mark, artSeed) {
+    const rand = this.createRandom(artSeed ^ mark.salt);
+    const size = Math.min(w, h);
+    const cx = w * (0.15 + rand() * 0.7);
+    const cy = h * (0.15 + rand() * 0.7);
+    const r = size * 0.06;
+
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.strokeStyle = this.withAlpha(mark.color, 0.5);
+    ctx.lineWidth = 1.2 * this.getUnit(w, h);
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+
+    if (tag === 'caffeine') {
+      // 中心から外へ、折れ曲がった短い線
+      for (let i = 0; i < 6; i++) {
+        const angle = (i / 6) * Math.PI * 2 + rand() * 0.5;
+        const kink = (rand() - 0.5) * 0.6;
+        ctx.moveTo(Math.cos(angle) * r * 0.3, Math.sin(angle) * r * 0.3);
+        ctx.lineTo(Math.cos(angle + kink) * r * 0.65, Math.sin(angle + kink) * r * 0.65);
+        ctx.lineTo(Math.cos(angle) * r, Math.sin(angle) * r);
+      }
+    } else if (tag === 'alcohol') {
+      // 少しずつずれて重なる楕円（1つずつ描いて、輪どうしを線でつながない）
+      for (let i = 0; i < 3; i++) {
+        const offset = r * 0.15 * i;
+        ctx.ellipse(offset, offset * 0.5, r * (0.5 + i * 0.2), r * (0.3 + i * 0.15), rand() * 0.4, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.beginPath();
+      }
+    } else if (tag === 'exercise') {
+      // 右上へ駆け上がる平行な線
+      for (let i = 0; i < 5; i++) {
+        const x = (i - 2) * r * 0.25;
+        const length = r * (0.6 + rand() * 0.6);
+        ctx.moveTo(x, r * 0.5);
+        ctx.lineTo(x + length * 0.5, r * 0.5 - length);
+      }
+    } else {
+      // 狭い範囲を行き来する、もつれた線
+      ctx.moveTo(0, 0);
+      for (let i = 0; i < 14; i++) {
+        ctx.lineTo((rand() - 0.5) * r * 1.6, (rand() - 0.5) * r * 1.6);
+      }
+    }
+
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * レイヤー11: 夢のうずまき
+   * 夢やメモを書いた朝は、その文章から決めた位置に光の粒のうずまきを描く
+   * （文章を書き直すと、うずまきも変わる）
+   */
+  static drawDreamSwirl(ctx, w, h, palette, note) {
+    const rand = this.createRandom(this.hashText(note));
+    const size = Math.min(w, h);
+    const cx = w * (0.25 + rand() * 0.5);
+    const cy = h * (0.25 + rand() * 0.5);
+    const turns = 2 + rand() * 2;
+    const direction = rand() < 0.5 ? 1 : -1;
+    const color = palette[palette.length - 1];
+    const dots = 40 + Math.min(note.length, 200) / 5;
+
+    for (let i = 0; i < dots; i++) {
+      const t = i / dots;
+      const angle = direction * t * turns * Math.PI * 2;
+      const radius = size * 0.18 * t;
+      ctx.beginPath();
+      ctx.arc(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius,
+        1.6 * this.getUnit(w, h) * (1 - t * 0.5), 0, Math.PI * 2);
+      ctx.fillStyle = this.withAlpha(color, 0.5 * (1 - t) + 0.1);
+      ctx.fill();
+    }
+  }
+
   /**
    * 最終仕上げ: ビネット効果
    * 画面の四隅を暗くして作品にまとまりを出す
@@ -469,15 +927,49 @@ class SleepArtGenerator {
   // ============================
 
   /**
-   * 16進数カラーにアルファ値を追加する
-   * @param {string} hex - "#RRGGBB" 形式のカラーコード
+   * 基準の大きさ（ART_REFERENCE_SIZE）に対する倍率
+   * 固定の大きさで描く半径・線の太さに掛ける
+   * @param {number} w - キャンバスの幅
+   * @param {number} h - キャンバスの高さ
+   */
+  static getUnit(w, h) {
+    return Math.min(w, h) / ART_REFERENCE_SIZE;
+  }
+
+  /**
+   * 文字列から乱数のシードを作る（FNV-1a）
+   * @param {string} text
+   * @returns {number} 32ビットの整数
+   */
+  static hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash | 0;
+  }
+
+  /**
+   * 色にアルファ値を追加する
+   * @param {string} color - "#RRGGBB" または "rgb(r, g, b)" 形式の色
    * @param {number} alpha - 透明度（0〜1）
    * @returns {string} "rgba(r,g,b,a)" 形式の文字列
    */
-  static withAlpha(hex, alpha) {
-    const r = parseInt(hex.slice(1, 3), 16);
-    const g = parseInt(hex.slice(3, 5), 16);
-    const b = parseInt(hex.slice(5, 7), 16);
+  static withAlpha(color, alpha) {
+    const [r, g, b] = this.parseColor(color);
     return `rgba(${r}, ${g}, ${b}, ${alpha})`;
   }
+
+  /**
+   * 色をRGBの数値に分解する
+   * @param {string} color - "#RRGGBB" または "rgb(r, g, b)" 形式の色
+   * @returns {number[]} [r, g, b]
+   */
+  static parseColor(color) {
+    if (color.startsWith('#')) {
+      return [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    }
+    return color.match(/[\d.]+/g).slice(0, 3).map(Number);
+  }
 }
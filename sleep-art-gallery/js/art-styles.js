@@ -0,0 +1,363 @@
+/* ============================================
+   art-styles.js - アートのスタイル（描き方）
+
+   同じ睡眠データから、スタイルごとに違う描き方の作品を作る。
+   スタイルは「設定」タブで選んだものが新しい夜の記録に残り（record.style）、
+   アートのモーダルから夜ごとに選び直せる。記録のないスタイルは classic で描く。
+
+   - classic:    オーロラと光の粒の宇宙（art-generator.js の標準のスタイル）
+   - flowfield:  流れに沿って線を走らせる流れ場
+   - watercolor: 紙ににじむ水彩のしみ
+   - mosaic:     ピクセルのモザイク
+   - contour:    地図の等高線
+   - sumie:      墨で描く円相（streak の日は落款を押す）
+
+   どのスタイルも render(canvas, record, options) で描く（SleepArtGenerator.generate と同じ）。
+   同じ記録から同じ絵になるよう、乱数は記録のシードから作る（SleepArtGenerator.createRandom）。
+   睡眠データの読み取り（パレット・質・複雑さ）は SleepArtGenerator.getParams を使い、
+   昼寝・スヌーズ・朝のふりかえりのしるしはどのスタイルにも重ねる。
+   ============================================ */
+
+// 記録にスタイルがない場合・設定していない場合のスタイル
+const ART_STYLE_DEFAULT = 'classic';
+
+/**
+ * SleepArtStyles クラス
+ * アートのスタイルの登録・選択と、標準以外のスタイルの描画を担当する
+ */
+class SleepArtStyles {
+
+  // === スタイルの一覧 ===
+  // label: 表示名 / render(canvas, record, options): 描画する（SleepArtGenerator.generate と同じ引数）
+  static STYLES = {
+    classic: {
+      label: 'オーロラ',
+      render: (canvas, record, options) => SleepArtGenerator.drawClassic(canvas, record, options),
+    },
+    flowfield: {
+      label: '流れ',
+      render: (canvas, record, options) => SleepArtStyles.paint(canvas, record, options, 'drawFlowField'),
+    },
+    watercolor: {
+      label: '水彩',
+      render: (canvas, record, options) => SleepArtStyles.paint(canvas, record, options, 'drawWatercolor', { vignette: false }),
+    },
+    mosaic: {
+      label: 'モザイク',
+      render: (canvas, record, options) => SleepArtStyles.paint(canvas, record, options, 'drawMosaic'),
+    },
+    contour: {
+      label: '等高線',
+      render: (canvas, record, options) => SleepArtStyles.paint(canvas, record, options, 'drawContour'),
+    },
+    sumie: {
+      label: '墨絵',
+      render: (canvas, record, options) => SleepArtStyles.paint(canvas, record, options, 'drawSumie', { vignette: false }),
+    },
+  };
+
+  /**
+   * スタイルを追加する（同じIDがあれば置き換える）
+   * @param {string} id - スタイルのID（記録の style に残る）
+   * @param {Object} style - { label, render(canvas, record, options) }
+   */
+  static register(id, style) {
+    if (!id || typeof style.render !== 'function') {
+      throw new Error('スタイルにはIDと render() が必要です');
+    }
+    this.STYLES[id] = style;
+  }
+
+  /**
+   * スタイルを取得する（知らないスタイルなら classic）
+   * @param {string|undefined} id
+   */
+  static get(id) {
+    return this.STYLES[id] || this.STYLES[ART_STYLE_DEFAULT];
+  }
+
+  /**
+   * 選べるスタイルの一覧
+   * @returns {Object[]} { id, label }
+   */
+  static getOptions() {
+    return Object.entries(this.STYLES).map(([id, style]) => ({ id, label: style.label }));
+  }
+
+  /**
+   * 新しい夜に使うスタイル（設定のスタイルが登録されていなければ classic）
+   */
+  static getDefault() {
+    const id = SleepStorage.getArtStyle();
+    return this.STYLES[id] ? id : ART_STYLE_DEFAULT;
+  }
+
+  /**
+   * 標準以外のスタイルの共通の手順
+   * スタイルの絵を描き、記録のしるしを重ね、（必要なら）周囲を暗くする
+   *
+   * @param {HTMLCanvasElement} canvas - 描画先のキャンバス
+   * @param {Object} record - 睡眠記録（1日分）
+   * @param {Object} options - SleepArtGenerator.generate() のオプション
+   * @param {string} method - 絵を描くメソッドの名前（引数は ctx, w, h, params, rand）
+   * @param {Object} finish - { vignette: 周囲を暗くするか（紙に描くスタイルはしない） }
+   */
+  static paint(canvas, record, options, method, { vignette = true } = {}) {
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const params = SleepArtGenerator.getParams(record, options);
+
+    this[method](ctx, w, h, params, SleepArtGenerator.createRandom(record.artSeed));
+    SleepArtGenerator.drawRecordMarks(ctx, w, h, params.palette, record);
+    if (vignette) SleepArtGenerator.drawVignette(ctx, w, h);
+  }
+
+  // ============================
+  // 各スタイルの描画
+  // ============================
+
+  /**
+   * 流れ場: なめらかな角度の場に沿って線を走らせる
+   * 睡眠時間が長いほど線が多く、質が高いほど流れがゆったりする
+   */
+  static drawFlowField(ctx, w, h, { palette, quality, complexity, streak }, rand) {
+    SleepArtGenerator.drawBackground(ctx, w, h, palette, rand);
+
+    // 座標 → 流れの向き（正弦波を重ねた場。質が低いほど細かく乱れる）
+    const scale = 1.5 + (1 - quality) * 3.5;
+    const phases = [rand(), rand(), rand()].map(v => v * Math.PI * 2);
+    const angleAt = (x, y) => {
+      const u = (x / w) * scale;
+      const v = (y / h) * scale;
+      return Math.sin(u + phases[0]) * Math.PI + Math.cos(v * 1.3 + phases[1]) * Math.PI + Math.sin((u + v) * 0.7 + phases[2]);
+    };
+
+    const size = Math.min(w, h);
+    const step = size * 0.006;
+    const count = Math.floor(120 + complexity * 360);
+    ctx.lineWidth = size * 0.002;
+    ctx.lineCap = 'round';
+
+    for (let i = 0; i < count; i++) {
+      let x = rand() * w;
+      let y = rand() * h;
+      const color = palette[2 + Math.floor(rand() * (palette.length - 2))];
+      const steps = 20 + Math.floor(rand() * 40);
+
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      for (let s = 0; s < steps; s++) {
+        const angle = angleAt(x, y);
+        x += Math.cos(angle) * step;
+        y += Math.sin(angle) * step;
+        ctx.lineTo(x, y);
+      }
+      ctx.strokeStyle = SleepArtGenerator.withAlpha(color, 0.15 + rand() * 0.25);
+      ctx.stroke();
+    }
+
+    if (streak >= 3) SleepArtGenerator.drawStreakEffect(ctx, w, h, palette, rand, streak);
+  }
+
+  /**
+   * 水彩: 紙の上に、形を少しずつずらしたしみを薄く塗り重ねる
+   * 睡眠時間が長いほどしみが多く、質が高いほど大きくまるいしみになる
+   */
+  static drawWatercolor(ctx, w, h, { palette, quality, complexity, streak }, rand) {
+    // 紙（パレットのいちばん明るい色をほんのり混ぜる）
+    ctx.fillStyle = SleepArtGenerator.lerpColor('#f4efe6', palette[palette.length - 1], 0.2);
+    ctx.fillRect(0, 0, w, h);
+
+    const size = Math.min(w, h);
+    const numBlots = 3 + Math.floor(complexity * 7);
+    const vertices = 10;
+
+    ctx.globalCompositeOperation = 'multiply';
+    for (let i = 0; i < numBlots; i++) {
+      const cx = rand() * w;
+      const cy = rand() * h;
+      const radius = size * (0.08 + rand() * 0.16) * (0.6 + quality * 0.4);
+      const color = palette[1 + Math.floor(rand() * (palette.length - 1))];
+      const jitter = 0.15 + (1 - quality) * 0.25;  // 輪郭のゆがみ
+
+      // しみの元の形
+      const base = [];
+      for (let v = 0; v < vertices; v++) {
+        base.push(radius * (1 - jitter / 2 + rand() * jitter));
+      }
+
+      // 形を少しずつずらしながら薄く塗り重ねる
+      for (let layer = 0; layer < 12; layer++) {
+        ctx.beginPath();
+        base.forEach((r, v) => {
+          const angle = (v / vertices) * Math.PI * 2;
+          const rr = r * (0.85 + rand() * 0.3);
+          const x = cx + Math.cos(angle) * rr;
+          const y = cy + Math.sin(angle) * rr;
+          if (v === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
+        ctx.fillStyle = SleepArtGenerator.withAlpha(color, 0.05);
+        ctx.fill();
+      }
+    }
+    ctx.globalCompositeOperation = 'source-over';
+
+    if (streak >= 3) SleepArtGenerator.drawStreakEffect(ctx, w, h, palette, rand, streak);
+  }
+
+  /**
+   * モザイク: ゆるやかな模様をピクセルの色に置き換える
+   * 睡眠時間が長いほどマスが細かく、質が低いほど色がばらつく
+   */
+  static drawMosaic(ctx, w, h, { palette, quality, complexity, streak }, rand) {
+    ctx.fillStyle = palette[0];
+    ctx.fillRect(0, 0, w, h);
+
+    const cols = Math.round(8 + complexity * 24);
+    const cell = w / cols;
+    const rows = Math.ceil(h / cell);
+    const gap = cell * 0.08;
+    const freqX = 2 + rand() * 4;
+    const freqY = 2 + rand() * 4;
+    const phaseX = rand() * Math.PI * 2;
+    const phaseY = rand() * Math.PI * 2;
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        // 模様の値（0〜1）に、質が低いほど大きなばらつきを加えて色を選ぶ
+        const wave = (Math.sin((col / cols) * freqX + phaseX) + Math.cos((row / rows) * freqY + phaseY) + 2) / 4;
+        const value = Math.max(0, Math.min(1, wave + (rand() - 0.5) * (1 - quality) * 0.6));
+        ctx.fillStyle = palette[Math.round(value * (palette.length - 1))];
+        ctx.fillRect(col * cell + gap / 2, row * cell + gap / 2, cell - gap, cell - gap);
+      }
+    }
+
+    if (streak >= 3) SleepArtGenerator.drawStreakEffect(ctx, w, h, palette, rand, streak);
+  }
+
+  /**
+   * 等高線: いくつかの山を、ゆがんだ同心の線で描く
+   * 睡眠時間が長いほど山が多く、質が高いほど線がなめらかになる
+   */
+  static drawContour(ctx, w, h, { palette, quality, complexity, streak }, rand) {
+    ctx.fillStyle = palette[0];
+    ctx.fillRect(0, 0, w, h);
+
+    const size = Math.min(w, h);
+    const numPeaks = 2 + Math.floor(complexity * 4);
+    const wobble = 0.05 + (1 - quality) * 0.15;
+    ctx.lineWidth = size * 0.0025;
+
+    for (let i = 0; i < numPeaks; i++) {
+      const cx = rand() * w;
+      const cy = rand() * h;
+      const maxRadius = size * (0.2 + rand() * 0.35);
+      const levels = 6 + Math.floor(rand() * 6);
+      const phase1 = rand() * Math.PI * 2;
+      const phase2 = rand() * Math.PI * 2;
+
+      for (let level = 1; level <= levels; level++) {
+        const radius = (maxRadius * level) / levels;
+        ctx.beginPath();
+        for (let s = 0; s <= 64; s++) {
+          const angle = (s / 64) * Math.PI * 2;
+          const r = radius * (1 + wobble * Math.sin(angle * 3 + phase1) + wobble * 0.5 * Math.sin(angle * 5 + phase2));
+          const x = cx + Math.cos(angle) * r;
+          const y = cy + Math.sin(angle) * r;
+          if (s === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        }
+        ctx.closePath();
+        // 山頂に近い線ほど明るい色
+        const color = SleepArtGenerator.lerpColor(palette[palette.length - 1], palette[2], level / levels);
+        ctx.strokeStyle = SleepArtGenerator.withAlpha(color, 0.5);
+        ctx.stroke();
+      }
+    }
+
+    if (streak >= 3) SleepArtGenerator.drawStreakEffect(ctx, w, h, palette, rand, streak);
+  }
+
+  /**
+   * 墨絵: 紙に墨で円相を描き、草の筆を添える
+   * 質が高いほど円が閉じ、睡眠時間が長いほど草が多い。質が低い日は墨が飛び散る。
+   * 連続記録の日は光の代わりに落款（赤い印）を押す
+   */
+  static drawSumie(ctx, w, h, { palette, quality, complexity, streak }, rand) {
+    const size = Math.min(w, h);
+    const ink = '#1b1b1b';
+
+    // 紙と、円相の後ろの淡い色（就寝時刻のパレットの色）
+    ctx.fillStyle = SleepArtGenerator.lerpColor('#f3ede1', palette[5], 0.08);
+    ctx.fillRect(0, 0, w, h);
+    const wash = ctx.createRadialGradient(w / 2, h / 2, 0, w / 2, h / 2, size * 0.45);
+    wash.addColorStop(0, SleepArtGenerator.withAlpha(palette[3], 0.18));
+    wash.addColorStop(1, 'transparent');
+    ctx.fillStyle = wash;
+    ctx.fillRect(0, 0, w, h);
+
+    // 円相（筆の太さを少しずつ変えながら点を重ねる）
+    const radius = size * 0.28;
+    const start = rand() * Math.PI * 2;
+    const sweep = Math.PI * 2 * (0.7 + quality * 0.25);
+    const dots = 240;
+    for (let i = 0; i < dots; i++) {
+      const t = i / dots;
+      const angle = start + sweep * t;
+      const brush = size * 0.025 * (1 - t * 0.6) * (0.8 + rand() * 0.4);
+      ctx.beginPath();
+      ctx.arc(w / 2 + Math.cos(angle) * radius, h / 2 + Math.sin(angle) * radius, brush, 0, Math.PI * 2);
+      ctx.fillStyle = SleepArtGenerator.withAlpha(ink, 0.5);
+      ctx.fill();
+    }
+
+    // 下から伸びる草（入りは太く、抜きは細く）
+    const numStrokes = 2 + Math.floor(complexity * 5);
+    for (let i = 0; i < numStrokes; i++) {
+      const x0 = w * (0.05 + rand() * 0.9);
+      const x1 = x0 + (rand() - 0.5) * w * 0.3;
+      const y1 = h * (0.45 + rand() * 0.35);
+      const bend = (rand() - 0.5) * w * 0.2;
+      for (let s = 0; s < 60; s++) {
+        const t = s / 60;
+        const x = (1 - t) * (1 - t) * x0 + 2 * (1 - t) * t * (x0 + bend) + t * t * x1;
+        const y = (1 - t) * (1 - t) * h + 2 * (1 - t) * t * ((h + y1) / 2) + t * t * y1;
+        ctx.beginPath();
+        ctx.arc(x, y, size * 0.008 * (1 - t * 0.9), 0, Math.PI * 2);
+        ctx.fillStyle = SleepArtGenerator.withAlpha(ink, 0.6);
+        ctx.fill();
+      }
+    }
+
+    // 墨の飛び散り
+    const numSplashes = Math.floor((1 - quality) * 10);
+    for (let i = 0; i < numSplashes; i++) {
+      ctx.beginPath();
+      ctx.arc(rand() * w, rand() * h, size * (0.002 + rand() * 0.008), 0, Math.PI * 2);
+      ctx.fillStyle = SleepArtGenerator.withAlpha(ink, 0.4 + rand() * 0.4);
+      ctx.fill();
+    }
+
+    // 落款: 3日以上で角印、14日以上で丸印も押す
+    if (streak >= 3) {
+      const seal = size * 0.07;
+      const x = w - seal * 1.6;
+      const y = h - seal * 1.6;
+      ctx.fillStyle = 'rgba(183, 28, 28, 0.85)';
+      ctx.fillRect(x, y, seal, seal);
+      ctx.strokeStyle = 'rgba(243, 237, 225, 0.8)';
+      ctx.lineWidth = seal * 0.06;
+      ctx.strokeRect(x + seal * 0.18, y + seal * 0.18, seal * 0.64, seal * 0.64);
+
+      if (streak >= 14) {
+        ctx.beginPath();
+        ctx.arc(x + seal / 2, y - seal * 0.8, seal * 0.4, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(183, 28, 28, 0.85)';
+        ctx.fill();
+      }
+    }
+  }
+}
@@ -0,0 +1,199 @@
+/* ============================================
+   bedtime-reminder.js - 就寝リマインダー
+
+   「おやすみ」を押すまでアプリは何もしないので、目標の就寝時刻
+   （アートの色は就寝時刻で連続的に変わり、21時ごろなら穏やかな serene の色になる）に向けて、少し前に知らせる。
+
+   - 目標の就寝時刻と、何分前に知らせるかを設定画面で決める
+     （設定の bedtimeTarget: "HH:MM" または null / bedtimeReminderMinutes）
+   - 知らせ方はアラーム（alarm-scheduler.js）と同じく、タブの中のタイマーと、
+     対応していれば時刻指定の通知（Notification Triggers）を使う
+   - 通知の「準備を始める」を押すと、おやすみ前の画面（画面を暗くして、
+     呼吸に合わせて広がる円と、好みで静かな音）を開く（app.js）
+   - 起床時に、その夜の目標を記録に残す（record.bedtimeTarget）。
+     実際の就寝時刻との差を集計して、目標にどれだけ近づけているかを表示する
+   ============================================ */
+
+// 就寝リマインダーの通知に付けるタグ（sw.js と同じ）
+const BEDTIME_NOTIFICATION_TAG = 'sleep-art-gallery-bedtime';
+
+// 目標の就寝時刻の初期値（設定画面でオンにしたときに入れておく）
+const BEDTIME_DEFAULT_TARGET = '23:00';
+
+// 何分前に知らせるかの初期値
+const BEDTIME_REMINDER_DEFAULT_MINUTES = 30;
+
+// 目標どおりに寝られたとみなす差（分）
+const BEDTIME_ON_TARGET_MINUTES = 15;
+
+// おやすみ前の画面の呼吸のリズム（秒）: 吸う → 吐く
+const BREATH_IN_SECONDS = 4;
+const BREATH_OUT_SECONDS = 6;
+
+/**
+ * SleepBedtimeReminder クラス
+ * 就寝リマインダーの予約と、目標の就寝時刻との差の集計を担当する
+ */
+class SleepBedtimeReminder {
+
+  static timerId = null;
+  static generation = 0;  // 予約し直すたびに増やす（古い予約の続きを止めるため）
+
+  // === 設定 ===
+
+  /**
+   * 就寝リマインダーの設定を取得する
+   * @returns {Object} { target: "HH:MM"（使わなければnull）, minutes: 何分前に知らせるか }
+   */
+  static getSettings() {
+    const settings = SleepStorage.getSettings();
+    return {
+      target: /^\d{2}:\d{2}$/.test(settings.bedtimeTarget) ? settings.bedtimeTarget : null,
+      minutes: Number.isInteger(settings.bedtimeReminderMinutes)
+        ? settings.bedtimeReminderMinutes : BEDTIME_REMINDER_DEFAULT_MINUTES,
+    };
+  }
+
+  /**
+   * 次に知らせる日時を求める（目標がなければnull）
+   * @param {Date} now - 現在時刻
+   * @returns {Date|null}
+   */
+  static getNextReminder(now = new Date()) {
+    const { target, minutes } = this.getSettings();
+    if (!target) return null;
+
+    const [hours, mins] = target.split(':').map(Number);
+    const at = new Date(now);
+    at.setHours(hours, mins - minutes, 0, 0);
+    if (at <= now) at.setDate(at.getDate() + 1);
+    return at;
+  }
+
+  // === 予約 ===
+
+  /**
+   * 次のリマインダーを予約する（設定を変えたときと起動時に呼ぶ）
+   * 知らせた後は翌日の分を予約し直す
+   *
+   * @param {Function} onRemind - タブの中で知らせる時刻になったときに呼ぶ関数
+   */
+  static async schedule(onRemind) {
+    const generation = ++this.generation;
+    clearTimeout(this.timerId);
+    this.timerId = null;
+
+    const registration = await SleepAlarmScheduler.getRegistration();
+    if (registration) await this.cancelPending(registration);
+    if (generation !== this.generation) return;
+
+    const at = this.getNextReminder();
+    if (!at) return;
+
+    // タブを開いている間はタイマーで知らせる（就寝中なら知らせない）
+    this.timerId = setTimeout(() => {
+      if (!SleepStorage.isSleeping()) onRemind();
+      this.schedule(onRemind);
+    }, at - new Date());
+
+    // タブを閉じていても届くよう、時刻指定の通知も予約しておく
+    if (!registration || Notification.permission !== 'granted' || !SleepAlarmScheduler.supportsTriggers()) return;
+    try {
+      await registration.showNotification('Sleep Art Gallery', {
+        ...this.getNotificationOptions(),
+        showTrigger: new TimestampTrigger(at.getTime()),
+      });
+    } catch (e) {
+      console.warn('就寝リマインダーを予約できませんでした:', e);
+    }
+  }
+
+  /**
+   * 「そろそろ寝る準備を」の通知を今すぐ出す（タブの中で時刻になったとき）
+   * 予約した通知と同じタグなので、二重には表示されない
+   */
+  static async notify() {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const registration = await SleepAlarmScheduler.getRegistration();
+    if (registration) {
+      await registration.showNotification('Sleep Art Gallery', this.getNotificationOptions());
+    } else {
+      new Notification('Sleep Art Gallery', this.getNotificationOptions());
+    }
+  }
+
+  /**
+   * 予約中（まだ表示していない）の就寝リマインダーの通知を取り消す
+   * （予約した通知の timestamp は表示する時刻になる。表示済みの通知は残す）
+   */
+  static async cancelPending(registration) {
+    const notifications = await registration.getNotifications({
+      tag: BEDTIME_NOTIFICATION_TAG,
+      includeTriggered: true,
+    }).catch(() => []);
+    notifications
+      .filter(notification => notification.timestamp > Date.now())
+      .forEach(notification => notification.close());
+  }
+
+  /**
+   * 就寝リマインダーの通知の内容
+   */
+  static getNotificationOptions() {
+    const { target } = this.getSettings();
+    return {
+      tag: BEDTIME_NOTIFICATION_TAG,
+      body: `そろそろ寝る準備を始めましょう（${target} 就寝予定）`,
+      icon: 'icons/icon.svg',
+      actions: [{ action: 'winddown', title: '準備を始める' }],
+    };
+  }
+
+  // === 目標との差 ===
+
+  /**
+   * 記録の就寝時刻が、その夜の目標からどれだけずれたか
+   * （日付をまたぐ場合も近い方の目標と比べる。例: 目標 23:00・就寝 0:30 なら +90）
+   *
+   * @param {Object} record - 睡眠記録（bedtime と bedtimeTarget を使う）
+   * @returns {number|null} 差（分。遅ければ正、早ければ負）。目標のない記録はnull
+   */
+  static getDeviation(record) {
+    if (!record.bedtimeTarget) return null;
+
+    const bedtime = new Date(record.bedtime);
+    const [hours, mins] = record.bedtimeTarget.split(':').map(Number);
+    const diff = (bedtime.getHours() * 60 + bedtime.getMinutes()) - (hours * 60 + mins);
+    // -720〜719分の範囲に収める
+    return ((diff + 720) % 1440 + 1440) % 1440 - 720;
+  }
+
+  /**
+   * 直近の記録で、目標の就寝時刻にどれだけ近づけているかを集計する
+   * @param {number} days - 直近何日分を対象にするか
+   * @returns {Object|null} { count: 目標のあった日数, onTarget: 目標どおりだった日数,
+   *   averageMinutes: 差の絶対値の平均（分） }（目標のある記録がなければnull）
+   */
+  static getAdherence(days = 7) {
+    const deviations = SleepStorage.getAllDays().slice(-days)
+      .map(day => this.getDeviation(day))
+      .filter(d => d !== null);
+    if (deviations.length === 0) return null;
+
+    return {
+      count: deviations.length,
+      onTarget: deviations.filter(d => Math.abs(d) <= BEDTIME_ON_TARGET_MINUTES).length,
+      averageMinutes: Math.round(deviations.reduce((total, d) => total + Math.abs(d), 0) / deviations.length),
+    };
+  }
+
+  /**
+   * 目標との差を「目標より25分遅く」の形で表示する
+   * @param {number} minutes - 差（分）
+   */
+  static formatDeviation(minutes) {
+    if (Math.abs(minutes) <= BEDTIME_ON_TARGET_MINUTES) return '目標どおり';
+    return `目標より${Math.abs(minutes)}分${minutes > 0 ? '遅く' : '早く'}`;
+  }
+}
@@ -0,0 +1,109 @@
+/* ============================================
+   check-in.js - 朝のふりかえり（チェックイン）
+
+   起床を記録した後に、その夜の眠りをふりかえってもらう。
+   睡眠時間だけでは分からない「よく眠れたか」をアートと記録に残す。
+
+   - quality: 眠りの満足度（1〜5）
+   - mood:    起きたときの気分（MOODS のキー）
+   - tags:    前日の過ごし方（カフェイン・お酒・運動・ストレス）
+   - note:    夢やメモ（自由に書ける）
+
+   ふりかえりはメインの睡眠のセッションに残す（record.checkIn）。
+   アートのモーダルに表示し、ギャラリーで検索でき、
+   アートの描き方にも反映する（art-generator.js）。
+   ============================================ */
+
+// メモの最大文字数
+const CHECKIN_NOTE_MAX_LENGTH = 1000;
+
+/**
+ * SleepCheckIn クラス
+ * 朝のふりかえりの選択肢・整形・検索を担当する（保存は storage.js、画面は app.js）
+ */
+class SleepCheckIn {
+
+  // === 選択肢 ===
+  // 気分（良い順）
+  static MOODS = {
+    great: { label: '最高', emoji: '😄' },
+    good: { label: 'よい', emoji: '🙂' },
+    okay: { label: 'ふつう', emoji: '😐' },
+    tired: { label: 'だるい', emoji: '🥱' },
+    bad: { label: 'つらい', emoji: '😣' },
+  };
+
+  // 前日の過ごし方
+  static TAGS = {
+    caffeine: { label: 'カフェイン', emoji: '☕' },
+    alcohol: { label: 'お酒', emoji: '🍷' },
+    exercise: { label: '運動', emoji: '🏃' },
+    stress: { label: 'ストレス', emoji: '😰' },
+  };
+
+  /**
+   * 入力されたふりかえりを保存する形に整える
+   * 知らない気分・タグは取り除き、何も入力されていなければnull
+   *
+   * @param {Object} input - { quality, mood, tags, note }
+   * @returns {Object|null} { quality: 1〜5 またはnull, mood: キーまたはnull, tags: キーの配列, note: 文字列 }
+   */
+  static normalize(input) {
+    const quality = Number.isInteger(input.quality) && input.quality >= 1 && input.quality <= 5 ? input.quality : null;
+    const mood = this.MOODS[input.mood] ? input.mood : null;
+    const tags = Object.keys(this.TAGS).filter(tag => (input.tags || []).includes(tag));
+    const note = String(input.note || '').trim().slice(0, CHECKIN_NOTE_MAX_LENGTH);
+
+    if (quality === null && mood === null && tags.length === 0 && note === '') return null;
+    return { quality, mood, tags, note };
+  }
+
+  /**
+   * ふりかえりを「★★★☆☆ 🙂よい ・☕カフェイン」の形で表示する（メモは含めない）
+   * @param {Object} checkIn
+   */
+  static describe(checkIn) {
+    const parts = [];
+    if (checkIn.quality) parts.push('★'.repeat(checkIn.quality) + '☆'.repeat(5 - checkIn.quality));
+    if (this.MOODS[checkIn.mood]) parts.push(`${this.MOODS[checkIn.mood].emoji}${this.MOODS[checkIn.mood].label}`);
+    checkIn.tags.forEach(tag => {
+      if (this.TAGS[tag]) parts.push(`${this.TAGS[tag].emoji}${this.TAGS[tag].label}`);
+    });
+    return parts.join(' ・');
+  }
+
+  // === 検索 ===
+
+  /**
+   * 1日分の記録がギャラリーの検索語に合うか
+   * 空白で区切った語がすべて、メモ・気分・タグの名前・「★3」のどれかに含まれれば合う
+   * （例: 「お酒 夢」でお酒を飲んだ夜のうち、メモに「夢」とある夜）
+   *
+   * @param {Object} record - 1日分の記録（sessions のふりかえりを見る）
+   * @param {string} query - 検索語
+   */
+  static matches(record, query) {
+    const words = query.normalize('NFKC').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+
+    const text = (record.sessions || [record])
+      .filter(session => session.checkIn)
+      .map(session => this.getSearchText(session.checkIn))
+      .join('\n');
+    return words.every(word => text.includes(word));
+  }
+
+  /**
+   * ふりかえりの検索対象の文字列
+   * @param {Object} checkIn
+   */
+  static getSearchText(checkIn) {
+    const mood = this.MOODS[checkIn.mood];
+    return [
+      checkIn.quality ? `★${checkIn.quality}` : '',
+      mood ? mood.label : '',
+      ...checkIn.tags.map(tag => (this.TAGS[tag] ? this.TAGS[tag].label : tag)),
+      checkIn.note,
+    ].join('\n').normalize('NFKC').toLowerCase();
+  }
+}
@@ -0,0 +1,275 @@
+/* ============================================
+   data-transfer.js - データの書き出し・読み込み
+
+   ブラウザのデータを消すと記録も消えてしまうので、
+   全データをファイルとして書き出し、後から取り込めるようにする。
+
+   書き出し形式:
+   - JSON: 記録・実績・設定をすべて含む（スキーマのバージョン付き）
+           ただし同期サーバーのトークンなど、この端末だけの設定は含めない
+   - CSV:  記録のみ（表計算ソフトで見る用）
+
+   取り込みの流れ:
+   1. parseFile() でファイルを読み、最新スキーマに変換・検証する
+   2. preview() で「何が追加・変更されるか」を確認する
+   3. SleepStorage.importData() で実際に取り込む
+   ============================================ */
+
+// 書き出しファイルの形式バージョン（ファイルの外枠の形が変わったら上げる）
+const EXPORT_FORMAT_VERSION = 1;
+
+// CSVの列（この順番で書き出す）
+const CSV_COLUMNS = ['id', 'date', 'bedtime', 'wakeTime', 'duration', 'artSeed', 'sleepGoal', 'paletteVersion', 'style'];
+
+/**
+ * SleepDataTransfer クラス
+ * データの書き出し・読み込みを担当する
+ */
+class SleepDataTransfer {
+
+  // === 書き出し ===
+
+  /**
+   * 全データをJSON文字列として書き出す
+   * @returns {string} JSON文字列
+   */
+  static exportJSON() {
+    const data = SleepStorage.load();
+
+    const file = {
+      app: 'sleep-art-gallery',
+      format: EXPORT_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      data: {
+        version: data.version,
+        records: data.records,
+        achievements: data.achievements,
+        settings: SleepSchema.withoutDeviceSettings(data.settings),
+      },
+    };
+
+    return JSON.stringify(file, null, 2);
+  }
+
+  /**
+   * 睡眠記録をCSV文字列として書き出す
+   * Excelで文字化けしないよう先頭にBOMを付ける
+   * @returns {string} CSV文字列
+   */
+  static exportCSV() {
+    const records = SleepStorage.getAllRecords();
+    const lines = [CSV_COLUMNS.join(',')];
+
+    records.forEach(record => {
+      lines.push(CSV_COLUMNS.map(col => this.escapeCSV(record[col])).join(','));
+    });
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * 文字列をファイルとしてダウンロードさせる
+   * @param {string} filename - ファイル名
+   * @param {string} content - ファイルの中身
+   * @param {string} mimeType - MIMEタイプ
+   */
+  static download(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // ダウンロードが始まってから URL を解放する
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // === 読み込み ===
+
+  /**
+   * 取り込むファイルを読んで、最新スキーマのデータに変換する
+   * @param {string} text - ファイルの中身
+   * @param {string} filename - ファイル名（拡張子で形式を判定）
+   * @returns {Object} { records, achievements, settings, rejected }
+   * @throws {Error} ファイルとして読めない場合
+   */
+  static parseFile(text, filename) {
+    // BOM付きのファイルにも対応する
+    const content = text.replace(/^\uFEFF/, '');
+
+    if (/\.csv$/i.test(filename)) {
+      return this.parseRecordsCSV(content);
+    }
+    return this.parseJSON(content);
+  }
+
+  /**
+   * 書き出したJSONファイルを読み込む
+   * @param {string} text - JSON文字列
+   */
+  static parseJSON(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (e) {
+      throw new Error('JSONファイルとして読み込めません');
+    }
+
+    if (!file || file.app !== 'sleep-art-gallery' || !file.data) {
+      throw new Error('Sleep Art Gallery の書き出しファイルではありません');
+    }
+    if (file.format > EXPORT_FORMAT_VERSION) {
+      throw new Error('新しいバージョンのアプリで書き出されたファイルです');
+    }
+
+    const data = file.data;
+    if (SleepSchema.getVersion(data) > SCHEMA_VERSION) {
+      throw new Error('新しいバージョンのアプリで書き出されたファイルです');
+    }
+
+    // 古いバージョンで書き出したファイルも最新の形に変換してから検証する
+    const migrated = SleepSchema.migrate({
+      ...SleepSchema.createDefault(),
+      version: SleepSchema.getVersion(data),
+      ...data,
+    });
+    const rejected = SleepSchema.sanitize(migrated);
+
+    return {
+      records: migrated.records,
+      achievements: migrated.achievements,
+      settings: SleepSchema.withoutDeviceSettings(migrated.settings),
+      rejected,
+    };
+  }
+
+  /**
+   * 書き出したCSVファイル（記録のみ）を読み込む
+   * @param {string} text - CSV文字列
+   */
+  static parseRecordsCSV(text) {
+    const rows = this.parseCSV(text);
+    const records = rows.map(row => this.recordFromRow(row));
+
+    const data = { ...SleepSchema.createDefault(), records };
+    const rejected = SleepSchema.sanitize(data);
+
+    return { records: data.records, achievements: [], settings: {}, rejected };
+  }
+
+  /**
+   * CSVの1行から睡眠記録を作る
+   * 睡眠時間は時刻から計算し直し、足りない項目は補う
+   * （目標の睡眠時間の列がないのは目標を決められるようになる前の書き出しなので、当時の目標にする）
+   * @param {Object} row - 列名をキーにした1行分のデータ
+   */
+  static recordFromRow(row) {
+    const bedtime = new Date(row.bedtime);
+    const wakeTime = new Date(row.wakeTime);
+    if (isNaN(bedtime) || isNaN(wakeTime)) {
+      // 検証で隔離されるよう、読めなかった値をそのまま残す
+      return { ...row };
+    }
+
+    const date = row.date || SleepStorage.formatDate(wakeTime);
+    const artSeed = Number(row.artSeed);
+
+    return {
+      id: row.id || SleepStorage.createRecordId(date),
+      date,
+      bedtime: bedtime.toISOString(),
+      wakeTime: wakeTime.toISOString(),
+      duration: SleepStorage.calcDuration(bedtime, wakeTime),
+      artSeed: row.artSeed !== '' && Number.isFinite(artSeed) ? artSeed : SleepStorage.createArtSeed(),
+      sleepGoal: row.sleepGoal ? Number(row.sleepGoal) : DEFAULT_SLEEP_GOAL_HOURS,
+      // 列のない古いCSVは、4つのパレットから選んでいたころの書き出し
+      paletteVersion: row.paletteVersion ? Number(row.paletteVersion) : PALETTE_VERSION_BUCKETS,
+      ...(row.style ? { style: row.style } : {}),
+    };
+  }
+
+  /**
+   * 取り込んだ場合の変化を集計する（データは変更しない）
+   * @param {Object} incoming - parseFile() の結果
+   * @param {Object} options - SleepStorage.mergeData と同じオプション
+   */
+  static preview(incoming, options) {
+    return SleepStorage.mergeData(SleepStorage.load(), incoming, options).summary;
+  }
+
+  // === CSVユーティリティ ===
+
+  /**
+   * CSV文字列を行ごとのオブジェクトの配列に変換する
+   * 1行目を列名として使う。ダブルクォートで囲んだ値（カンマ・改行入り）に対応
+   *
+   * @param {string} text - CSV文字列
+   * @returns {Object[]} 列名をキーにしたオブジェクトの配列
+   */
+  static parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+
+      if (inQuotes) {
+        if (c === '"' && text[i + 1] === '"') {
+          field += '"';  // "" はクォート文字そのもの
+          i++;
+        } else if (c === '"') {
+          inQuotes = false;
+        } else {
+          field += c;
+        }
+      } else if (c === '"') {
+        inQuotes = true;
+      } else if (c === ',') {
+        row.push(field);
+        field = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += c;
+      }
+    }
+
+    // 最終行（末尾に改行がない場合）
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // 空行を除き、1行目の列名でオブジェクトにする
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].map(name => name.trim());
+    return nonEmpty.slice(1).map(values => {
+      const obj = {};
+      header.forEach((name, i) => {
+        obj[name] = (values[i] || '').trim();
+      });
+      return obj;
+    });
+  }
+
+  /**
+   * CSVの1項目をエスケープする
+   * @param {*} value
+   */
+  static escapeCSV(value) {
+    const str = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+}
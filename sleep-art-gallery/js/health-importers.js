@@ -0,0 +1,396 @@
+/* ============================================
+   health-importers.js - ヘルスケアアプリからの取り込み
+
+   スマートウォッチやヘルスケアアプリが書き出したファイルを読み、
+   Sleep Art Gallery の睡眠記録に変換する。
+
+   対応形式:
+   - Apple ヘルスケア: 書き出した export.xml の睡眠分析サンプル
+   - Fitbit: sleep-YYYY-MM-DD.json（または Web API の { sleep: [...] }）
+   - Google Fit: Takeout のセッションJSON / API の { session: [...] }
+   - 一般的なCSV: 開始・終了（と日付）の列を指定して読む
+
+   取り込みのルール:
+   - 細切れのサンプル（浅い眠り・深い眠りなど）は、近いものをつないで1回の睡眠にする
+   - アートのシードとIDは時刻から計算するので、同じファイルを何度取り込んでも同じ作品になる
+   - 既にある記録と時間が重なる睡眠は「同じ夜」とみなし、既存の記録のIDとシード・目標などを引き継ぐ
+     （重複させずに、取り込み画面の「同じIDの記録」の扱いに従って更新する）
+   ============================================ */
+
+// 同じ睡眠とみなすサンプル間のすき間（分）
+const IMPORT_MERGE_GAP_MINUTES = 30;
+
+// これより短い睡眠は取り込まない（分）
+const IMPORT_MIN_SESSION_MINUTES = 10;
+
+// 既存の記録と重なったときに、既存の記録の値を残す項目
+// （その夜を記録したときに決まった値。取り込み直しても作品や目標の達成が変わらないようにする）
+const IMPORT_KEEP_FIELDS = ['artSeed', 'sleepGoal', 'paletteVersion', 'style'];
+
+/**
+ * SleepImporters クラス
+ * 外部ファイルを睡眠記録に変換する
+ */
+class SleepImporters {
+
+  // 取り込み元の表示名
+  static SOURCE_LABELS = {
+    'apple-health': 'Apple ヘルスケア',
+    'fitbit': 'Fitbit',
+    'google-fit': 'Google Fit',
+    'csv': 'CSV',
+  };
+
+  /**
+   * ファイルの中身と名前から形式を判定する
+   * @param {string} text - ファイルの中身
+   * @param {string} filename - ファイル名
+   * @returns {string} "backup" | "apple-health" | "wearable-json" | "csv"
+   */
+  static detectSource(text, filename) {
+    if (/\.xml$/i.test(filename) || text.trimStart().startsWith('<')) {
+      return 'apple-health';
+    }
+    if (/\.csv$/i.test(filename)) {
+      // アプリ自身が書き出したCSVは、そのままの列名で読める
+      const header = text.replace(/^\uFEFF/, '').split(/\r?\n/)[0];
+      return /\bbedtime\b/.test(header) && /\bwakeTime\b/.test(header) ? 'backup' : 'csv';
+    }
+    return /"app"\s*:\s*"sleep-art-gallery"/.test(text) ? 'backup' : 'wearable-json';
+  }
+
+  /**
+   * ファイルを読んで、取り込み用のデータに変換する
+   * @param {string} text - ファイルの中身
+   * @param {string} source - "apple-health" | "wearable-json" | "csv"
+   * @param {Object} options - CSVの場合は { mapping: { start, end, date } }
+   * @returns {Object} { records, achievements, settings, rejected }
+   * @throws {Error} 形式が違う、または睡眠データが見つからない場合
+   */
+  static parse(text, source, options = {}) {
+    let sessions;
+    let label = source;
+
+    if (source === 'apple-health') {
+      sessions = this.parseAppleHealth(text);
+    } else if (source === 'wearable-json') {
+      ({ sessions, label } = this.parseWearableJSON(text));
+    } else if (source === 'csv') {
+      sessions = this.parseMappedCSV(text, options.mapping || {});
+    } else {
+      throw new Error('対応していない形式です');
+    }
+
+    if (sessions.length === 0) {
+      throw new Error('睡眠データが見つかりませんでした');
+    }
+
+    const records = this.mergeIntervals(sessions)
+      .filter(s => (s.end - s.start) >= IMPORT_MIN_SESSION_MINUTES * 60 * 1000)
+      .map(s => this.createRecord(s.start, s.end, label));
+
+    // 既にある夜と重なるものは、既存の記録として突き合わせる
+    const matched = this.matchExisting(records, SleepStorage.getAllRecords());
+
+    const data = { ...SleepSchema.createDefault(), records: matched };
+    const rejected = SleepSchema.sanitize(data);
+
+    return { records: data.records, achievements: [], settings: {}, rejected };
+  }
+
+  // === Apple ヘルスケア ===
+
+  /**
+   * export.xml から睡眠分析のサンプルを取り出す
+   * ファイルが非常に大きいことがあるので、DOMにせず正規表現で読む
+   *
+   * @param {string} xml - export.xml の中身
+   * @returns {Object[]} { start, end } の配列
+   */
+  static parseAppleHealth(xml) {
+    const asleep = [];
+    const inBed = [];
+    const recordPattern = /<Record\b[^>]*type="HKCategoryTypeIdentifierSleepAnalysis"[^>]*>/g;
+
+    let match;
+    while ((match = recordPattern.exec(xml)) !== null) {
+      const tag = match[0];
+      const start = this.parseAppleDate(this.getAttribute(tag, 'startDate'));
+      const end = this.parseAppleDate(this.getAttribute(tag, 'endDate'));
+      const value = this.getAttribute(tag, 'value') || '';
+      if (!start || !end || end <= start) continue;
+
+      // 「眠っていた」サンプル（Core/Deep/REM/Unspecified と旧形式の Asleep）
+      if (/SleepAnalysisAsleep/.test(value)) {
+        asleep.push({ start, end });
+      } else if (/SleepAnalysisInBed/.test(value)) {
+        inBed.push({ start, end });
+      }
+      // Awake は睡眠に含めない（前後の睡眠はすき間をまたいでつながる）
+    }
+
+    // 睡眠サンプルのない夜（iPhoneだけで計測した夜など）は「ベッドにいた時間」を使う
+    const asleepSessions = this.mergeIntervals(asleep);
+    const inBedOnly = this.mergeIntervals(inBed).filter(bed =>
+      !asleepSessions.some(s => s.start < bed.end && s.end > bed.start)
+    );
+
+    return [...asleepSessions, ...inBedOnly];
+  }
+
+  /**
+   * XMLタグから属性値を取り出す
+   * @param {string} tag - タグ全体の文字列
+   * @param {string} name - 属性名
+   */
+  static getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}="([^"]*)"`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Apple ヘルスケアの日時（"2024-01-14 23:10:00 +0900"）を Date に変換する
+   * @param {string|null} str
+   * @returns {Date|null}
+   */
+  static parseAppleDate(str) {
+    const match = str && str.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+    if (!match) return null;
+    const date = new Date(`${match[1]}T${match[2]}${match[3]}:${match[4]}`);
+    return isNaN(date) ? null : date;
+  }
+
+  // === Fitbit / Google Fit ===
+
+  /**
+   * Fitbit・Google Fit の睡眠JSONを読む（形式は中身から自動判定）
+   * @param {string} text - JSON文字列
+   * @returns {{ sessions: Object[], label: string }}
+   */
+  static parseWearableJSON(text) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      throw new Error('JSONファイルとして読み込めません');
+    }
+    if (!json || typeof json !== 'object') {
+      throw new Error('Fitbit / Google Fit の睡眠データではありません');
+    }
+
+    // Fitbit: 書き出しファイルは配列、Web API は { sleep: [...] }
+    const fitbitLogs = Array.isArray(json) ? json : json.sleep;
+    if (Array.isArray(fitbitLogs) && fitbitLogs.some(log => log && log.dateOfSleep)) {
+      const sessions = fitbitLogs
+        .filter(log => log && log.startTime && log.endTime)
+        .map(log => ({ start: new Date(log.startTime), end: new Date(log.endTime) }));
+      return { sessions: this.validIntervals(sessions), label: 'fitbit' };
+    }
+
+    // Google Fit API: { session: [{ startTimeMillis, endTimeMillis, activityType: 72 }] }
+    if (Array.isArray(json.session)) {
+      const sessions = json.session
+        .filter(s => Number(s.activityType) === 72)
+        .map(s => ({ start: new Date(Number(s.startTimeMillis)), end: new Date(Number(s.endTimeMillis)) }));
+      return { sessions: this.validIntervals(sessions), label: 'google-fit' };
+    }
+
+    // Google Takeout のセッション: { fitnessActivity: "sleep", startTime, endTime }
+    const takeout = Array.isArray(json) ? json : [json];
+    if (takeout.some(s => s && s.fitnessActivity === 'sleep')) {
+      const sessions = takeout
+        .filter(s => s && s.fitnessActivity === 'sleep')
+        .map(s => ({ start: new Date(s.startTime), end: new Date(s.endTime) }));
+      return { sessions: this.validIntervals(sessions), label: 'google-fit' };
+    }
+
+    throw new Error('Fitbit / Google Fit の睡眠データではありません');
+  }
+
+  // === 一般的なCSV ===
+
+  /**
+   * CSVの列名の一覧を取得する（列の対応を選ぶ画面で使う）
+   * @param {string} text - CSV文字列
+   */
+  static getCSVHeaders(text) {
+    const rows = SleepDataTransfer.parseCSV(text.replace(/^\uFEFF/, ''));
+    return rows.length > 0 ? Object.keys(rows[0]) : [];
+  }
+
+  /**
+   * CSVの列名から、開始・終了・日付の列を推測する
+   * @param {string[]} headers - CSVの列名
+   * @returns {Object} { start, end, date }（見つからない項目は空文字）
+   */
+  static guessMapping(headers) {
+    const find = (pattern) => headers.find(h => pattern.test(h)) || '';
+    return {
+      start: find(/start|begin|bed|sleep.*time|就寝|開始|入眠/i),
+      end: find(/end|wake|rise|起床|終了|目覚め/i),
+      date: find(/^(date|day|日付)$/i),
+    };
+  }
+
+  /**
+   * 列の対応を指定してCSVを読む
+   * 開始・終了が時刻だけ（"23:10" など）の場合は日付の列と組み合わせる
+   *
+   * @param {string} text - CSV文字列
+   * @param {Object} mapping - { start, end, date } それぞれCSVの列名
+   * @returns {Object[]} { start, end } の配列
+   */
+  static parseMappedCSV(text, mapping) {
+    if (!mapping.start || !mapping.end) {
+      throw new Error('開始と終了の列を選んでください');
+    }
+
+    const rows = SleepDataTransfer.parseCSV(text.replace(/^\uFEFF/, ''));
+    const sessions = rows.map(row => {
+      const startValue = row[mapping.start] || '';
+      const endValue = row[mapping.end] || '';
+
+      // 時刻だけの場合: 日付の列を起床日とみなし、就寝が起床より遅ければ前日にする
+      if (mapping.date && /^\d{1,2}:\d{2}/.test(startValue) && /^\d{1,2}:\d{2}/.test(endValue)) {
+        const end = this.parseCSVDate(`${row[mapping.date]} ${endValue}`);
+        const start = this.parseCSVDate(`${row[mapping.date]} ${startValue}`);
+        if (start && end && start >= end) start.setDate(start.getDate() - 1);
+        return { start, end };
+      }
+
+      return { start: this.parseCSVDate(startValue), end: this.parseCSVDate(endValue) };
+    });
+
+    return this.validIntervals(sessions);
+  }
+
+  /**
+   * CSVの日時文字列を Date に変換する
+   * "2024/01/14 23:10" のようなスラッシュ区切りにも対応する
+   * @param {string} str
+   * @returns {Date|null}
+   */
+  static parseCSVDate(str) {
+    if (!str) return null;
+    const normalized = str.trim()
+      .replace(/^(\d{4})\/(\d{1,2})\/(\d{1,2})/, (m, y, mo, d) =>
+        `${y}-${mo.padStart(2, '0')}-${d.padStart(2, '0')}`)
+      .replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2')
+      .replace(/T(\d):/, 'T0$1:');
+    const date = new Date(normalized);
+    return isNaN(date) ? null : date;
+  }
+
+  // === 共通処理 ===
+
+  /**
+   * 開始・終了が正しい区間だけを残す
+   * @param {Object[]} intervals - { start, end } の配列
+   */
+  static validIntervals(intervals) {
+    return intervals.filter(s =>
+      s.start instanceof Date && !isNaN(s.start) &&
+      s.end instanceof Date && !isNaN(s.end) &&
+      s.end > s.start
+    );
+  }
+
+  /**
+   * 重なっている・近い区間をつないで1つの睡眠にまとめる
+   * @param {Object[]} intervals - { start, end } の配列
+   * @returns {Object[]} 開始時刻順にまとめた区間
+   */
+  static mergeIntervals(intervals) {
+    const gap = IMPORT_MERGE_GAP_MINUTES * 60 * 1000;
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    const merged = [];
+
+    sorted.forEach(({ start, end }) => {
+      const last = merged[merged.length - 1];
+      if (last && start - last.end <= gap) {
+        if (end > last.end) last.end = new Date(end);
+      } else {
+        merged.push({ start: new Date(start), end: new Date(end) });
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * 取り込んだ睡眠から記録を作る
+   * IDとシードは時刻から決まるので、同じデータからは常に同じ記録になる
+   *
+   * @param {Date} start - 就寝時刻
+   * @param {Date} end - 起床時刻
+   * @param {string} source - 取り込み元
+   */
+  static createRecord(start, end, source) {
+    // 秒単位の違いで作品が変わらないよう、分単位に丸めてからハッシュする
+    const bedtime = new Date(Math.floor(start / 60000) * 60000);
+    const wakeTime = new Date(Math.floor(end / 60000) * 60000);
+    const key = `${bedtime.toISOString()}|${wakeTime.toISOString()}`;
+    const date = SleepStorage.formatDate(wakeTime);
+
+    return {
+      id: `${date}-${this.hash(`id:${key}`).toString(36)}`,
+      date,
+      bedtime: bedtime.toISOString(),
+      wakeTime: wakeTime.toISOString(),
+      duration: SleepStorage.calcDuration(bedtime, wakeTime),
+      artSeed: this.deriveSeed(key),
+      sleepGoal: SleepStorage.getSleepGoal(),
+      paletteVersion: PALETTE_VERSION,
+      style: SleepArtStyles.getDefault(),
+      source,
+    };
+  }
+
+  /**
+   * 既存の記録と時間が重なる取り込み記録に、既存のIDとシード・目標など（IMPORT_KEEP_FIELDS）を引き継がせる
+   * 同じ夜が2つの記録に分かれず、作品も目標の達成も変わらない
+   *
+   * @param {Object[]} records - 取り込む記録
+   * @param {Object[]} existing - 今ある記録
+   */
+  static matchExisting(records, existing) {
+    const claimed = new Set();
+
+    return records.map(record => {
+      const start = new Date(record.bedtime);
+      const end = new Date(record.wakeTime);
+      const same = existing.find(r =>
+        !claimed.has(r.id) &&
+        new Date(r.bedtime) < end &&
+        new Date(r.wakeTime) > start
+      );
+      if (!same) return record;
+
+      claimed.add(same.id);
+      const kept = Object.fromEntries(IMPORT_KEEP_FIELDS.filter(key => key in same).map(key => [key, same[key]]));
+      return { ...same, ...record, id: same.id, ...kept };
+    });
+  }
+
+  /**
+   * 時刻の文字列からアートのシードを決める（0〜999999）
+   * @param {string} key
+   */
+  static deriveSeed(key) {
+    return this.hash(key) % 1000000;
+  }
+
+  /**
+   * 文字列の32ビットハッシュ（FNV-1a）
+   * @param {string} str
+   * @returns {number} 0以上の整数
+   */
+  static hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+}
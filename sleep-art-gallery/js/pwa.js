@@ -0,0 +1,76 @@
+/* ============================================
+   pwa.js - Service Worker の登録と更新の確認
+
+   sw.js を登録して、オフラインでも開けるようにする。
+   新しいバージョンが見つかったら、すぐには切り替えずアプリに知らせ、
+   利用者が「更新する」を選んだときに切り替えて再読み込みする。
+
+   file:// で開いた場合など Service Worker が使えない環境では何もしない。
+   ============================================ */
+
+// 新しいバージョンがないか確認する間隔（ミリ秒）
+const PWA_UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * SleepPWA クラス
+ * Service Worker の登録と更新を担当する
+ */
+class SleepPWA {
+
+  static registration = null;
+
+  /**
+   * Service Worker を登録する
+   * @param {Function} onUpdateReady - 新しいバージョンの準備ができたときに呼ぶ関数
+   */
+  static register(onUpdateReady) {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+    navigator.serviceWorker.register('sw.js')
+      .then(registration => {
+        this.registration = registration;
+
+        // 前回開いたときから待機している新しいバージョン
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          onUpdateReady();
+        }
+
+        // 開いている間に見つかった新しいバージョン
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          worker.addEventListener('statechange', () => {
+            // 初回のインストール（controller がない）は更新ではないので知らせない
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+              onUpdateReady();
+            }
+          });
+        });
+
+        // 開きっぱなしでも更新に気づけるよう、定期的に確認する
+        setInterval(() => registration.update().catch(() => {}), PWA_UPDATE_CHECK_INTERVAL_MS);
+      })
+      .catch(e => console.warn('Service Worker を登録できませんでした:', e));
+
+    // 新しいバージョンに切り替わったら読み込み直す
+    // （初回のインストールで制御が始まったときは読み込み直さない）
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!hadController || reloading) return;
+      reloading = true;
+      location.reload();
+    });
+  }
+
+  /**
+   * 待機中の新しいバージョンに切り替える（切り替わると自動で再読み込みされる）
+   */
+  static applyUpdate() {
+    const waiting = this.registration && this.registration.waiting;
+    if (waiting) {
+      waiting.postMessage({ type: 'SKIP_WAITING' });
+    } else {
+      location.reload();
+    }
+  }
+}
@@ -0,0 +1,69 @@
+/* ============================================
+   sleep-goal.js - 睡眠時間の目標
+
+   「理想の睡眠時間」は人によって違うので、設定画面で目標を決められるようにする
+   （設定の sleepGoal。年齢ごとのおすすめから選ぶこともできる: sleepGoalPreset）。
+
+   目標は次のものに使う:
+   - アートの「睡眠の質」（目標に近いほど調和的な作品になる。art-generator.js）
+   - 実績「パーフェクトスリープ」（目標の前後30分に収まった日がある）
+   - ホーム画面の平均睡眠の表示
+
+   目標は起床時にその夜の記録にも残す（record.sleepGoal。storage.js）。
+   後から目標を変えても、これまでの夜の作品と評価は記録したときの目標のまま変わらない。
+   ============================================ */
+
+// 目標どおりに眠れたとみなす差（時間）
+const SLEEP_GOAL_TOLERANCE_HOURS = 0.5;
+
+/**
+ * SleepGoal クラス
+ * 睡眠時間の目標のおすすめと、目標に対する評価を担当する
+ */
+class SleepGoal {
+
+  // === 年齢ごとのおすすめ ===
+  // 米国睡眠財団の推奨睡眠時間（年齢別）の真ん中あたりを目標にする
+  static PRESETS = {
+    teen: { label: '14〜17歳（推奨 8〜10時間）', goal: 9 },
+    adult: { label: '18〜64歳（推奨 7〜9時間）', goal: 8 },
+    senior: { label: '65歳以上（推奨 7〜8時間）', goal: 7.5 },
+  };
+
+  /**
+   * 記録したときの目標の睡眠時間（目標を記録していない夜は初期値）
+   * @param {Object} record - 睡眠記録（1日分の記録ならメインの睡眠の目標）
+   * @returns {number} 時間
+   */
+  static getGoal(record) {
+    return Number.isFinite(record.sleepGoal) ? record.sleepGoal : DEFAULT_SLEEP_GOAL_HOURS;
+  }
+
+  /**
+   * 睡眠の「質」スコア
+   * 目標に近いほど1に近く、5時間以上離れると0になる
+   *
+   * @param {number} duration - 睡眠時間（時間）
+   * @param {number} goal - 目標の睡眠時間（時間）
+   * @returns {number} 0〜1
+   */
+  static getQuality(duration, goal) {
+    return Math.max(0, 1 - Math.abs(duration - goal) / 5);
+  }
+
+  /**
+   * その日の睡眠時間（昼寝を含む合計）が目標の前後30分に収まっているか
+   * @param {Object} record - 1日分の記録
+   */
+  static isOnGoal(record) {
+    return Math.abs(record.duration - this.getGoal(record)) <= SLEEP_GOAL_TOLERANCE_HOURS;
+  }
+
+  /**
+   * 目標を「7.5時間」の形で表示する
+   * @param {number} hours
+   */
+  static format(hours) {
+    return `${Math.round(hours * 100) / 100}時間`;
+  }
+}
@@ -0,0 +1,313 @@
+/* ============================================
+   storage-backends.js - データの保存先（バックエンド）
+
+   SleepStorage は読み込んだデータをメモリ上に持ち（キャッシュ）、
+   変更があるたびにここのバックエンドへ書き込む（ライトスルー）。
+
+   バックエンドの共通インターフェース:
+   - read()      保存済みのデータを読む（なければ null）
+   - write(data) データ全体を書き込む
+   - readRevision() 保存済みのデータのリビジョンだけを読む（なければ null）
+   - getArt(key) / putArt(key, entry)  描画済みアートのキャッシュ（任意）
+   - getAsset(key) / putAsset(key, entry) / deleteAsset(key)
+                 利用者が選んだファイル（アラーム音など）の保存（任意）
+
+   バックエンド:
+   - IndexedDBBackend:    記録を日付のインデックス付きで1件ずつ保存する。
+                          localStorage の容量制限（約5MB）を受けない
+   - LocalStorageBackend: 従来どおり1つのキーにJSONで保存する。
+                          IndexedDB が使えない環境（一部のプライベートモードなど）用
+   ============================================ */
+
+// IndexedDB のデータベース名とバージョン
+const IDB_NAME = 'sleep-art-gallery';
+const IDB_VERSION = 2;
+
+// 古いバージョンのアプリを開いたタブに更新を止められたとき、待つ時間（ミリ秒）
+const IDB_BLOCKED_TIMEOUT_MS = 10 * 1000;
+
+// IndexedDB のオブジェクトストア名
+const IDB_STORES = {
+  records: 'records',  // 睡眠記録（keyPath: id、date にインデックス）
+  meta: 'meta',        // 記録以外の状態（就寝中・実績・設定など）
+  art: 'art',          // 描画済みアートのキャッシュ
+  assets: 'assets',    // 利用者が選んだファイル（バージョン2から）
+};
+
+/**
+ * LocalStorageBackend クラス
+ * localStorage の1つのキーにデータ全体をJSONで保存する
+ */
+class LocalStorageBackend {
+
+  /**
+   * @param {string} key - localStorage のキー名
+   */
+  constructor(key) {
+    this.name = 'localStorage';
+    this.key = key;
+  }
+
+  /**
+   * 保存済みのデータを読む
+   * @returns {Promise<Object|null>}
+   */
+  async read() {
+    return this.readSync();
+  }
+
+  /**
+   * 保存済みのデータを同期的に読む
+   * @returns {Object|null} データ（なければnull）
+   * @throws {Error} JSONが壊れている場合（raw に元の文字列を持つ）
+   */
+  readSync() {
+    const json = localStorage.getItem(this.key);
+    if (!json) return null;
+
+    try {
+      const data = JSON.parse(json);
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('データがオブジェクトではありません');
+      }
+      return data;
+    } catch (e) {
+      throw Object.assign(new Error(e.message), { raw: json });
+    }
+  }
+
+  /**
+   * 保存済みのデータのリビジョンを読む
+   * @returns {Promise<number|null>} リビジョン（データがなければnull）
+   */
+  async readRevision() {
+    const data = this.readSync();
+    return data ? data.revision || 0 : null;
+  }
+
+  /**
+   * データ全体を書き込む
+   * @param {Object} data
+   */
+  async write(data) {
+    localStorage.setItem(this.key, JSON.stringify(data));
+  }
+}
+
+/**
+ * IndexedDBBackend クラス
+ * 記録を1件ずつ保存し、変更のあった記録だけを書き込む
+ */
+class IndexedDBBackend {
+
+  constructor() {
+    this.name = 'IndexedDB';
+    this.db = null;
+
+    // 最後に書き込んだ記録（ID → JSON文字列）。差分の検出に使う
+    this.written = new Map();
+
+    // 書き込みを順番に実行するための待ち行列
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * このブラウザで IndexedDB が使えるか
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * データベースを開く（初回はストアを作成する）
+   *
+   * 古いバージョンのアプリを開いたタブがあると、閉じられるまで更新できない。
+   * その間は onBlocked で知らせ、IDB_BLOCKED_TIMEOUT_MS 待っても開けなければ諦める。
+   *
+   * @param {Object} handlers
+   * @param {Function} handlers.onBlocked - 他のタブに更新を止められたときに呼ぶ関数
+   * @param {Function} handlers.onVersionChange - 新しいバージョンのアプリが別のタブで
+   *   データベースを更新しようとしたときに呼ぶ関数（呼ばれた側が close() で譲る）
+   * @returns {Promise<IndexedDBBackend>} 開いた自分自身
+   * @throws {Error} 開けなかった場合（待ちきれなかった場合は blocked: true）
+   */
+  open({ onBlocked = () => {}, onVersionChange = () => this.close() } = {}) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+      let timer = null;
+      let gaveUp = false;
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IDB_STORES.records)) {
+          const records = db.createObjectStore(IDB_STORES.records, { keyPath: 'id' });
+          records.createIndex('date', 'date');
+        }
+        if (!db.objectStoreNames.contains(IDB_STORES.meta)) {
+          db.createObjectStore(IDB_STORES.meta);
+        }
+        if (!db.objectStoreNames.contains(IDB_STORES.art)) {
+          db.createObjectStore(IDB_STORES.art);
+        }
+        if (!db.objectStoreNames.contains(IDB_STORES.assets)) {
+          db.createObjectStore(IDB_STORES.assets);
+        }
+      };
+
+      request.onsuccess = () => {
+        clearTimeout(timer);
+        // 待ちきれずに諦めた後で開けた場合は、他のタブの邪魔にならないようすぐ閉じる
+        if (gaveUp) {
+          request.result.close();
+          return;
+        }
+        this.db = request.result;
+        this.db.onversionchange = () => onVersionChange();
+        resolve(this);
+      };
+      request.onerror = () => {
+        clearTimeout(timer);
+        reject(request.error);
+      };
+      request.onblocked = () => {
+        onBlocked();
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          gaveUp = true;
+          reject(Object.assign(new Error('他のタブが古いバージョンのデータベースを開いています'), { blocked: true }));
+        }, IDB_BLOCKED_TIMEOUT_MS);
+      };
+    });
+  }
+
+  /**
+   * データベースを閉じる（以降の読み書きはできない）
+   */
+  close() {
+    if (this.db) this.db.close();
+    this.db = null;
+  }
+
+  /**
+   * 保存済みのデータを読み、1つのオブジェクトに組み立てる
+   * @returns {Promise<Object|null>} データ（なければnull）
+   */
+  async read() {
+    const tx = this.db.transaction([IDB_STORES.meta, IDB_STORES.records], 'readonly');
+    const [state, records] = await Promise.all([
+      this.request(tx.objectStore(IDB_STORES.meta).get('state')),
+      this.request(tx.objectStore(IDB_STORES.records).getAll()),
+    ]);
+    if (!state) return null;
+
+    // 次回の書き込みで差分だけを送れるよう、読んだ内容を覚えておく
+    this.written = new Map(records.map(r => [r.id, JSON.stringify(r)]));
+    return { ...state, records };
+  }
+
+  /**
+   * 保存済みのデータのリビジョンだけを読む（記録は読まないので速い）
+   * @returns {Promise<number|null>} リビジョン（データがなければnull）
+   */
+  async readRevision() {
+    const tx = this.db.transaction(IDB_STORES.meta, 'readonly');
+    const state = await this.request(tx.objectStore(IDB_STORES.meta).get('state'));
+    return state ? state.revision || 0 : null;
+  }
+
+  /**
+   * データを書き込む
+   * 記録は前回から変わったものだけを書き、消えたものは削除する
+   * @param {Object} data
+   * @returns {Promise<void>}
+   */
+  write(data) {
+    // 呼び出し時点の内容を書き込む（書き込み待ちの間に data が変わっても影響しない）
+    const { records, ...state } = data;
+    const current = new Map(records.map(record => [record.id, JSON.stringify(record)]));
+    const stateCopy = JSON.parse(JSON.stringify(state));
+
+    // 前の書き込みが失敗しても、この書き込みは行う
+    this.queue = this.queue.catch(() => {}).then(() => new Promise((resolve, reject) => {
+      // 差分は書き込み済みの内容と比べる（前の書き込みが中断していたら、その分も書き直す）
+      const changed = [...current].filter(([id, json]) => this.written.get(id) !== json);
+      const removed = [...this.written.keys()].filter(id => !current.has(id));
+
+      const tx = this.db.transaction([IDB_STORES.meta, IDB_STORES.records], 'readwrite');
+      const store = tx.objectStore(IDB_STORES.records);
+
+      tx.objectStore(IDB_STORES.meta).put(stateCopy, 'state');
+      changed.forEach(([, json]) => store.put(JSON.parse(json)));
+      removed.forEach(id => store.delete(id));
+
+      tx.oncomplete = () => {
+        this.written = current;
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('書き込みが中断されました'));
+    }));
+
+    return this.queue;
+  }
+
+  /**
+   * 描画済みアートのキャッシュを読む
+   * @param {string} key
+   * @returns {Promise<Object|null>} { signature, blob }
+   */
+  async getArt(key) {
+    const tx = this.db.transaction(IDB_STORES.art, 'readonly');
+    return (await this.request(tx.objectStore(IDB_STORES.art).get(key))) || null;
+  }
+
+  /**
+   * 描画済みアートをキャッシュに保存する
+   * @param {string} key
+   * @param {Object} entry - { signature, blob }
+   */
+  async putArt(key, entry) {
+    const tx = this.db.transaction(IDB_STORES.art, 'readwrite');
+    await this.request(tx.objectStore(IDB_STORES.art).put(entry, key));
+  }
+
+  /**
+   * 利用者が選んだファイルを取得する
+   * @param {string} key
+   * @returns {Promise<Object|null>} { name, blob }
+   */
+  async getAsset(key) {
+    const tx = this.db.transaction(IDB_STORES.assets, 'readonly');
+    return (await this.request(tx.objectStore(IDB_STORES.assets).get(key))) || null;
+  }
+
+  /**
+   * 利用者が選んだファイルを保存する（同じキーなら置き換える）
+   * @param {string} key
+   * @param {Object} entry - { name, blob }
+   */
+  async putAsset(key, entry) {
+    const tx = this.db.transaction(IDB_STORES.assets, 'readwrite');
+    await this.request(tx.objectStore(IDB_STORES.assets).put(entry, key));
+  }
+
+  /**
+   * 利用者が選んだファイルを削除する
+   * @param {string} key
+   */
+  async deleteAsset(key) {
+    const tx = this.db.transaction(IDB_STORES.assets, 'readwrite');
+    await this.request(tx.objectStore(IDB_STORES.assets).delete(key));
+  }
+
+  /**
+   * IDBRequest を Promise に変換する
+   * @param {IDBRequest} request
+   */
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
@@ -0,0 +1,498 @@
+/* ============================================
+   storage-schema.js - 保存データのスキーマ管理
+
+   localStorageに保存したデータの「形」を管理する:
+   - スキーマのバージョン番号
+   - 古いデータを最新の形に変換するマイグレーション
+   - 壊れた記録の検出（隔離は storage.js が行う）
+   - 設定の項目ごとの検証（SETTINGS_RULES にない項目や形の違う値は取り除く）
+
+   バージョン履歴:
+   0: バージョン番号のない最初の形式（1日1記録、IDが日付）
+   1: 初期値のフィールド（alarmTime など）を必ず持つ
+   2: 1日に複数のセッションを持てる（各記録に date を追加）
+   3: ユーザー設定をまとめる settings を追加
+   4: 同期用に記録の更新日時（updatedAt）・削除の記録・同期の状態を追加
+   5: スヌーズの状態（snooze）を追加
+   6: 起床ウィンドウ（wakeWindow）を追加
+   7: 就寝中の夜のアートのシード（currentArtSeed）を追加
+   8: アラームを止めるチャレンジの状態（alarmChallenge）を追加
+   9: 記録にその夜の目標の睡眠時間（sleepGoal）を追加
+   10: 記録にアートのパレットの版（paletteVersion）を追加
+
+   マイグレーションは古い順に1つずつ適用する。
+   新しい形式を追加するときは MIGRATIONS の末尾に追加し、
+   SCHEMA_VERSION を上げる。
+   ============================================ */
+
+// 現在のスキーマバージョン
+const SCHEMA_VERSION = 10;
+
+// 目標の睡眠時間（時間）の初期値（設定の sleepGoal で変えられる。sleep-goal.js）
+// 目標を決められるようになる前の記録は、この値を目標として作品・実績を決めていた
+const DEFAULT_SLEEP_GOAL_HOURS = 7.5;
+
+// 目標の睡眠時間として決められる範囲（時間）
+const SLEEP_GOAL_MIN_HOURS = 4;
+const SLEEP_GOAL_MAX_HOURS = 12;
+
+// アートのパレットの版（記録ごとに残す。art-generator.js）
+// 1: 就寝時刻で4つのパレットから選ぶ / 2: 就寝・起床の時刻と季節から色を連続的に混ぜる
+// 描き方を変えても、これまでの夜の作品は記録したときの版のまま変わらない
+const PALETTE_VERSION_BUCKETS = 1;
+const PALETTE_VERSION = 2;
+
+// この端末だけの設定（書き出しファイルに含めず、取り込んだファイルからも受け取らない）
+// - syncServer: 同期サーバーのURLとトークン（他人のファイルで送り先を変えられないように）
+// - customAlarmSound: アラーム音のファイル（ファイル本体はこの端末の IndexedDB にしかない）
+const DEVICE_SETTINGS_KEYS = ['syncServer', 'customAlarmSound'];
+
+/**
+ * SleepSchema クラス
+ * データのバージョン管理と検証を担当する（保存・読み込みはしない）
+ */
+class SleepSchema {
+
+  // === 設定の項目 ===
+  // キー: 設定の名前 / 値: 正しい値か確認する関数
+  // 設定は取り込みで外から入ることもあるので、ここにない項目や形の違う値は読み込まない
+  // （新しい設定を追加するときは、ここにも追加する）
+  static SETTINGS_RULES = {
+    // アラーム（app.js / alarm-scheduler.js / alarm-sounds.js / wake-challenges.js）
+    lastAlarmTime: (v) => v === null || SleepSchema.isValidTime(v),
+    wakeWindowMinutes: (v) => SleepSchema.isCount(v),
+    alarmSound: (v) => typeof v === 'string' && v !== '',
+    customAlarmSound: (v) => v === null || (Boolean(v) && typeof v === 'object' && typeof v.name === 'string'),
+    wakeChallenge: (v) => v === null || (typeof v === 'string' && v !== ''),
+    snoozeMinutes: (v) => SleepSchema.isCount(v),
+    snoozeLimit: (v) => SleepSchema.isCount(v),
+    alarmRampMinutes: (v) => SleepSchema.isCount(v),
+    challengeHoldSeconds: (v) => SleepSchema.isCount(v),
+    // 曜日ごとのアラーム（alarm-profiles.js）
+    alarmProfiles: (v) => Array.isArray(v) && v.every(profile => SleepSchema.isValidAlarmProfile(profile)),
+    activeAlarmProfile: (v) => v === null || typeof v === 'string',
+    alarmOverrides: (v) => Boolean(v) && typeof v === 'object' && !Array.isArray(v) &&
+      Object.entries(v).every(([date, time]) => SleepSchema.isValidAlarmOverride(date, time)),
+    // 記録（storage.js / sleep-goal.js）
+    maxSessionHours: (v) => Number.isInteger(v) && v > 0,
+    sleepGoal: (v) => SleepSchema.isValidSleepGoal(v),
+    sleepGoalPreset: (v) => v === null || typeof v === 'string',
+    // 就寝リマインダー（bedtime-reminder.js）
+    bedtimeTarget: (v) => v === null || SleepSchema.isValidTime(v),
+    lastBedtimeTarget: (v) => SleepSchema.isValidTime(v),
+    bedtimeReminderMinutes: (v) => SleepSchema.isCount(v),
+    // アート（art-styles.js）
+    artStyle: (v) => typeof v === 'string' && v !== '',
+    // 同期（sync-client.js）
+    syncServer: (v) => v === null ||
+      (Boolean(v) && typeof v === 'object' && typeof v.url === 'string' && /^https?:\/\//.test(v.url) &&
+        (v.token === undefined || typeof v.token === 'string')),
+  };
+
+  // === マイグレーション定義 ===
+  // version: 適用後のバージョン / migrate: データを書き換える関数
+  static MIGRATIONS = [
+    {
+      version: 1,
+      description: '初期値のフィールドを補完',
+      migrate(data) {
+        const defaults = SleepSchema.createDefault();
+        for (const key of ['records', 'currentBedtime', 'achievements', 'alarmTime']) {
+          if (data[key] === undefined) data[key] = defaults[key];
+        }
+        return data;
+      },
+    },
+    {
+      version: 2,
+      description: '1日に複数のセッションを記録できる形式に変換',
+      migrate(data) {
+        // 旧形式（1日1記録）はIDが日付なので、そのまま date として使う
+        if (Array.isArray(data.records)) {
+          data.records.forEach(r => {
+            if (r && !r.date) r.date = r.id;
+          });
+        }
+        return data;
+      },
+    },
+    {
+      version: 3,
+      description: 'ユーザー設定（settings）を追加',
+      migrate(data) {
+        if (!data.settings) data.settings = {};
+        return data;
+      },
+    },
+    {
+      version: 4,
+      description: '同期用の更新日時・削除の記録を追加',
+      migrate(data) {
+        // 更新日時が分からない記録は、起床した時点で最後に変更されたとみなす
+        if (Array.isArray(data.records)) {
+          data.records.forEach(r => {
+            if (r && !r.updatedAt) r.updatedAt = r.wakeTime;
+          });
+        }
+        if (!data.deletedRecords) data.deletedRecords = [];
+        if (!data.sync) data.sync = SleepSchema.createDefault().sync;
+        return data;
+      },
+    },
+    {
+      version: 5,
+      description: 'スヌーズの状態（snooze）を追加',
+      migrate(data) {
+        if (data.snooze === undefined) data.snooze = null;
+        return data;
+      },
+    },
+    {
+      version: 6,
+      description: '起床ウィンドウ（wakeWindow）を追加',
+      migrate(data) {
+        if (data.wakeWindow === undefined) data.wakeWindow = null;
+        return data;
+      },
+    },
+    {
+      version: 7,
+      description: '就寝中の夜のアートのシード（currentArtSeed）を追加',
+      migrate(data) {
+        if (data.currentArtSeed === undefined) data.currentArtSeed = null;
+        return data;
+      },
+    },
+    {
+      version: 8,
+      description: 'アラームを止めるチャレンジの状態（alarmChallenge）を追加',
+      migrate(data) {
+        if (data.alarmChallenge === undefined) data.alarmChallenge = null;
+        return data;
+      },
+    },
+    {
+      version: 9,
+      description: '記録にその夜の目標の睡眠時間（sleepGoal）を追加',
+      migrate(data) {
+        // これまでの記録は 7.5時間を理想として作品を描いていたので、その値を残す
+        // （後から目標を変えても、これまでの作品が変わらないように）
+        if (Array.isArray(data.records)) {
+          data.records.forEach(r => {
+            if (r && r.sleepGoal === undefined) r.sleepGoal = DEFAULT_SLEEP_GOAL_HOURS;
+          });
+        }
+        return data;
+      },
+    },
+    {
+      version: 10,
+      description: '記録にアートのパレットの版（paletteVersion）を追加',
+      migrate(data) {
+        // これまでの記録は4つのパレットから選んで描いていたので、その版を残す
+        if (Array.isArray(data.records)) {
+          data.records.forEach(r => {
+            if (r && r.paletteVersion === undefined) r.paletteVersion = PALETTE_VERSION_BUCKETS;
+          });
+        }
+        return data;
+      },
+    },
+  ];
+
+  /**
+   * 最新スキーマの初期データを作成する
+   */
+  static createDefault() {
+    return {
+      version: SCHEMA_VERSION,
+      revision: 0,      // 保存するたびに1増える番号（タブ間の競合の検出用）
+      records: [],
+      currentBedtime: null,
+      currentArtSeed: null,  // 就寝中の夜のアートのシード（起床時に記録へ引き継ぐ。アラームのメロディにも使う）
+      achievements: [],
+      alarmTime: null,  // アラーム時刻（"HH:MM" 形式、未設定時はnull）
+      snooze: null,     // スヌーズの状態（{ until, count }。就寝中にスヌーズしていなければnull）
+      wakeWindow: null, // 起床ウィンドウ（{ start, end, ringAt, cycles }。時刻ちょうどのアラームならnull）
+      alarmChallenge: null,  // アラームを止めるチャレンジ（{ type, rangAt, attempts, solvedAt }。使わなければnull）
+      settings: {},     // ユーザー設定
+      deletedRecords: [],  // 削除した記録（{ id, deletedAt }。他の端末に削除を伝えるため）
+      sync: {              // 同期の状態（sync-client.js）
+        cursor: 0,           // サーバーから受け取った変更の位置
+        lastPushedAt: null,  // 最後にサーバーへ送った時点（これより後の変更を送る）
+      },
+    };
+  }
+
+  /**
+   * 設定から、この端末だけの設定（DEVICE_SETTINGS_KEYS）を除いたコピーを作る
+   * @param {Object} settings
+   * @returns {Object}
+   */
+  static withoutDeviceSettings(settings) {
+    const copy = { ...(settings || {}) };
+    DEVICE_SETTINGS_KEYS.forEach(key => delete copy[key]);
+    return copy;
+  }
+
+  /**
+   * データのスキーマバージョンを取得する
+   * バージョン番号がないデータは最初の形式（0）とみなす
+   * @param {Object} data
+   */
+  static getVersion(data) {
+    return Number.isInteger(data.version) ? data.version : 0;
+  }
+
+  /**
+   * データを最新のスキーマまで順番に変換する
+   * @param {Object} data - 読み込んだデータ（書き換えられる）
+   * @returns {Object} 変換後のデータ
+   */
+  static migrate(data) {
+    const fromVersion = this.getVersion(data);
+
+    for (const migration of this.MIGRATIONS) {
+      if (migration.version <= fromVersion) continue;
+
+      data = migration.migrate(data);
+      data.version = migration.version;
+      console.info(`データを v${migration.version} に変換しました: ${migration.description}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * データの各項目を検証し、壊れた部分を取り除く
+   * 取り除いたものは理由付きで返すので、呼び出し側で隔離する
+   *
+   * @param {Object} data - 最新スキーマのデータ（書き換えられる）
+   * @returns {Object[]} 取り除いた項目（{ reason, item }）の配列
+   */
+  static sanitize(data) {
+    const rejected = [];
+
+    // 記録の配列そのものが壊れている場合は丸ごと隔離する
+    if (!Array.isArray(data.records)) {
+      rejected.push({ reason: '記録の一覧が配列ではありません', item: data.records });
+      data.records = [];
+    }
+
+    // 記録を1件ずつ検証する（同じIDが重複していたら後のものを隔離）
+    const seenIds = new Set();
+    data.records = data.records.filter(record => {
+      let reason = this.validateRecord(record);
+      if (!reason && seenIds.has(record.id)) {
+        reason = 'IDが重複しています';
+      }
+      if (reason) {
+        rejected.push({ reason, item: record });
+        return false;
+      }
+      seenIds.add(record.id);
+      return true;
+    });
+
+    // 記録以外の項目は、壊れていたら初期値に戻す
+    if (!Array.isArray(data.achievements)) {
+      rejected.push({ reason: '実績の一覧が配列ではありません', item: data.achievements });
+      data.achievements = [];
+    }
+    if (data.currentBedtime !== null && !this.isValidDate(data.currentBedtime)) {
+      rejected.push({ reason: '就寝中の時刻が不正です', item: data.currentBedtime });
+      data.currentBedtime = null;
+    }
+    if (data.currentArtSeed !== null && !Number.isFinite(data.currentArtSeed)) {
+      rejected.push({ reason: '就寝中のアートのシードが不正です', item: data.currentArtSeed });
+      data.currentArtSeed = null;
+    }
+    if (data.alarmTime !== null && !/^\d{2}:\d{2}$/.test(data.alarmTime)) {
+      rejected.push({ reason: 'アラーム時刻が不正です', item: data.alarmTime });
+      data.alarmTime = null;
+    }
+    if (data.snooze !== null && !this.isValidSnooze(data.snooze)) {
+      rejected.push({ reason: 'スヌーズの状態が不正です', item: data.snooze });
+      data.snooze = null;
+    }
+    if (data.wakeWindow !== null && !this.isValidWakeWindow(data.wakeWindow)) {
+      rejected.push({ reason: '起床ウィンドウが不正です', item: data.wakeWindow });
+      data.wakeWindow = null;
+    }
+    if (data.alarmChallenge !== null && !this.isValidChallenge(data.alarmChallenge)) {
+      rejected.push({ reason: 'アラームのチャレンジの状態が不正です', item: data.alarmChallenge });
+      data.alarmChallenge = null;
+    }
+    if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+      rejected.push({ reason: '設定がオブジェクトではありません', item: data.settings });
+      data.settings = {};
+    }
+    rejected.push(...this.sanitizeSettings(data.settings));
+    if (!Array.isArray(data.deletedRecords)) {
+      rejected.push({ reason: '削除の記録が配列ではありません', item: data.deletedRecords });
+      data.deletedRecords = [];
+    }
+    if (!data.sync || typeof data.sync !== 'object' || !Number.isInteger(data.sync.cursor)) {
+      rejected.push({ reason: '同期の状態が不正です', item: data.sync });
+      data.sync = this.createDefault().sync;
+    }
+
+    return rejected;
+  }
+
+  /**
+   * 設定を1項目ずつ検証し、知らない項目や形の違う値を取り除く
+   * @param {Object} settings - 設定（書き換えられる）
+   * @returns {Object[]} 取り除いた項目（{ reason, item }）の配列
+   */
+  static sanitizeSettings(settings) {
+    const rejected = [];
+    Object.keys(settings).forEach(key => {
+      const rule = Object.prototype.hasOwnProperty.call(this.SETTINGS_RULES, key) ? this.SETTINGS_RULES[key] : null;
+      if (rule && rule(settings[key])) return;
+      rejected.push({
+        reason: rule ? `設定「${key}」の値が不正です` : `知らない設定「${key}」です`,
+        item: { [key]: settings[key] },
+      });
+      delete settings[key];
+    });
+    return rejected;
+  }
+
+  /**
+   * 睡眠記録1件を検証する
+   * @param {Object} record
+   * @returns {string|null} 不正な理由（正しければnull）
+   */
+  static validateRecord(record) {
+    if (!record || typeof record !== 'object') return '記録がオブジェクトではありません';
+    if (typeof record.id !== 'string' || record.id === '') return 'IDがありません';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date)) return '日付が不正です';
+    if (!this.isValidDate(record.bedtime)) return '就寝時刻が不正です';
+    if (!this.isValidDate(record.wakeTime)) return '起床時刻が不正です';
+    if (new Date(record.bedtime) >= new Date(record.wakeTime)) return '起床時刻が就寝時刻より前です';
+    if (!Number.isFinite(record.duration) || record.duration <= 0) return '睡眠時間が不正です';
+    if (!Number.isFinite(record.artSeed)) return 'アートのシードが不正です';
+    if (record.updatedAt !== undefined && !this.isValidDate(record.updatedAt)) return '更新日時が不正です';
+    if (record.snoozeCount !== undefined && !(Number.isInteger(record.snoozeCount) && record.snoozeCount >= 0)) {
+      return 'スヌーズの回数が不正です';
+    }
+    if (record.wakeWindow !== undefined && !this.isValidWakeWindow(record.wakeWindow)) return '起床ウィンドウが不正です';
+    if (record.bedtimeTarget !== undefined && !/^\d{2}:\d{2}$/.test(record.bedtimeTarget)) return '目標の就寝時刻が不正です';
+    if (record.wakeChallenge !== undefined && !this.isValidChallengeResult(record.wakeChallenge)) {
+      return 'アラームのチャレンジの結果が不正です';
+    }
+    if (record.checkIn !== undefined && !this.isValidCheckIn(record.checkIn)) return '朝のふりかえりが不正です';
+    if (record.sleepGoal !== undefined && !this.isValidSleepGoal(record.sleepGoal)) return '目標の睡眠時間が不正です';
+    if (record.paletteVersion !== undefined && !(Number.isInteger(record.paletteVersion) && record.paletteVersion >= 1)) {
+      return 'パレットの版が不正です';
+    }
+    if (record.style !== undefined && !(typeof record.style === 'string' && record.style !== '')) return 'アートのスタイルが不正です';
+    return null;
+  }
+
+  /**
+   * スヌーズの状態を検証する
+   * @param {*} snooze - { until: 次に鳴らす日時（止めた後はnull）, count: スヌーズした回数 }
+   */
+  static isValidSnooze(snooze) {
+    return Boolean(snooze) && typeof snooze === 'object' &&
+      (snooze.until === null || this.isValidDate(snooze.until)) &&
+      Number.isInteger(snooze.count) && snooze.count >= 0;
+  }
+
+  /**
+   * アラームを止めるチャレンジの状態を検証する
+   * @param {*} challenge - { type: 種類, rangAt: 最初に鳴った日時（鳴る前はnull）, attempts: 挑戦した回数, solvedAt: 成功した日時（またはnull） }
+   */
+  static isValidChallenge(challenge) {
+    return Boolean(challenge) && typeof challenge === 'object' && typeof challenge.type === 'string' &&
+      (challenge.rangAt === null || this.isValidDate(challenge.rangAt)) &&
+      (challenge.solvedAt === null || this.isValidDate(challenge.solvedAt)) &&
+      Number.isInteger(challenge.attempts) && challenge.attempts >= 0;
+  }
+
+  /**
+   * 記録に残したチャレンジの結果を検証する
+   * @param {*} result - { type: 種類, solved: 成功したか, attempts: 挑戦した回数, seconds: 鳴ってから止めるまでの秒数 }
+   */
+  static isValidChallengeResult(result) {
+    return Boolean(result) && typeof result === 'object' && typeof result.type === 'string' &&
+      typeof result.solved === 'boolean' &&
+      Number.isInteger(result.attempts) && result.attempts >= 0 &&
+      Number.isFinite(result.seconds) && result.seconds >= 0;
+  }
+
+  /**
+   * 朝のふりかえりを検証する
+   * @param {*} checkIn - { quality: 1〜5（またはnull）, mood: 気分（またはnull）, tags: タグの配列, note: メモ }
+   */
+  static isValidCheckIn(checkIn) {
+    return Boolean(checkIn) && typeof checkIn === 'object' &&
+      (checkIn.quality === null || (Number.isInteger(checkIn.quality) && checkIn.quality >= 1 && checkIn.quality <= 5)) &&
+      (checkIn.mood === null || typeof checkIn.mood === 'string') &&
+      Array.isArray(checkIn.tags) && checkIn.tags.every(tag => typeof tag === 'string') &&
+      typeof checkIn.note === 'string';
+  }
+
+  /**
+   * 目標の睡眠時間を検証する
+   * @param {*} hours - 時間
+   */
+  static isValidSleepGoal(hours) {
+    return Number.isFinite(hours) && hours >= SLEEP_GOAL_MIN_HOURS && hours <= SLEEP_GOAL_MAX_HOURS;
+  }
+
+  /**
+   * 起床ウィンドウを検証する
+   * @param {*} wakeWindow - { start, end, ringAt: ISO文字列, cycles: サイクルの回数（またはnull） }
+   */
+  static isValidWakeWindow(wakeWindow) {
+    return Boolean(wakeWindow) && typeof wakeWindow === 'object' &&
+      ['start', 'end', 'ringAt'].every(key => this.isValidDate(wakeWindow[key])) &&
+      (wakeWindow.cycles === null || Number.isInteger(wakeWindow.cycles));
+  }
+
+  /**
+   * ISO形式の日時文字列として読めるか確認する
+   * @param {*} value
+   */
+  static isValidDate(value) {
+    return typeof value === 'string' && !isNaN(new Date(value));
+  }
+
+  /**
+   * "HH:MM" 形式の時刻か
+   * @param {*} value
+   */
+  static isValidTime(value) {
+    return typeof value === 'string' && /^\d{2}:\d{2}$/.test(value);
+  }
+
+  /**
+   * 0以上の整数か（分・回数・秒などの設定）
+   * @param {*} value
+   */
+  static isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+  }
+
+  /**
+   * 曜日ごとのアラームのプロフィールを検証する
+   * @param {*} profile - { id, name, times: 日曜から土曜の "HH:MM" または null }
+   */
+  static isValidAlarmProfile(profile) {
+    return Boolean(profile) && typeof profile.id === 'string' && typeof profile.name === 'string' &&
+      Array.isArray(profile.times) && profile.times.length === 7 &&
+      profile.times.every(t => t === null || this.isValidTime(t));
+  }
+
+  /**
+   * 特定の日だけのアラーム時刻の変更を検証する
+   * @param {string} date - "YYYY-MM-DD"
+   * @param {*} time - "HH:MM" または null（その日はアラームなし）
+   */
+  static isValidAlarmOverride(date, time) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) && (time === null || this.isValidTime(time));
+  }
+}
@@ -1,71 +1,470 @@
 /* ============================================
    storage.js - データ永続化モジュール
 
-   localStorageを使って睡眠データを保存・取得する。
-   ブラウザを閉じてもデータが残る。
+   睡眠データを保存・取得する。ブラウザを閉じてもデータが残る。
+   保存先は IndexedDB（使えない環境では localStorage）で、
+   起動時に一度だけ読み込み、以降はメモリ上のデータを使う（storage-backends.js）。
+   マイグレーション前のバックアップと隔離データは localStorage に置く。
 
-   データ構造:
+   複数のタブで開いている場合:
+   データを変更するメソッドは mutate() を通して保存する。保存先には
+   リビジョン（保存するたびに1増える番号）を付けておき、書き込む直前に
+   他のタブが先に保存していたら、最新のデータに変更を適用し直してから書き込む。
+   保存したことは他のタブに知らせ（tab-sync.js）、受け取ったタブは読み込み直す。
+
+   データ構造（スキーマの変換・検証は storage-schema.js）:
    {
-     records: [         // 睡眠記録の配列
+     version: 10,       // スキーマのバージョン
+     revision: 12,      // 保存するたびに1増える番号（タブ間の競合の検出用）
+     records: [         // 睡眠記録（セッション）の配列
        {
-         id: "2024-01-15",  // 日付をIDとして使用
+         id: "2024-01-15-k3x9q",  // セッションごとの一意なID
+         date: "2024-01-15",      // 起床日（1日の作品はこの日付でまとめる）
          bedtime: "...",     // 就寝時刻（ISO文字列）
          wakeTime: "...",    // 起床時刻（ISO文字列）
          duration: 7.5,      // 睡眠時間（時間）
-         artSeed: 12345      // アート生成用のランダムシード
+         artSeed: 12345,     // アート生成用のランダムシード
+         updatedAt: "...",   // 最後に変更した日時（同期で新しい方を残すのに使う）
+         snoozeCount: 2,     // スヌーズした回数（スヌーズしなかった記録にはない）
+         wakeWindow: {...},  // 起床ウィンドウで鳴らした場合、その計画（{ start, end, ringAt, cycles }）
+         wakeChallenge: {...},  // チャレンジで止めた場合、その結果（{ type, solved, attempts, seconds }）
+         bedtimeTarget: "23:00",  // 目標の就寝時刻を決めていた場合、その時刻（bedtime-reminder.js）
+         checkIn: {...},     // 朝のふりかえり（{ quality, mood, tags, note }。check-in.js）
+         sleepGoal: 7.5,     // その夜の目標の睡眠時間（時間。記録したときの設定。sleep-goal.js）
+         paletteVersion: 2,  // アートのパレットの版（記録したときの版。art-generator.js）
+         style: "classic"    // アートのスタイル（art-styles.js。ない記録は classic）
        }
      ],
      currentBedtime: null,   // 就寝中の場合、就寝時刻
+     currentArtSeed: null,   // 就寝中の場合、その夜のアートのシード（アラームのメロディにも使う）
      achievements: [],       // 解除済み実績のID配列
+     alarmTime: null,        // アラーム時刻（"HH:MM"）
+     snooze: null,           // スヌーズの状態 { until, count }（就寝中のみ）
+     wakeWindow: null,       // 起床ウィンドウ { start, end, ringAt, cycles }（就寝中のみ）
+     alarmChallenge: null,   // アラームを止めるチャレンジ { type, rangAt, attempts, solvedAt }（就寝中のみ）
+     settings: {},           // ユーザー設定
+     deletedRecords: [],     // 削除した記録の { id, deletedAt }（同期用）
+     sync: { cursor, lastPushedAt },  // 同期の状態（sync-client.js）
    }
+
+   1日に複数のセッション（本睡眠＋昼寝、分割睡眠）を記録できる。
+   同じ起床日のセッションは「1日分の記録」にまとめて扱い、
+   いちばん長いセッションをメインの睡眠、それ以外を昼寝とみなす
+   （同じ長さなら早く寝たほう。寝た順では選ばないので、夜中の短い昼寝が先にあってもメインにならない）。
    ============================================ */
 
 // localStorageのキー名（アプリ固有の名前にして他と衝突しないようにする）
 const STORAGE_KEY = 'sleep-art-gallery-data';
 
+// マイグレーション前のバックアップのキー名（末尾に変換前のバージョンが付く）
+const BACKUP_KEY_PREFIX = 'sleep-art-gallery-backup-v';
+
+// IndexedDB へ移行した後、移行前のデータを残しておくキー名
+const MIGRATED_KEY = 'sleep-art-gallery-backup-localstorage';
+
+// 書き込みをタブ間で排他的に行うためのロック名（Web Locks API）
+const WRITE_LOCK_NAME = 'sleep-art-gallery-write';
+
+// 読み込めなかったデータを隔離しておくキー名
+const QUARANTINE_KEY = 'sleep-art-gallery-quarantine';
+
+// 1回の睡眠の長さの上限（時間）の初期値（設定の maxSessionHours で変えられる）
+// これより長く就寝中のままなら「おはよう」の押し忘れとみなす
+const MAX_SESSION_HOURS_DEFAULT = 16;
+
 /**
  * SleepStorage クラス
  * データの保存・読み取りを担当する
  */
 class SleepStorage {
 
+  // === 保存先とキャッシュ ===
+
+  static backend = null;   // 保存先（storage-backends.js のバックエンド）
+  static cache = null;     // メモリ上のデータ（load() はこれを返す）
+  static dayIndex = null;  // 日付 → その日のセッション一覧（必要になったときに作る）
+  static streakIndex = null;  // { dayIndex, byDate: 日付 → その日までの連続記録日数 }
+  static revision = 0;     // 保存先にあると分かっているデータのリビジョン
+  static pending = [];     // まだ保存先に書き込んでいない変更（mutate() に渡された関数）
+  static writing = Promise.resolve();  // 保存先への読み書きの待ち行列
+  static listeners = [];   // 他のタブでデータが変わったときに呼ぶ関数
+  static localListeners = [];  // このタブでデータを変更したときに呼ぶ関数
+  static closed = false;   // 新しいバージョンのアプリに保存先を譲った（以降は保存しない）
+
   /**
-   * ストレージからデータを読み込む
-   * データがなければ初期値を返す
+   * 保存先を選んでデータを読み込む（アプリ起動時に1回だけ呼ぶ）
+   * - IndexedDB が使えればそれを使い、使えなければ localStorage に保存する
+   * - IndexedDB が空で localStorage に以前のデータがあれば、IndexedDB へ移行する
+   *
+   * 保存先の状態は onNotice で知らせる（画面に出すのは呼び出し側）:
+   * - "blocked":  古いバージョンのアプリを開いたタブがあり、データベースを開けずに待っている
+   * - "fallback": 待ちきれずに localStorage で起動した
+   * - "closed":   新しいバージョンのアプリを開いたタブに保存先を譲った（以降は保存しない）
+   * - null:       待っていた状態が解消した
+   *
+   * @param {Function} onNotice - 保存先の状態が変わったときに呼ぶ関数
    */
-  static load() {
-    try {
-      // localStorageからJSON文字列を取得
-      const json = localStorage.getItem(STORAGE_KEY);
-      if (json) {
-        // JSON文字列をオブジェクトに変換して返す
-        return JSON.parse(json);
+  static async init(onNotice = () => {}) {
+    let backend = new LocalStorageBackend(STORAGE_KEY);
+    let stored = null;
+
+    if (IndexedDBBackend.isAvailable()) {
+      let blocked = false;
+      try {
+        const idb = new IndexedDBBackend();
+        await idb.open({
+          onBlocked: () => {
+            blocked = true;
+            onNotice('blocked');
+          },
+          onVersionChange: () => this.close(idb).then(() => onNotice('closed')),
+        });
+        if (blocked) onNotice(null);
+        // 同時に開いた別のタブと二重に移行しないよう、ロックを取ってから読む
+        stored = await this.withWriteLock(async () => (await idb.read()) || this.migrateToIndexedDB(idb));
+        backend = idb;
+      } catch (e) {
+        console.warn('IndexedDBを使えないため localStorage に保存します:', e);
+        if (e.blocked) onNotice('fallback');
       }
+    }
+
+    if (backend instanceof LocalStorageBackend) {
+      stored = this.readLocal(backend);
+    }
+
+    this.open(backend, stored);
+
+    // 他のタブが保存したら読み込み直す
+    SleepTabSync.on('data-changed', (message) => this.reload(message.revision));
+  }
+
+  /**
+   * 新しいバージョンのアプリを開いたタブに保存先を譲る
+   * 書き込み待ちの変更を書き終えてから閉じ、以降はこのタブから保存しない
+   * （閉じた保存先に書こうとして失敗し続けないようにする）
+   * @param {IndexedDBBackend} idb - 閉じる保存先
+   * @returns {Promise<void>}
+   */
+  static async close(idb) {
+    await this.flush();
+    this.closed = true;
+    idb.close();
+  }
+
+  /**
+   * localStorage に残っている以前のデータを IndexedDB に移す（初回起動時）
+   * @param {IndexedDBBackend} idb - 移行先
+   * @returns {Promise<Object|null>} 移行したデータ（以前のデータがなければnull）
+   * @throws {Error} IndexedDB に書き込めなかった場合（元のデータは消さない）
+   */
+  static async migrateToIndexedDB(idb) {
+    const legacy = this.readLocal(new LocalStorageBackend(STORAGE_KEY));
+    if (!legacy) return null;
+
+    const { data } = this.prepare(legacy);
+    data.revision = 1;
+    await idb.write(data);
+
+    // 移行が終わったら元のデータは別のキーに移しておく（万一のときの復元用）
+    // 容量の上限に近くても移せるよう、先に元のキーを消してから書き込む
+    const json = localStorage.getItem(STORAGE_KEY);
+    localStorage.removeItem(STORAGE_KEY);
+    try {
+      localStorage.setItem(MIGRATED_KEY, json);
     } catch (e) {
-      // データが壊れていた場合はコンソールに警告を出す
-      console.warn('データの読み込みに失敗しました:', e);
+      console.error('移行前のデータを残せませんでした:', e);
     }
 
-    // データがない場合は初期値を返す
-    return {
-      records: [],
-      currentBedtime: null,
-      achievements: [],
-      alarmTime: null,  // アラーム時刻（"HH:MM" 形式、未設定時はnull）
-    };
+    console.info(`${data.records.length}件の記録を IndexedDB に移行しました`);
+    return data;
+  }
+
+  /**
+   * 読み込んだデータを最新の形にして、メモリ上のキャッシュに置く
+   * @param {Object} backend - 保存先
+   * @param {Object|null} stored - 保存されていたデータ（なければnull）
+   */
+  static open(backend, stored) {
+    this.backend = backend;
+    this.dayIndex = null;
+    this.revision = stored && Number.isInteger(stored.revision) ? stored.revision : 0;
+
+    if (!stored) {
+      this.cache = SleepSchema.createDefault();
+      return;
+    }
+
+    const { data, changed } = this.prepare(stored);
+    this.cache = data;
+    if (changed) this.save(data);
   }
 
   /**
-   * データをストレージに保存する
+   * localStorage からデータを読む
+   * 全体が壊れている場合は元の文字列を隔離し、データなしとして扱う
+   * @param {LocalStorageBackend} backend
+   * @returns {Object|null}
+   */
+  static readLocal(backend) {
+    try {
+      return backend.readSync();
+    } catch (e) {
+      if (e.raw !== undefined) {
+        console.warn('データが壊れていたため隔離しました:', e);
+        this.quarantine([{ reason: `データ全体を読み込めません（${e.message}）`, item: e.raw }]);
+        localStorage.removeItem(backend.key);
+      } else {
+        console.warn('データの読み込みに失敗しました:', e);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * 保存されていたデータを最新の形式にそろえる
+   * - 古い形式のデータはバックアップを取ってから最新の形式に変換する
+   * - 壊れた記録は隔離し、残りの記録だけで動かす
+   *
+   * @param {Object} data - 保存されていたデータ（書き換えられる）
+   * @returns {{ data: Object, changed: boolean }} 変換後のデータと、保存し直す必要があるか
+   */
+  static prepare(data) {
+    const version = SleepSchema.getVersion(data);
+    if (version > SCHEMA_VERSION) {
+      // 新しいバージョンのアプリで保存されたデータは変換できない
+      console.warn(`未対応のデータ形式です（v${version}）。そのまま読み込みます`);
+      return { data, changed: false };
+    }
+
+    let changed = false;
+    if (version < SCHEMA_VERSION) {
+      // 変換に失敗しても元に戻せるよう、先に元データを残しておく
+      this.backup(JSON.stringify(data), version);
+      data = SleepSchema.migrate(data);
+      changed = true;
+    }
+
+    // 壊れた記録を取り除いて隔離する
+    const rejected = SleepSchema.sanitize(data);
+    if (rejected.length > 0) {
+      console.warn(`読み込めない項目が${rejected.length}件あったため隔離しました`);
+      this.quarantine(rejected);
+      changed = true;
+    }
+
+    return { data, changed };
+  }
+
+  /**
+   * データを取得する
+   * 毎回ストレージを読み直さず、メモリ上のキャッシュを返す
+   * （init() より前に呼ばれた場合は localStorage から読み込む）
+   */
+  static load() {
+    if (!this.cache) {
+      const backend = new LocalStorageBackend(STORAGE_KEY);
+      this.open(backend, this.readLocal(backend));
+    }
+    return this.cache;
+  }
+
+  /**
+   * データ全体を保存する（読み込み時の変換結果の保存用）
+   * キャッシュを置き換え、保存先にも書き込む。ただし他のタブが先に
+   * 保存していた場合は、そちらのデータを優先する
    * @param {Object} data - 保存するデータ
    */
   static save(data) {
+    this.cache = data;
+    this.dayIndex = null;
+    this.pending.push(() => {});
+    this.flush();
+  }
+
+  /**
+   * データを変更して保存する
+   * 変更はメモリ上のデータにすぐ適用し、保存先への書き込みは後から行う（ライトスルー）。
+   * 書き込む直前に他のタブが先に保存していたら、最新のデータに変更を適用し直す。
+   * そのため fn の中では乱数や現在時刻を使わず、渡されたデータだけを書き換えること
+   *
+   * @param {Function} fn - データを書き換える関数（戻り値はそのまま返す）
+   * @returns {*} fn の戻り値
+   * @throws {Error} fn が投げたエラー（その場合は何も保存しない）
+   */
+  static mutate(fn) {
+    const result = fn(this.load());
+    this.dayIndex = null;
+    this.pending.push(fn);
+    this.flush();
+    this.localListeners.forEach(listener => listener());
+    return result;
+  }
+
+  /**
+   * 書き込み待ちの変更を保存先に書き込む
+   * @returns {Promise<void>} 書き込みが終わると解決する
+   */
+  static flush() {
+    this.writing = this.writing
+      .then(() => this.withWriteLock(() => this.commit()))
+      .catch(e => console.error('データの保存に失敗しました:', e));
+    return this.writing;
+  }
+
+  /**
+   * 書き込み待ちの変更を、他のタブと競合しないように書き込む
+   */
+  static async commit() {
+    if (this.pending.length === 0 || this.closed) return;
+    if (!this.backend) this.backend = new LocalStorageBackend(STORAGE_KEY);
+
+    const changes = this.pending;
+    this.pending = [];
+
+    let data = this.cache;
+    const storedRevision = await this.backend.readRevision();
+    const conflicted = storedRevision !== null && storedRevision !== this.revision;
+
+    if (conflicted) {
+      // 他のタブが先に保存していた: 最新のデータに変更を適用し直す
+      // （まだ書き込んでいない変更も、メモリ上のデータに残るよう一緒に適用する）
+      data = await this.backend.read();
+      [...changes, ...this.pending].forEach(fn => this.reapply(fn, data));
+      this.cache = data;
+      this.dayIndex = null;
+    }
+
+    data.revision = (storedRevision || 0) + 1;
+    await this.backend.write(data);
+    this.revision = data.revision;
+
+    SleepTabSync.post('data-changed', { revision: data.revision });
+    if (conflicted) this.notifyChange();
+  }
+
+  /**
+   * 他のタブが保存したデータを読み込み直す
+   * @param {number} revision - 他のタブが保存したリビジョン
+   */
+  static reload(revision) {
+    if (!this.backend || this.closed || revision === this.revision) return Promise.resolve();
+
+    this.writing = this.writing
+      .then(async () => {
+        const data = await this.backend.read();
+        if (!data || data.revision === this.revision) return;
+
+        // まだ書き込んでいない変更は、読み込んだデータにも適用しておく
+        this.pending.forEach(fn => this.reapply(fn, data));
+        this.cache = data;
+        this.revision = data.revision;
+        this.dayIndex = null;
+        this.notifyChange();
+      })
+      .catch(e => console.error('データの読み込みに失敗しました:', e));
+    return this.writing;
+  }
+
+  /**
+   * 変更を別のデータに適用し直す
+   * 他のタブの変更と両立しない場合（削除された記録の編集など）はその変更を捨てる
+   * @param {Function} fn - mutate() に渡された関数
+   * @param {Object} data - 適用先のデータ
+   */
+  static reapply(fn, data) {
     try {
-      // オブジェクトをJSON文字列に変換して保存
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+      fn(data);
     } catch (e) {
-      console.error('データの保存に失敗しました:', e);
+      console.warn('他のタブの変更と競合したため、変更を取り消しました:', e.message);
+    }
+  }
+
+  /**
+   * 保存先への書き込みを、他のタブと同時に行わないようにする
+   * （Web Locks API が使えないブラウザでは、このタブの中でだけ順番に行う）
+   * @param {Function} fn - ロック中に実行する関数
+   */
+  static withWriteLock(fn) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(WRITE_LOCK_NAME, fn);
     }
+    return fn();
+  }
+
+  /**
+   * 他のタブでデータが変わったときに呼ぶ関数を登録する
+   * @param {Function} listener
+   */
+  static onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * このタブでデータを変更したときに呼ぶ関数を登録する
+   * @param {Function} listener
+   */
+  static onLocalChange(listener) {
+    this.localListeners.push(listener);
+  }
+
+  /**
+   * 登録された関数にデータの変更を知らせる
+   */
+  static notifyChange() {
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * マイグレーション前のデータをバックアップする
+   * 変換前のバージョンごとに1つずつ残す
+   * @param {string} json - 変換前のJSON文字列
+   * @param {number} version - 変換前のスキーマバージョン
+   */
+  static backup(json, version) {
+    try {
+      localStorage.setItem(`${BACKUP_KEY_PREFIX}${version}`, json);
+    } catch (e) {
+      console.error('バックアップの保存に失敗しました:', e);
+    }
+  }
+
+  /**
+   * 読み込めなかった項目を隔離用のキーに追記する
+   * @param {Object[]} items - { reason, item } の配列
+   */
+  static quarantine(items) {
+    const quarantined = this.getQuarantine();
+    const now = new Date().toISOString();
+    items.forEach(({ reason, item }) => {
+      quarantined.push({ quarantinedAt: now, reason, item });
+    });
+
+    try {
+      localStorage.setItem(QUARANTINE_KEY, JSON.stringify(quarantined));
+    } catch (e) {
+      console.error('隔離データの保存に失敗しました:', e);
+    }
+  }
+
+  /**
+   * 隔離された項目の一覧を取得する
+   */
+  static getQuarantine() {
+    try {
+      const json = localStorage.getItem(QUARANTINE_KEY);
+      const items = json ? JSON.parse(json) : [];
+      return Array.isArray(items) ? items : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * 隔離された項目を削除する
+   */
+  static clearQuarantine() {
+    localStorage.removeItem(QUARANTINE_KEY);
   }
 
   // === 睡眠記録の操作 ===
@@ -73,78 +472,381 @@ class SleepStorage {
   /**
    * 就寝を記録する（「おやすみ」ボタン押下時）
    * @param {Date} time - 就寝時刻（省略時は現在時刻）
+   * @param {number} artSeed - その夜のアートのシード（省略時は新しく作る）
    */
-  static startSleep(time = new Date()) {
-    const data = this.load();
-    data.currentBedtime = time.toISOString();
-    this.save(data);
-    return data;
+  static startSleep(time = new Date(), artSeed = this.createArtSeed()) {
+    const bedtime = time.toISOString();
+    return this.mutate(data => {
+      data.currentBedtime = bedtime;
+      data.currentArtSeed = artSeed;
+      data.snooze = null;
+      data.wakeWindow = null;
+      data.alarmChallenge = null;
+      return data;
+    });
   }
 
   /**
    * 起床を記録する（「おはよう」ボタン押下時）
    * 睡眠時間を計算し、レコードを保存する
    * @param {Date} time - 起床時刻（省略時は現在時刻）
+   * @throws {Error} 起床時刻が就寝時刻より前の場合、睡眠時間が上限を超える場合（押し忘れの疑い）
    */
   static endSleep(time = new Date()) {
-    const data = this.load();
-
     // 就寝中でなければ何もしない
-    if (!data.currentBedtime) return null;
+    const bedtime = this.getCurrentBedtime();
+    if (!bedtime) return null;
+    this.validateTimes(bedtime, time);
 
-    // 就寝時刻と起床時刻から睡眠時間を計算
-    const bedtime = new Date(data.currentBedtime);
-    const wakeTime = time;
-    const durationMs = wakeTime - bedtime;
-    const durationHours = durationMs / (1000 * 60 * 60);  // ミリ秒→時間
+    // 就寝時刻と起床時刻から新しい睡眠記録を作成
+    // （同じ日に既に記録があっても上書きせず、別のセッションとして追加する）
+    const record = this.createRecord(bedtime, time);
 
-    // 日付IDを生成（起床日を基準にする）
-    const dateId = this.formatDate(wakeTime);
+    return this.mutate(data => {
+      // 他のタブで先に起床を記録していたら何もしない
+      if (data.currentBedtime !== record.bedtime) return null;
 
-    // アート用のランダムシードを生成
-    const artSeed = Math.floor(Math.random() * 1000000);
+      // 就寝時に決めておいたシードを使う（アラームのメロディと同じ夜の作品になる）
+      if (data.currentArtSeed !== null) {
+        record.artSeed = data.currentArtSeed;
+      }
 
-    // 新しい睡眠記録を作成
-    const record = {
-      id: dateId,
-      bedtime: bedtime.toISOString(),
-      wakeTime: wakeTime.toISOString(),
-      duration: Math.round(durationHours * 100) / 100,  // 小数点2桁
-      artSeed: artSeed,
-    };
+      // スヌーズした回数をその夜の記録に残す
+      if (data.snooze && data.snooze.count > 0) {
+        record.snoozeCount = data.snooze.count;
+      }
+
+      // 起床ウィンドウで起こした場合は、鳴らす時刻を選んだ計画も残す
+      if (data.wakeWindow) {
+        record.wakeWindow = { ...data.wakeWindow };
+      }
+
+      // 目標の就寝時刻を決めていれば、実際の就寝時刻と比べられるよう残す
+      if (/^\d{2}:\d{2}$/.test(data.settings.bedtimeTarget)) {
+        record.bedtimeTarget = data.settings.bedtimeTarget;
+      }
+
+      // チャレンジ付きのアラームが鳴った場合は、その結果と止めるまでの時間を残す
+      // （通知の「起きた」などでチャレンジを通さずに起きた場合は、起床時刻までの時間）
+      const challenge = data.alarmChallenge;
+      if (challenge && challenge.rangAt) {
+        const dismissedAt = new Date(challenge.solvedAt || record.wakeTime);
+        record.wakeChallenge = {
+          type: challenge.type,
+          solved: challenge.solvedAt !== null,
+          attempts: challenge.attempts,
+          seconds: Math.max(0, Math.round((dismissedAt - new Date(challenge.rangAt)) / 1000)),
+        };
+      }
 
-    // 同じ日付の記録があれば上書き、なければ追加
-    const existingIndex = data.records.findIndex(r => r.id === dateId);
-    if (existingIndex >= 0) {
-      data.records[existingIndex] = record;
-    } else {
       data.records.push(record);
-    }
+      this.sortRecords(data.records);
+
+      // 就寝中状態をリセット
+      data.currentBedtime = null;
+      data.currentArtSeed = null;
+      data.snooze = null;
+      data.wakeWindow = null;
+      data.alarmChallenge = null;
+      return record;
+    });
+  }
+
+  /**
+   * 就寝中の状態を記録せずに破棄する（「おはよう」を押し忘れて、起きた時刻が分からない場合）
+   * 予約していたアラームも消す
+   * @returns {boolean} 破棄したかどうか（就寝中でなければfalse）
+   */
+  static discardSleep() {
+    if (!this.isSleeping()) return false;
+    return this.mutate(data => {
+      if (data.currentBedtime === null) return false;
+      data.currentBedtime = null;
+      data.currentArtSeed = null;
+      data.alarmTime = null;
+      data.snooze = null;
+      data.wakeWindow = null;
+      data.alarmChallenge = null;
+      return true;
+    });
+  }
+
+  // === 記録の手動入力・編集 ===
+
+  /**
+   * 過去の睡眠記録（昼寝を含む）を手動で追加する
+   * （「おやすみ」を押し忘れた夜を後から埋めるために使う）
+   *
+   * @param {Date} bedtime - 就寝時刻
+   * @param {Date} wakeTime - 起床時刻
+   * @returns {Object} 追加した記録
+   * @throws {Error} 時刻が不正な場合、または他の記録と時間が重なる場合
+   */
+  static addRecord(bedtime, wakeTime) {
+    this.validateTimes(bedtime, wakeTime);
+    const record = this.createRecord(bedtime, wakeTime);
+
+    return this.mutate(data => {
+      this.checkOverlap(data.records, bedtime, wakeTime, null);
+      data.records.push(record);
+      this.sortRecords(data.records);
+      return record;
+    });
+  }
+
+  /**
+   * 既存の睡眠記録の時刻を編集する
+   * 睡眠時間は再計算するが、アートのシードは元のまま残す
+   * （時刻を直しても作品の「らしさ」が変わりすぎないように）
+   *
+   * @param {string} id - 編集する記録のID
+   * @param {Date} bedtime - 新しい就寝時刻
+   * @param {Date} wakeTime - 新しい起床時刻
+   * @returns {Object} 更新後の記録
+   * @throws {Error} 時刻が不正な場合、記録がない場合、他の記録と時間が重なる場合
+   */
+  static updateRecord(id, bedtime, wakeTime) {
+    this.validateTimes(bedtime, wakeTime);
+    const updatedAt = new Date().toISOString();
+
+    return this.mutate(data => {
+      const index = data.records.findIndex(r => r.id === id);
+      if (index < 0) {
+        throw new Error('編集する記録が見つかりません');
+      }
+      this.checkOverlap(data.records, bedtime, wakeTime, id);
 
-    // 就寝中状態をリセット
-    data.currentBedtime = null;
+      // IDはそのまま、起床日が変わった場合は別の日の記録に移る
+      const record = {
+        ...data.records[index],
+        date: this.formatDate(wakeTime),
+        bedtime: bedtime.toISOString(),
+        wakeTime: wakeTime.toISOString(),
+        duration: this.calcDuration(bedtime, wakeTime),
+        updatedAt,
+      };
 
-    this.save(data);
-    return record;
+      data.records[index] = record;
+      this.sortRecords(data.records);
+      return record;
+    });
+  }
+
+  /**
+   * その夜のアートのスタイルを選び直す
+   * @param {string} id - セッションのID（1日分の記録ならメインの睡眠）
+   * @param {string} style - スタイルのID（art-styles.js）
+   * @returns {Object} 更新後の記録
+   * @throws {Error} 記録がない場合
+   */
+  static setArtStyle(id, style) {
+    const updatedAt = new Date().toISOString();
+
+    return this.mutate(data => {
+      const index = data.records.findIndex(r => r.id === id);
+      if (index < 0) {
+        throw new Error('スタイルを変える記録が見つかりません');
+      }
+
+      data.records[index] = { ...data.records[index], style, updatedAt };
+      return data.records[index];
+    });
+  }
+
+  /**
+   * 朝のふりかえりを記録に残す（書き直す場合も同じ）
+   * @param {string} id - セッションのID
+   * @param {Object|null} checkIn - SleepCheckIn.normalize() で整えたふりかえり（nullなら消す）
+   * @returns {Object} 更新後の記録
+   * @throws {Error} 記録がない場合
+   */
+  static setCheckIn(id, checkIn) {
+    const updatedAt = new Date().toISOString();
+
+    return this.mutate(data => {
+      const index = data.records.findIndex(r => r.id === id);
+      if (index < 0) {
+        throw new Error('ふりかえりを残す記録が見つかりません');
+      }
+
+      const record = { ...data.records[index], updatedAt };
+      if (checkIn) {
+        record.checkIn = checkIn;
+      } else {
+        delete record.checkIn;
+      }
+      data.records[index] = record;
+      return record;
+    });
+  }
+
+  /**
+   * 睡眠記録を削除する
+   * @param {string} id - 削除する記録のID
+   * @returns {boolean} 削除できたかどうか
+   */
+  static deleteRecord(id) {
+    if (!this.getSession(id)) return false;
+    const deletedAt = new Date().toISOString();
+
+    return this.mutate(data => {
+      const index = data.records.findIndex(r => r.id === id);
+      if (index < 0) return false;
+
+      data.records.splice(index, 1);
+      // 同期先の端末からも消えるよう、削除したことを残しておく
+      this.addTombstone(data, id, deletedAt);
+      return true;
+    });
+  }
+
+  /**
+   * 削除した記録のIDと日時を残す（同じIDがあれば新しい日時で上書き）
+   * @param {Object} data
+   * @param {string} id - 削除した記録のID
+   * @param {string} deletedAt - 削除した日時（ISO文字列）
+   */
+  static addTombstone(data, id, deletedAt) {
+    data.deletedRecords = data.deletedRecords.filter(t => t.id !== id);
+    data.deletedRecords.push({ id, deletedAt });
+  }
+
+  /**
+   * 就寝・起床時刻の組み合わせが正しいか確認する
+   * @param {Date} bedtime - 就寝時刻
+   * @param {Date} wakeTime - 起床時刻
+   * @throws {Error} 不正な場合はメッセージ付きのエラー
+   */
+  static validateTimes(bedtime, wakeTime) {
+    if (!(bedtime instanceof Date) || isNaN(bedtime) ||
+        !(wakeTime instanceof Date) || isNaN(wakeTime)) {
+      throw new Error('就寝時刻と起床時刻を入力してください');
+    }
+    if (bedtime >= wakeTime) {
+      throw new Error('起床時刻は就寝時刻より後にしてください');
+    }
+    if (wakeTime > new Date()) {
+      throw new Error('未来の起床時刻は記録できません');
+    }
+    const maxHours = this.getMaxSessionHours();
+    if (this.calcDuration(bedtime, wakeTime) > maxHours) {
+      throw new Error(`睡眠時間が${maxHours}時間を超えています。起きた時刻を確認してください`);
+    }
+  }
+
+  /**
+   * 他のセッションと時間が重なっていないか確認する
+   * @param {Object[]} records - 既存の記録
+   * @param {Date} bedtime - 就寝時刻
+   * @param {Date} wakeTime - 起床時刻
+   * @param {string|null} ignoreId - 比較から除く記録のID（編集中の記録）
+   * @throws {Error} 重なる記録がある場合
+   */
+  static checkOverlap(records, bedtime, wakeTime, ignoreId) {
+    const overlapping = records.some(r =>
+      r.id !== ignoreId &&
+      new Date(r.bedtime) < wakeTime &&
+      new Date(r.wakeTime) > bedtime
+    );
+    if (overlapping) {
+      throw new Error('他の記録と時間が重なっています');
+    }
   }
 
   /**
    * 特定の日付の記録を取得する
+   * その日の全セッションをまとめた「1日分の記録」を返す
+   * （メインの睡眠の値に、合計睡眠時間と昼寝の一覧を加えたもの）
+   *
    * @param {string} dateId - "YYYY-MM-DD" 形式の日付
+   * @returns {Object|null} 1日分の記録、記録がなければnull
    */
   static getRecord(dateId) {
+    const sessions = this.getSessions(dateId);
+    return sessions.length > 0 ? this.buildDayRecord(dateId, sessions) : null;
+  }
+
+  /**
+   * 特定の日付のセッション一覧を就寝時刻順に取得する
+   * @param {string} dateId - "YYYY-MM-DD" 形式の日付
+   */
+  static getSessions(dateId) {
+    return [...(this.getDayIndex().get(dateId) || [])];
+  }
+
+  /**
+   * IDを指定してセッションを1件取得する
+   * @param {string} id - セッションのID
+   */
+  static getSession(id) {
     const data = this.load();
-    return data.records.find(r => r.id === dateId) || null;
+    return data.records.find(r => r.id === id) || null;
   }
 
   /**
-   * 全記録を取得する
+   * 全記録（セッション単位）を取得する
    */
   static getAllRecords() {
     const data = this.load();
     return data.records;
   }
 
+  /**
+   * 全記録を1日分ずつまとめて日付順に取得する
+   * @returns {Object[]} 1日分の記録の配列
+   */
+  static getAllDays() {
+    const byDate = this.getDayIndex();
+    return [...byDate.keys()].sort().map(dateId => this.buildDayRecord(dateId, byDate.get(dateId)));
+  }
+
+  /**
+   * 日付 → その日のセッション一覧（就寝時刻順）の索引を取得する
+   * カレンダーのように日付ごとに何度も引く処理を速くするため、
+   * 一度作った索引はデータが保存されるまで使い回す
+   * @returns {Map<string, Object[]>}
+   */
+  static getDayIndex() {
+    if (!this.dayIndex) {
+      const byDate = new Map();
+      this.load().records.forEach(r => {
+        if (!byDate.has(r.date)) byDate.set(r.date, []);
+        byDate.get(r.date).push(r);
+      });
+      byDate.forEach(sessions => sessions.sort((a, b) => a.bedtime.localeCompare(b.bedtime)));
+      this.dayIndex = byDate;
+    }
+    return this.dayIndex;
+  }
+
+  /**
+   * 同じ日のセッションを1日分の記録にまとめる
+   * いちばん長いセッション（同じ長さなら早く寝たもの）をメイン、それ以外を昼寝として扱う
+   * （シード・パレット・スタイルなどはメインのものを使う。メインより短い昼寝を足しても、
+   *  寝た順がどうでも、その日の作品が別物にならないようにする）
+   *
+   * @param {string} dateId - "YYYY-MM-DD" 形式の日付
+   * @param {Object[]} sessions - 就寝時刻順のセッション
+   * @returns {Object} 1日分の記録
+   */
+  static buildDayRecord(dateId, sessions) {
+    const main = sessions.reduce((best, r) => (
+      r.duration > best.duration || (r.duration === best.duration && r.bedtime < best.bedtime) ? r : best
+    ));
+    const naps = sessions.filter(r => r !== main);
+    const total = sessions.reduce((sum, r) => sum + r.duration, 0);
+
+    return {
+      ...main,
+      id: dateId,
+      sessionId: main.id,            // メインのセッションのID
+      duration: Math.round(total * 100) / 100,  // 1日の合計睡眠時間
+      mainDuration: main.duration,   // メインの睡眠時間
+      sessions: sessions,
+      naps: naps,
+    };
+  }
+
   /**
    * 現在就寝中かどうかを確認する
    */
@@ -161,16 +863,73 @@ class SleepStorage {
     return data.currentBedtime ? new Date(data.currentBedtime) : null;
   }
 
+  /**
+   * 就寝中の場合、その夜のアートのシードを取得する
+   * （以前のバージョンで就寝した場合はnull。起床時に新しいシードを作る）
+   */
+  static getCurrentArtSeed() {
+    const data = this.load();
+    return data.currentBedtime ? data.currentArtSeed : null;
+  }
+
+  /**
+   * 1回の睡眠の長さの上限（時間）を取得する（未設定なら初期値）
+   */
+  static getMaxSessionHours() {
+    const hours = this.getSettings().maxSessionHours;
+    return Number.isInteger(hours) ? hours : MAX_SESSION_HOURS_DEFAULT;
+  }
+
+  /**
+   * 目標の睡眠時間を取得する（未設定なら初期値）
+   * @returns {number} 時間
+   */
+  static getSleepGoal() {
+    const hours = this.getSettings().sleepGoal;
+    return SleepSchema.isValidSleepGoal(hours) ? hours : DEFAULT_SLEEP_GOAL_HOURS;
+  }
+
+  /**
+   * 新しい夜のアートのスタイルを取得する（未設定なら初期値。art-styles.js）
+   * @returns {string}
+   */
+  static getArtStyle() {
+    const style = this.getSettings().artStyle;
+    return typeof style === 'string' && style !== '' ? style : ART_STYLE_DEFAULT;
+  }
+
+  /**
+   * 就寝中のまま上限の時間を過ぎているか（「おはよう」の押し忘れの疑い）
+   * @param {Date} now - 現在時刻
+   */
+  static isOverdue(now = new Date()) {
+    const bedtime = this.getCurrentBedtime();
+    return bedtime !== null && this.calcDuration(bedtime, now) > this.getMaxSessionHours();
+  }
+
+  /**
+   * 記録の睡眠時間が上限を超えているか
+   * （以前のバージョンで記録したものや、取り込んだものにはありうる。削除せず、画面で知らせる）
+   * @param {Object} record - セッションの記録
+   */
+  static isImplausible(record) {
+    return record.duration > this.getMaxSessionHours();
+  }
+
   // === アラームの操作 ===
 
   /**
    * アラーム時刻を設定する
-   * @param {string} timeStr - "HH:MM" 形式の時刻文字列
+   * @param {string} timeStr - "HH:MM" 形式の時刻文字列（起床ウィンドウの場合は終わりの時刻）
+   * @param {Object|null} wakeWindow - 起床ウィンドウの計画（SleepAlarmScheduler.planWakeWindow()）
+   * @param {string|null} challenge - 止めるときのチャレンジの種類（js/wake-challenges.js。使わなければnull）
    */
-  static setAlarm(timeStr) {
-    const data = this.load();
-    data.alarmTime = timeStr;
-    this.save(data);
+  static setAlarm(timeStr, wakeWindow = null, challenge = null) {
+    this.mutate(data => {
+      data.alarmTime = timeStr;
+      data.wakeWindow = wakeWindow;
+      data.alarmChallenge = challenge ? { type: challenge, rangAt: null, attempts: 0, solvedAt: null } : null;
+    });
   }
 
   /**
@@ -184,11 +943,87 @@ class SleepStorage {
 
   /**
    * アラームをクリア（解除）する
+   * スヌーズ中ならそれも止める（スヌーズした回数・起床ウィンドウ・チャレンジの結果は、起床時に記録へ残すため取っておく）
+   * @param {Object} options
+   * @param {boolean} options.cancelled - 鳴る前に取り消した場合はtrue（起床ウィンドウとチャレンジも消す）
    */
-  static clearAlarm() {
+  static clearAlarm({ cancelled = false } = {}) {
+    this.mutate(data => {
+      data.alarmTime = null;
+      if (data.snooze) data.snooze.until = null;
+      if (cancelled) {
+        data.wakeWindow = null;
+        data.alarmChallenge = null;
+      }
+    });
+  }
+
+  /**
+   * アラームを止めるチャレンジの状態を取得する
+   * @returns {Object|null} { type, rangAt, attempts, solvedAt }
+   */
+  static getAlarmChallenge() {
     const data = this.load();
-    data.alarmTime = null;
-    this.save(data);
+    return data.alarmChallenge || null;
+  }
+
+  /**
+   * アラームが鳴ったことを記録する（止めるまでの時間を測るため。スヌーズ後に鳴っても最初の時刻のまま）
+   * @param {Date} time - 鳴った日時
+   */
+  static markAlarmRang(time = new Date()) {
+    const rangAt = time.toISOString();
+    const challenge = this.getAlarmChallenge();
+    if (!challenge || challenge.rangAt) return;
+    this.mutate(data => {
+      if (data.alarmChallenge && !data.alarmChallenge.rangAt) data.alarmChallenge.rangAt = rangAt;
+    });
+  }
+
+  /**
+   * チャレンジに挑戦した結果を記録する
+   * @param {boolean} solved - 成功したかどうか
+   * @param {Date} time - 挑戦した日時
+   */
+  static recordChallengeAttempt(solved, time = new Date()) {
+    const solvedAt = solved ? time.toISOString() : null;
+    this.mutate(data => {
+      if (!data.alarmChallenge || data.alarmChallenge.solvedAt) return;
+      data.alarmChallenge.attempts++;
+      data.alarmChallenge.solvedAt = solvedAt;
+    });
+  }
+
+  /**
+   * 起床ウィンドウの計画を取得する
+   * @returns {Object|null} { start, end, ringAt, cycles }（時刻ちょうどのアラームならnull）
+   */
+  static getWakeWindow() {
+    const data = this.load();
+    return data.wakeWindow || null;
+  }
+
+  /**
+   * スヌーズする（指定した日時にもう一度アラームを鳴らす）
+   * @param {Date} until - 次に鳴らす日時
+   * @returns {Object} スヌーズの状態（{ until, count }）
+   */
+  static snoozeAlarm(until) {
+    const untilISO = until.toISOString();
+    return this.mutate(data => {
+      const count = data.snooze ? data.snooze.count : 0;
+      data.snooze = { until: untilISO, count: count + 1 };
+      return { ...data.snooze };
+    });
+  }
+
+  /**
+   * スヌーズの状態を取得する
+   * @returns {Object|null} { until: 次に鳴らす日時（ISO文字列、止めた後はnull）, count: 回数 }
+   */
+  static getSnooze() {
+    const data = this.load();
+    return data.snooze || null;
   }
 
   // === 実績の操作 ===
@@ -199,13 +1034,16 @@ class SleepStorage {
    * @returns {boolean} 新しく解除されたかどうか
    */
   static unlockAchievement(achievementId) {
-    const data = this.load();
-    if (!data.achievements.includes(achievementId)) {
-      data.achievements.push(achievementId);
-      this.save(data);
-      return true;  // 新規解除
+    if (this.load().achievements.includes(achievementId)) {
+      return false;  // 既に解除済み
     }
-    return false;  // 既に解除済み
+
+    this.mutate(data => {
+      if (!data.achievements.includes(achievementId)) {
+        data.achievements.push(achievementId);
+      }
+    });
+    return true;  // 新規解除
   }
 
   /**
@@ -216,6 +1054,300 @@ class SleepStorage {
     return data.achievements;
   }
 
+  // === 設定の操作 ===
+
+  /**
+   * ユーザー設定を取得する
+   */
+  static getSettings() {
+    const data = this.load();
+    return data.settings;
+  }
+
+  /**
+   * ユーザー設定の一部を更新する
+   * @param {Object} changes - 変更する設定項目
+   */
+  static updateSettings(changes) {
+    return this.mutate(data => {
+      data.settings = { ...data.settings, ...changes };
+      return data.settings;
+    });
+  }
+
+  // === インポート ===
+
+  /**
+   * 外部から読み込んだデータを取り込む
+   * @param {Object} incoming - { records, achievements, settings }
+   * @param {Object} options - mergeData と同じオプション
+   * @returns {Object} 取り込み結果の集計
+   */
+  static importData(incoming, options) {
+    // 取り込んだ記録は「今変更した」ものとして同期で送る
+    const importedAt = new Date().toISOString();
+    const stamped = {
+      ...incoming,
+      records: (incoming.records || []).map(r => ({ ...r, updatedAt: importedAt })),
+    };
+
+    return this.mutate(data => {
+      const { data: merged, summary } = this.mergeData(data, stamped, options);
+      data.records = merged.records;
+      data.achievements = merged.achievements;
+      data.settings = merged.settings;
+      summary.removed.forEach(r => this.addTombstone(data, r.id, importedAt));
+      return summary;
+    });
+  }
+
+  /**
+   * 現在のデータに外部のデータを重ね合わせた結果を作る
+   * 元のデータは書き換えないので、取り込み前のプレビューにも使える
+   *
+   * @param {Object} current - 現在のデータ
+   * @param {Object} incoming - { records, achievements, settings }
+   * @param {Object} options
+   * @param {string} options.mode - "merge"（統合）または "replace"（置き換え）
+   * @param {string} options.onConflict - 同じIDの記録の扱い
+   *   "keep"（今の記録を残す）または "overwrite"（取り込む側で上書き）
+   * @returns {{ data: Object, summary: Object }} 結果のデータと集計
+   */
+  static mergeData(current, incoming, options = {}) {
+    const mode = options.mode || 'merge';
+    const onConflict = options.onConflict || 'keep';
+    const summary = { added: [], updated: [], conflicts: [], unchanged: [], removed: [] };
+    const incomingRecords = incoming.records || [];
+    // この端末だけの設定（同期サーバーなど）は取り込まず、今の値を残す
+    const incomingSettings = SleepSchema.withoutDeviceSettings(incoming.settings);
+    const deviceSettings = Object.fromEntries(
+      DEVICE_SETTINGS_KEYS.filter(key => key in current.settings).map(key => [key, current.settings[key]])
+    );
+
+    let records;
+    let achievements;
+    let settings;
+
+    if (mode === 'replace') {
+      // 置き換え: 取り込む側にない記録は消える
+      const incomingIds = new Set(incomingRecords.map(r => r.id));
+      const currentById = new Map(current.records.map(r => [r.id, r]));
+      summary.removed = current.records.filter(r => !incomingIds.has(r.id));
+      incomingRecords.forEach(r => {
+        const existing = currentById.get(r.id);
+        if (!existing) summary.added.push(r);
+        else if (this.isSameRecord(existing, r)) summary.unchanged.push(r);
+        else summary.updated.push(r);
+      });
+
+      records = incomingRecords.map(r => ({ ...r }));
+      achievements = [...(incoming.achievements || [])];
+      settings = { ...incomingSettings, ...deviceSettings };
+    } else {
+      // 統合: IDで突き合わせ、同じIDで内容が違うものは onConflict に従う
+      records = current.records.map(r => ({ ...r }));
+      const indexById = new Map(records.map((r, i) => [r.id, i]));
+
+      incomingRecords.forEach(r => {
+        const index = indexById.get(r.id);
+        if (index === undefined) {
+          records.push({ ...r });
+          summary.added.push(r);
+        } else if (this.isSameRecord(records[index], r)) {
+          summary.unchanged.push(r);
+        } else {
+          summary.conflicts.push({ current: records[index], incoming: r });
+          if (onConflict === 'overwrite') {
+            records[index] = { ...r };
+            summary.updated.push(r);
+          }
+        }
+      });
+
+      achievements = [...new Set([...current.achievements, ...(incoming.achievements || [])])];
+      settings = onConflict === 'overwrite'
+        ? { ...current.settings, ...incomingSettings }
+        : { ...incomingSettings, ...current.settings };
+    }
+
+    this.sortRecords(records);
+
+    return {
+      data: { ...current, records, achievements, settings },
+      summary,
+    };
+  }
+
+  /**
+   * 2つの記録の内容が同じかどうか比較する（項目の順番は問わない）
+   * 更新日時は内容ではないので比較しない
+   */
+  static isSameRecord(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    keys.delete('updatedAt');
+    return [...keys].every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+  }
+
+  // === 同期 ===
+
+  /**
+   * 同期の状態を取得する
+   * @returns {Object} { cursor, lastPushedAt }
+   */
+  static getSyncState() {
+    return this.load().sync;
+  }
+
+  /**
+   * 同期の状態を更新する
+   * @param {Object} changes - 変更する項目
+   */
+  static updateSyncState(changes) {
+    this.mutate(data => {
+      data.sync = { ...data.sync, ...changes };
+    });
+  }
+
+  /**
+   * ある時点より後に変更・削除した記録を取得する（サーバーへ送る分）
+   * @param {string|null} since - この日時より後の変更（nullなら全件）
+   * @returns {Object[]} 記録と、削除を表す { id, deleted: true, updatedAt } の配列
+   */
+  static getChangesSince(since) {
+    const data = this.load();
+    const changed = data.records.filter(r => !since || r.updatedAt > since);
+    const deleted = data.deletedRecords
+      .filter(t => !since || t.deletedAt > since)
+      .map(t => ({ id: t.id, deleted: true, updatedAt: t.deletedAt }));
+    return [...changed, ...deleted];
+  }
+
+  /**
+   * サーバーから受け取った変更を取り込む
+   * 同じ記録はあとから変更した方を残す（last-writer-wins）。
+   * 実績は一度解除したら戻らないので、両方を合わせる
+   *
+   * @param {Object[]} remoteRecords - 記録、または削除を表す { id, deleted: true, updatedAt }
+   * @param {string[]} remoteAchievements - サーバーにある解除済み実績のID
+   * @returns {number} 変更があった記録の数
+   */
+  static applyRemoteChanges(remoteRecords, remoteAchievements = []) {
+    return this.mutate(data => {
+      let applied = 0;
+
+      remoteRecords.forEach(remote => {
+        const index = data.records.findIndex(r => r.id === remote.id);
+        const local = index >= 0 ? data.records[index] : null;
+        const tombstone = data.deletedRecords.find(t => t.id === remote.id);
+        const localUpdatedAt = local ? local.updatedAt || '' : tombstone ? tombstone.deletedAt : '';
+
+        // こちらの方が新しければ何もしない
+        if (localUpdatedAt >= remote.updatedAt) return;
+
+        if (remote.deleted) {
+          if (local) data.records.splice(index, 1);
+          this.addTombstone(data, remote.id, remote.updatedAt);
+          applied++;
+          return;
+        }
+
+        // サーバーが付けた項目は外し、記録として正しいものだけ取り込む
+        const { seq, ...record } = remote;
+        const reason = SleepSchema.validateRecord(record);
+        if (reason) {
+          console.warn(`同期した記録を取り込めません（${reason}）:`, remote);
+          return;
+        }
+
+        if (local) data.records[index] = record;
+        else data.records.push(record);
+        data.deletedRecords = data.deletedRecords.filter(t => t.id !== remote.id);
+        applied++;
+      });
+
+      this.sortRecords(data.records);
+      data.achievements = [...new Set([...data.achievements, ...remoteAchievements])];
+      return applied;
+    });
+  }
+
+  // === アートのキャッシュ ===
+
+  /**
+   * 描画済みのアートをキャッシュから取得する
+   * 保存先がキャッシュに対応していない場合や、描画内容が変わった場合はnull
+   *
+   * @param {string} key - キャッシュのキー（日付とサイズ）
+   * @param {string} signature - 描画内容を表す文字列（SleepArtGenerator.getSignature）
+   * @returns {Promise<Blob|null>} 画像
+   */
+  static async getCachedArt(key, signature) {
+    if (!this.backend || !this.backend.getArt || this.closed) return null;
+    try {
+      const entry = await this.backend.getArt(key);
+      return entry && entry.signature === signature ? entry.blob : null;
+    } catch (e) {
+      console.warn('アートのキャッシュを読み込めません:', e);
+      return null;
+    }
+  }
+
+  /**
+   * 描画したアートをキャッシュに保存する
+   * キーごとに最新の1枚だけを残すので、記録を編集しても古い画像はたまらない
+   *
+   * @param {string} key - キャッシュのキー（日付とサイズ）
+   * @param {string} signature - 描画内容を表す文字列
+   * @param {Blob} blob - 画像
+   */
+  static putCachedArt(key, signature, blob) {
+    if (!this.backend || !this.backend.putArt || this.closed) return;
+    this.backend.putArt(key, { signature, blob }).catch(e => {
+      console.warn('アートのキャッシュを保存できません:', e);
+    });
+  }
+
+  // === 利用者が選んだファイル ===
+
+  /**
+   * 保存先がファイルの保存に対応しているか（localStorage では容量が足りないため非対応）
+   */
+  static supportsAssets() {
+    return Boolean(this.backend && this.backend.putAsset && !this.closed);
+  }
+
+  /**
+   * 保存したファイルを取得する（なければnull）
+   * @param {string} key - ファイルのキー
+   * @returns {Promise<Object|null>} { name, blob }
+   */
+  static async getAsset(key) {
+    if (!this.supportsAssets()) return null;
+    return this.backend.getAsset(key);
+  }
+
+  /**
+   * ファイルを保存する
+   * @param {string} key - ファイルのキー
+   * @param {Object} entry - { name: ファイル名, blob }
+   * @throws {Error} 保存先が対応していない場合
+   */
+  static async putAsset(key, entry) {
+    if (!this.supportsAssets()) {
+      throw new Error('この保存先にはファイルを保存できません');
+    }
+    await this.backend.putAsset(key, entry);
+  }
+
+  /**
+   * 保存したファイルを削除する
+   * @param {string} key - ファイルのキー
+   */
+  static async deleteAsset(key) {
+    if (!this.supportsAssets()) return;
+    await this.backend.deleteAsset(key);
+  }
+
   // === 統計情報 ===
 
   /**
@@ -228,6 +1360,7 @@ class SleepStorage {
 
     let streak = 0;
     const today = new Date();
+    const byDate = this.getDayIndex();
 
     // 今日から1日ずつ遡って確認
     for (let i = 0; i < 365; i++) {
@@ -235,7 +1368,7 @@ class SleepStorage {
       checkDate.setDate(checkDate.getDate() - i);
       const dateId = this.formatDate(checkDate);
 
-      if (data.records.find(r => r.id === dateId)) {
+      if (byDate.has(dateId)) {
         streak++;
       } else {
         // 今日の記録がない場合でも就寝中なら継続とみなす
@@ -254,12 +1387,35 @@ class SleepStorage {
   }
 
   /**
-   * 平均睡眠時間を計算する
+   * その日の時点での連続記録日数
+   * その日から遡って何日連続で記録があるかを数える（その日を含む）。
+   * アートはこちらを使う。今日のストリークを使うと、昔の作品の見た目が
+   * 今のストリークしだいで変わってしまうため
+   *
+   * @param {string} dateId - "YYYY-MM-DD" 形式の日付
+   * @returns {number} その日に記録がなければ0
+   */
+  static getStreakAt(dateId) {
+    const dayIndex = this.getDayIndex();
+    if (!this.streakIndex || this.streakIndex.dayIndex !== dayIndex) {
+      // 索引が作り直されたら（＝データが変わったら）古い日付から順に数え直す
+      const byDate = new Map();
+      [...dayIndex.keys()].sort().forEach(id => {
+        const [y, m, d] = id.split('-').map(Number);
+        const previous = this.formatDate(new Date(y, m - 1, d - 1));
+        byDate.set(id, Math.min((byDate.get(previous) || 0) + 1, 365));
+      });
+      this.streakIndex = { dayIndex, byDate };
+    }
+    return this.streakIndex.byDate.get(dateId) || 0;
+  }
+
+  /**
+   * 1日あたりの平均睡眠時間を計算する（昼寝も合計に含める）
    * @param {number} days - 直近何日分を対象にするか（省略時は全件）
    */
   static getAverageDuration(days) {
-    const data = this.load();
-    let records = data.records;
+    let records = this.getAllDays();
 
     if (days) {
       // 直近N日分だけに絞る
@@ -268,13 +1424,75 @@ class SleepStorage {
 
     if (records.length === 0) return 0;
 
-    // 睡眠時間の合計 ÷ レコード数 = 平均
+    // 睡眠時間の合計 ÷ 日数 = 平均
     const total = records.reduce((sum, r) => sum + r.duration, 0);
     return Math.round((total / records.length) * 10) / 10;  // 小数点1桁
   }
 
   // === ユーティリティ ===
 
+  /**
+   * 就寝・起床時刻から睡眠時間（時間単位）を計算する
+   * @param {Date} bedtime
+   * @param {Date} wakeTime
+   * @returns {number} 睡眠時間（小数点2桁）
+   */
+  static calcDuration(bedtime, wakeTime) {
+    const durationMs = wakeTime - bedtime;
+    const durationHours = durationMs / (1000 * 60 * 60);  // ミリ秒→時間
+    return Math.round(durationHours * 100) / 100;
+  }
+
+  /**
+   * 新しいセッションの記録を作成する
+   * その時点の目標の睡眠時間・パレットの版・アートのスタイルも残す（後から変えても作品が変わらないように）
+   * @param {Date} bedtime - 就寝時刻
+   * @param {Date} wakeTime - 起床時刻
+   */
+  static createRecord(bedtime, wakeTime) {
+    // 日付IDを生成（起床日を基準にする）
+    const dateId = this.formatDate(wakeTime);
+
+    return {
+      id: this.createRecordId(dateId),
+      date: dateId,
+      bedtime: bedtime.toISOString(),
+      wakeTime: wakeTime.toISOString(),
+      duration: this.calcDuration(bedtime, wakeTime),
+      artSeed: this.createArtSeed(),  // アート用のランダムシード
+      sleepGoal: this.getSleepGoal(),
+      paletteVersion: PALETTE_VERSION,
+      style: SleepArtStyles.getDefault(),
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * セッションの一意なIDを生成する
+   * 日付を先頭に付けておくと、データを直接見たときに分かりやすい
+   * @param {string} dateId - "YYYY-MM-DD" 形式の日付
+   */
+  static createRecordId(dateId) {
+    const suffix = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    return `${dateId}-${suffix}`;
+  }
+
+  /**
+   * アート用のランダムシードを生成する
+   */
+  static createArtSeed() {
+    return Math.floor(Math.random() * 1000000);
+  }
+
+  /**
+   * 記録を就寝時刻順に並べ替える
+   * 手動で過去の記録を追加しても「直近N日」の計算がずれないようにする
+   * @param {Object[]} records
+   */
+  static sortRecords(records) {
+    records.sort((a, b) => a.bedtime.localeCompare(b.bedtime));
+  }
+
   /**
    * Date オブジェクトを "YYYY-MM-DD" 形式の文字列に変換する
    * @param {Date} date
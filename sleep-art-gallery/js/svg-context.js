@@ -0,0 +1,376 @@
+/* ============================================
+   svg-context.js - アートをSVGで描くための描画コンテキスト
+
+   アートの描画処理（art-generator.js / art-styles.js）は Canvas の
+   2Dコンテキストに描いている。ここでは、そのうちアートが使う命令だけを
+   同じ名前で受け付け、SVG の要素として書き留める。
+   同じ描画処理をそのまま通せば、同じ記録・シードから同じ絵の SVG ができる
+   （拡大しても荒れないので印刷向き。文字列なので見比べてテストもできる）。
+
+   対応している命令:
+   - パス: beginPath / moveTo / lineTo / bezierCurveTo / quadraticCurveTo / arc / ellipse / rect / closePath
+   - 塗り・線: fill / stroke / fillRect / strokeRect（fillStyle, strokeStyle, lineWidth, lineCap）
+   - 座標変換: save / restore / translate / rotate / scale
+   - グラデーション: createLinearGradient / createRadialGradient
+   - 重ね方: globalCompositeOperation（multiply などは mix-blend-mode にする）
+
+   座標は小数第2位に丸め、グラデーションのIDは作った順に振るので、
+   同じ描画からは必ず同じ文字列になる。
+   ============================================ */
+
+// 座標・太さを丸める桁（小数第2位）
+const SVG_PRECISION = 100;
+
+/**
+ * SleepSvgGradient クラス
+ * createLinearGradient / createRadialGradient が返すグラデーション
+ */
+class SleepSvgGradient {
+  /**
+   * @param {string} type - "linear" または "radial"
+   * @param {number[]} coords - linear: [x0, y0, x1, y1] / radial: [x0, y0, r0, x1, y1, r1]
+   */
+  constructor(type, coords) {
+    this.type = type;
+    this.coords = coords;
+    this.stops = [];
+  }
+
+  /**
+   * 色の区切りを追加する（CanvasGradient と同じ）
+   * @param {number} offset - 0〜1
+   * @param {string} color
+   */
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color });
+  }
+}
+
+/**
+ * SleepSvgContext クラス
+ * Canvas の2Dコンテキストの代わりに渡し、描いた内容を SVG にする
+ */
+class SleepSvgContext {
+  /**
+   * @param {number} width - 幅（px）
+   * @param {number} height - 高さ（px）
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+
+    // 描画の状態（save / restore で保存・復元する）
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.globalCompositeOperation = 'source-over';
+    this.matrix = [1, 0, 0, 1, 0, 0];  // 座標変換 [a, b, c, d, e, f]
+    this.stack = [];
+
+    this.path = [];          // 組み立て中のパス（SVG の d 属性の命令。変換後の座標）
+    this.current = null;     // パスの現在の点（変換前の座標）
+    this.subpathStart = null;  // 今のサブパスの始点（closePath で戻る点）
+    this.defs = [];          // グラデーションの定義
+    this.elements = [];      // 描いた要素
+  }
+
+  // === 状態と座標変換 ===
+
+  save() {
+    this.stack.push({
+      fillStyle: this.fillStyle,
+      strokeStyle: this.strokeStyle,
+      lineWidth: this.lineWidth,
+      lineCap: this.lineCap,
+      globalCompositeOperation: this.globalCompositeOperation,
+      matrix: [...this.matrix],
+    });
+  }
+
+  restore() {
+    const state = this.stack.pop();
+    if (state) Object.assign(this, state);
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  /**
+   * 今の座標変換に変換を掛け合わせる（CanvasRenderingContext2D.transform と同じ）
+   */
+  transform(a, b, c, d, e, f) {
+    const [a0, b0, c0, d0, e0, f0] = this.matrix;
+    this.matrix = [
+      a0 * a + c0 * b, b0 * a + d0 * b,
+      a0 * c + c0 * d, b0 * c + d0 * d,
+      a0 * e + c0 * f + e0, b0 * e + d0 * f + f0,
+    ];
+  }
+
+  /**
+   * 変換前の座標を、SVG に書く座標に変換する
+   * @returns {string} "x y"
+   */
+  point(x, y) {
+    const [a, b, c, d, e, f] = this.matrix;
+    return `${this.round(a * x + c * y + e)} ${this.round(b * x + d * y + f)}`;
+  }
+
+  /**
+   * 座標変換による拡大率（半径・線の太さに掛ける）
+   */
+  getScale() {
+    const [a, b, c, d] = this.matrix;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  }
+
+  // === パス ===
+
+  beginPath() {
+    this.path = [];
+    this.current = null;
+    this.subpathStart = null;
+  }
+
+  moveTo(x, y) {
+    this.path.push(`M${this.point(x, y)}`);
+    this.current = [x, y];
+    this.subpathStart = [x, y];
+  }
+
+  lineTo(x, y) {
+    if (!this.current) {
+      this.moveTo(x, y);
+      return;
+    }
+    this.path.push(`L${this.point(x, y)}`);
+    this.current = [x, y];
+  }
+
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    if (!this.current) this.moveTo(cp1x, cp1y);
+    this.path.push(`C${this.point(cp1x, cp1y)} ${this.point(cp2x, cp2y)} ${this.point(x, y)}`);
+    this.current = [x, y];
+  }
+
+  quadraticCurveTo(cpx, cpy, x, y) {
+    if (!this.current) this.moveTo(cpx, cpy);
+    this.path.push(`Q${this.point(cpx, cpy)} ${this.point(x, y)}`);
+    this.current = [x, y];
+  }
+
+  closePath() {
+    if (!this.current) return;
+    this.path.push('Z');
+    this.current = this.subpathStart;
+  }
+
+  rect(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+  }
+
+  arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+    this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, anticlockwise);
+  }
+
+  /**
+   * 楕円の弧（Canvas と同じく、パスが途中なら弧の始点まで線でつなぐ）
+   * SVG の円弧は1回で1周を描けないので、半分ずつに分けて描く
+   */
+  ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, anticlockwise = false) {
+    const full = Math.PI * 2;
+    const raw = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+    const sweep = raw >= full ? full : ((raw % full) + full) % full;
+    const direction = anticlockwise ? -1 : 1;
+
+    const at = (angle) => {
+      const px = radiusX * Math.cos(angle);
+      const py = radiusY * Math.sin(angle);
+      return [
+        x + px * Math.cos(rotation) - py * Math.sin(rotation),
+        y + px * Math.sin(rotation) + py * Math.cos(rotation),
+      ];
+    };
+
+    const [sx, sy] = at(startAngle);
+    if (this.current) this.lineTo(sx, sy);
+    else this.moveTo(sx, sy);
+    if (sweep === 0) return;
+
+    // 変換後の楕円の半径・傾き（回転と均等な拡大だけを想定する）
+    const scale = this.getScale();
+    const rx = this.round(radiusX * scale);
+    const ry = this.round(radiusY * scale);
+    const tilt = this.round(((rotation + Math.atan2(this.matrix[1], this.matrix[0])) * 180) / Math.PI);
+    const sweepFlag = anticlockwise ? 0 : 1;
+
+    const pieces = sweep === full ? 2 : 1;
+    for (let i = 1; i <= pieces; i++) {
+      const angle = startAngle + direction * (sweep * i) / pieces;
+      const [ex, ey] = at(angle);
+      const large = sweep / pieces > Math.PI ? 1 : 0;
+      this.path.push(`A${rx} ${ry} ${tilt} ${large} ${sweepFlag} ${this.point(ex, ey)}`);
+      this.current = [ex, ey];
+    }
+  }
+
+  // === 塗り・線 ===
+
+  fill() {
+    if (this.path.length === 0) return;
+    this.elements.push(`<path d="${this.path.join('')}"${this.paint('fill', this.fillStyle)}${this.blend()}/>`);
+  }
+
+  stroke() {
+    if (this.path.length === 0) return;
+    this.elements.push(`<path d="${this.path.join('')}" fill="none"${this.paint('stroke', this.strokeStyle)}` +
+      ` stroke-width="${this.round(this.lineWidth * this.getScale())}"` +
+      `${this.lineCap !== 'butt' ? ` stroke-linecap="${this.lineCap}"` : ''}${this.blend()}/>`);
+  }
+
+  fillRect(x, y, w, h) {
+    this.withPath(() => this.rect(x, y, w, h), () => this.fill());
+  }
+
+  strokeRect(x, y, w, h) {
+    this.withPath(() => this.rect(x, y, w, h), () => this.stroke());
+  }
+
+  /**
+   * 今のパスを残したまま、別のパスを描く（fillRect / strokeRect はパスを変えない）
+   */
+  withPath(build, draw) {
+    const saved = [this.path, this.current, this.subpathStart];
+    this.beginPath();
+    build();
+    draw();
+    [this.path, this.current, this.subpathStart] = saved;
+  }
+
+  /**
+   * 塗り・線の色の属性
+   * @param {string} attr - "fill" または "stroke"
+   * @param {string|SleepSvgGradient} style
+   */
+  paint(attr, style) {
+    if (style instanceof SleepSvgGradient) {
+      return ` ${attr}="url(#${this.addGradient(style)})"`;
+    }
+    const [color, opacity] = this.parseColor(style);
+    return ` ${attr}="${color}"${opacity < 1 ? ` ${attr}-opacity="${opacity}"` : ''}`;
+  }
+
+  /**
+   * 重ね方の属性（ふつうに重ねる場合は何も付けない）
+   */
+  blend() {
+    const mode = this.globalCompositeOperation;
+    return mode === 'source-over' ? '' : ` style="mix-blend-mode:${mode}"`;
+  }
+
+  // === グラデーション ===
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new SleepSvgGradient('linear', [x0, y0, x1, y1]);
+  }
+
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    return new SleepSvgGradient('radial', [x0, y0, r0, x1, y1, r1]);
+  }
+
+  /**
+   * グラデーションを定義に加える（Canvas と同じく、塗ったときの座標変換で置く）
+   * @param {SleepSvgGradient} gradient
+   * @returns {string} 定義のID
+   */
+  addGradient(gradient) {
+    const id = `g${this.defs.length + 1}`;
+    const r = (n) => this.round(n);
+    const matrix = this.matrix.map(n => this.round(n)).join(' ');
+    const attrs = gradient.type === 'linear'
+      ? `x1="${r(gradient.coords[0])}" y1="${r(gradient.coords[1])}" x2="${r(gradient.coords[2])}" y2="${r(gradient.coords[3])}"`
+      : `fx="${r(gradient.coords[0])}" fy="${r(gradient.coords[1])}" ` +
+        `${gradient.coords[2] > 0 ? `fr="${r(gradient.coords[2])}" ` : ''}` +
+        `cx="${r(gradient.coords[3])}" cy="${r(gradient.coords[4])}" r="${r(gradient.coords[5])}"`;
+
+    // Canvas は透明な色へ向かうとき色を変えずに薄くなるので、
+    // "transparent" の区切りには隣の区切りの色を使う（黒ずまないように）
+    const parsed = gradient.stops.map(stop => this.parseColor(stop.color));
+    const stops = gradient.stops.map((stop, i) => {
+      let [color, opacity] = parsed[i];
+      if (stop.color === 'transparent') {
+        const neighbor = parsed[i - 1] || parsed[i + 1];
+        if (neighbor) color = neighbor[0];
+      }
+      return `<stop offset="${stop.offset}" stop-color="${color}"${opacity < 1 ? ` stop-opacity="${opacity}"` : ''}/>`;
+    }).join('');
+
+    const tag = gradient.type === 'linear' ? 'linearGradient' : 'radialGradient';
+    this.defs.push(`<${tag} id="${id}" gradientUnits="userSpaceOnUse" gradientTransform="matrix(${matrix})" ${attrs}>${stops}</${tag}>`);
+    return id;
+  }
+
+  // === 書き出し ===
+
+  /**
+   * 描いた内容を SVG の文書にする
+   * @returns {string}
+   */
+  toSVG() {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">` +
+      `<defs>${this.defs.join('')}</defs>${this.elements.join('')}</svg>`;
+  }
+
+  // === ユーティリティ ===
+
+  round(n) {
+    return Math.round(n * SVG_PRECISION) / SVG_PRECISION;
+  }
+
+  /**
+   * CSS の色を、SVG の色と不透明度に分ける
+   * @param {string} color - "#RRGGBB" / "rgb()" / "rgba()" / "hsl()" / "hsla()" / "transparent"
+   * @returns {Array} [色, 不透明度（0〜1）]
+   */
+  parseColor(color) {
+    if (color === 'transparent') return ['#000000', 0];
+    const numbers = (color.match(/-?[\d.]+/g) || []).map(Number);
+
+    if (color.startsWith('rgb')) {
+      return [`rgb(${numbers.slice(0, 3).map(Math.round).join(',')})`, numbers.length > 3 ? numbers[3] : 1];
+    }
+    if (color.startsWith('hsl')) {
+      return [this.hslToRgb(numbers[0], numbers[1] / 100, numbers[2] / 100), numbers.length > 3 ? numbers[3] : 1];
+    }
+    return [color, 1];
+  }
+
+  /**
+   * HSL の色を "rgb(r,g,b)" にする
+   * @param {number} hue - 色相（度）
+   * @param {number} sat - 彩度（0〜1）
+   * @param {number} light - 明度（0〜1）
+   */
+  hslToRgb(hue, sat, light) {
+    const k = (n) => (n + hue / 30) % 12;
+    const a = sat * Math.min(light, 1 - light);
+    const channel = (n) => Math.round(255 * (light - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))));
+    return `rgb(${channel(0)},${channel(8)},${channel(4)})`;
+  }
+}
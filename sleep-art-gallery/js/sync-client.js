@@ -0,0 +1,236 @@
+/* ============================================
+   sync-client.js - 同期サーバーとのやりとり
+
+   設定画面で同期サーバー（server/sync-server.js）のURLを登録すると、
+   記録と実績を他の端末とそろえる。サーバーは任意で、登録しなければ何もしない。
+
+   同期の流れ（sync()）:
+   1. 前回送った時点より後に変更・削除した記録をサーバーへ送る（push）
+   2. 前回受け取った位置より後にサーバーで変更された記録を受け取り、
+      あとから変更した方を残して取り込む（pull）
+   3. 実績は両方を合わせる
+
+   オフラインのときは何もせず、変更は端末に残る。
+   次に同期できたときに、たまった変更をまとめて送る。
+   ============================================ */
+
+// 定期的に同期する間隔（ミリ秒）
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+// 記録を変更してからサーバーへ送るまでの待ち時間（続けて変更したときにまとめて送る）
+const SYNC_PUSH_DELAY_MS = 3000;
+
+// 同期をタブ間で同時に行わないためのロック名
+const SYNC_LOCK_NAME = 'sleep-art-gallery-sync';
+
+/**
+ * SleepSync クラス
+ * 同期サーバーとの記録のやりとりを担当する
+ */
+class SleepSync {
+
+  static intervalId = null;
+  static pushTimerId = null;
+  static running = null;       // 実行中の同期（Promise）
+  static listeners = [];       // 同期の状態が変わったときに呼ぶ関数
+
+  // 同期の状態（画面表示用）
+  // received: 直前の同期で取り込んだ記録の数
+  static status = { state: 'off', message: '', lastSyncedAt: null, received: 0 };
+
+  /**
+   * 同期の準備をする（アプリ起動時に1回だけ呼ぶ）
+   * - データを変更したら少し待って送る
+   * - オフラインから戻ったらすぐ同期する
+   */
+  static init() {
+    SleepStorage.onLocalChange(() => this.schedulePush());
+    window.addEventListener('online', () => {
+      if (this.intervalId) this.sync();
+    });
+    this.start();
+  }
+
+  /**
+   * 同期を始める（アプリ起動時と、設定を変更したときに呼ぶ）
+   * サーバーが登録されていなければ止める
+   */
+  static start() {
+    this.stop();
+    if (!this.getServer()) {
+      this.setStatus('off', '同期していません');
+      return;
+    }
+
+    this.intervalId = setInterval(() => this.sync(), SYNC_INTERVAL_MS);
+    this.sync();
+  }
+
+  /**
+   * 定期的な同期を止める
+   */
+  static stop() {
+    clearInterval(this.intervalId);
+    clearTimeout(this.pushTimerId);
+    this.intervalId = null;
+    this.pushTimerId = null;
+  }
+
+  /**
+   * 登録されている同期サーバーを取得する
+   * @returns {Object|null} { url, token }（未登録ならnull）
+   */
+  static getServer() {
+    const server = SleepStorage.getSettings().syncServer;
+    return server && server.url ? server : null;
+  }
+
+  /**
+   * データが変更されたときに呼ぶ。送る変更があれば、少し待ってからサーバーへ送る
+   * （同期中の変更は同期そのものによるものなので無視する）
+   */
+  static schedulePush() {
+    if (!this.intervalId || this.running) return;
+    if (SleepStorage.getChangesSince(SleepStorage.getSyncState().lastPushedAt).length === 0) return;
+    clearTimeout(this.pushTimerId);
+    this.pushTimerId = setTimeout(() => this.sync(), SYNC_PUSH_DELAY_MS);
+  }
+
+  /**
+   * サーバーと同期する
+   * 実行中に呼ばれた場合は、実行中の同期を待つ
+   * @returns {Promise<boolean>} 同期できたかどうか
+   */
+  static sync() {
+    if (this.running) return this.running;
+
+    this.running = this.withSyncLock(() => this.run())
+      .finally(() => { this.running = null; });
+    return this.running;
+  }
+
+  /**
+   * 同期の本体
+   */
+  static async run() {
+    const server = this.getServer();
+    if (!server) return false;
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.setStatus('offline', 'オフラインです。つながったら同期します');
+      return false;
+    }
+
+    this.setStatus('syncing', '同期しています…');
+    try {
+      const pushed = await this.push(server);
+      const pulled = await this.pull(server);
+
+      this.status.lastSyncedAt = new Date().toISOString();
+      this.status.received = pulled;
+      this.setStatus('idle', `同期しました（送信 ${pushed}件 / 受信 ${pulled}件）`);
+      return true;
+    } catch (e) {
+      console.warn('同期に失敗しました:', e);
+      this.setStatus('error', `同期できませんでした: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 前回送った時点より後の変更をサーバーへ送る
+   * @returns {Promise<number>} 送った記録の数
+   */
+  static async push(server) {
+    // 送っている間に変更された記録は次回送れるよう、送り始めた時点を記録する
+    const startedAt = new Date().toISOString();
+    const { lastPushedAt } = SleepStorage.getSyncState();
+    const changes = SleepStorage.getChangesSince(lastPushedAt);
+
+    if (changes.length > 0) {
+      await this.request(server, 'PUT', '/api/records', { records: changes });
+    }
+    await this.request(server, 'PUT', '/api/achievements', { achievements: SleepStorage.getAchievements() });
+
+    SleepStorage.updateSyncState({ lastPushedAt: startedAt });
+    return changes.length;
+  }
+
+  /**
+   * 前回受け取った位置より後の変更をサーバーから受け取る
+   * @returns {Promise<number>} 取り込んだ記録の数
+   */
+  static async pull(server) {
+    const { cursor } = SleepStorage.getSyncState();
+    const { records, cursor: nextCursor } =
+      await this.request(server, 'GET', `/api/records?since=${encodeURIComponent(cursor)}`);
+    const { achievements } = await this.request(server, 'GET', '/api/achievements');
+
+    const local = new Set(SleepStorage.getAchievements());
+    const hasNewAchievements = achievements.some(id => !local.has(id));
+
+    let applied = 0;
+    if (records.length > 0 || hasNewAchievements) {
+      applied = SleepStorage.applyRemoteChanges(records, achievements);
+    }
+    if (nextCursor !== cursor) {
+      SleepStorage.updateSyncState({ cursor: nextCursor });
+    }
+    return applied;
+  }
+
+  /**
+   * サーバーにリクエストを送る
+   * @param {Object} server - { url, token }
+   * @param {string} method - HTTPメソッド
+   * @param {string} path - "/api/..." のパス
+   * @param {Object} [body] - 送るデータ
+   * @returns {Promise<Object>} 応答のJSON
+   * @throws {Error} 通信できない場合、サーバーがエラーを返した場合
+   */
+  static async request(server, method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (server.token) headers.Authorization = `Bearer ${server.token}`;
+
+    const response = await fetch(server.url.replace(/\/+$/, '') + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `サーバーエラー（${response.status}）`);
+    }
+    return result;
+  }
+
+  /**
+   * 同期を他のタブと同時に行わないようにする
+   * 他のタブが同期中なら、このタブでは同期しない
+   */
+  static withSyncLock(fn) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(SYNC_LOCK_NAME, { ifAvailable: true }, lock => (lock ? fn() : false));
+    }
+    return fn();
+  }
+
+  /**
+   * 同期の状態を更新し、登録された関数に知らせる
+   * @param {string} state - "off" / "idle" / "syncing" / "offline" / "error"
+   * @param {string} message - 画面に表示するメッセージ
+   */
+  static setStatus(state, message) {
+    this.status = { ...this.status, state, message };
+    this.listeners.forEach(listener => listener(this.status));
+  }
+
+  /**
+   * 同期の状態が変わったときに呼ぶ関数を登録する
+   * @param {Function} listener
+   */
+  static onStatus(listener) {
+    this.listeners.push(listener);
+  }
+}
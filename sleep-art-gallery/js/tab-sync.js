@@ -0,0 +1,98 @@
+/* ============================================
+   tab-sync.js - タブ間の連絡
+
+   同じアプリを複数のタブで開いているとき、
+   「データが変わった」「アラームを止めた」などを他のタブに知らせる。
+
+   - BroadcastChannel が使えればそれを使う
+   - 使えない古いブラウザでは localStorage の storage イベントで代用する
+     （値を書き込むと、他のタブにだけイベントが届く）
+
+   メッセージは { type, tabId, ...内容 } の形で、
+   自分のタブが送ったメッセージは受け取らない。
+   ============================================ */
+
+// BroadcastChannel の名前
+const TAB_SYNC_CHANNEL = 'sleep-art-gallery';
+
+// storage イベントで代用するときに書き込むキー名
+const TAB_SYNC_KEY = 'sleep-art-gallery-tab-message';
+
+/**
+ * SleepTabSync クラス
+ * タブ間のメッセージの送受信を担当する
+ */
+class SleepTabSync {
+
+  static channel = null;    // BroadcastChannel（使えない環境ではnull）
+  static listeners = {};    // メッセージの種類 → 受け取る関数の配列
+  static started = false;
+
+  // このタブのID（自分が送ったメッセージを見分けるため）
+  static tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+  /**
+   * メッセージの受信を始める（最初の on() / post() で自動的に呼ばれる）
+   */
+  static start() {
+    if (this.started) return;
+    this.started = true;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(TAB_SYNC_CHANNEL);
+      this.channel.onmessage = (e) => this.dispatch(e.data);
+      return;
+    }
+
+    window.addEventListener('storage', (e) => {
+      if (e.key !== TAB_SYNC_KEY || !e.newValue) return;
+      try {
+        this.dispatch(JSON.parse(e.newValue));
+      } catch (err) {
+        console.warn('他のタブからのメッセージを読めません:', err);
+      }
+    });
+  }
+
+  /**
+   * 他のタブにメッセージを送る
+   * @param {string} type - メッセージの種類（"data-changed"、"alarm-stop" など）
+   * @param {Object} payload - 一緒に送る内容
+   */
+  static post(type, payload = {}) {
+    this.start();
+    const message = { ...payload, type, tabId: this.tabId };
+
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+
+    try {
+      // 同じ内容を続けて送ってもイベントが届くよう、毎回違う値にする
+      localStorage.setItem(TAB_SYNC_KEY, JSON.stringify({ ...message, sentAt: Date.now(), nonce: Math.random() }));
+    } catch (e) {
+      console.warn('他のタブに知らせられませんでした:', e);
+    }
+  }
+
+  /**
+   * 他のタブからのメッセージを受け取る関数を登録する
+   * @param {string} type - メッセージの種類
+   * @param {Function} listener - メッセージを受け取る関数
+   */
+  static on(type, listener) {
+    this.start();
+    if (!this.listeners[type]) this.listeners[type] = [];
+    this.listeners[type].push(listener);
+  }
+
+  /**
+   * 受け取ったメッセージを登録された関数に渡す
+   * @param {Object} message
+   */
+  static dispatch(message) {
+    if (!message || message.tabId === this.tabId) return;
+    (this.listeners[message.type] || []).forEach(listener => listener(message));
+  }
+}
@@ -0,0 +1,352 @@
+/* ============================================
+   wake-challenges.js - アラームを止めるためのチャレンジ
+
+   寝ぼけたまま「アラームを止める」を押して二度寝しないよう、
+   止める前にちょっとした課題を出す（アラームごとにアラーム設定パネルで選ぶ）。
+
+   - math:   計算問題を解く
+   - phrase: 表示された文章をそのまま入力する
+   - trace:  キャンバスに描かれた図形を、目印の順に指でなぞる
+   - hold:   ボタンを指定した秒数だけ押し続ける（秒数は設定画面で変えられる）
+
+   課題の結果（挑戦した回数・止めるまでにかかった時間）は
+   就寝中の状態に記録し、起床時に睡眠記録へ残す（storage.js）。
+   ここでは画面の部品と判定だけを受け持ち、記録するのは app.js。
+   ============================================ */
+
+// 長押しの秒数の初期値（設定の challengeHoldSeconds で変えられる）
+const CHALLENGE_HOLD_DEFAULT_SECONDS = 5;
+
+// 入力してもらう文章
+const CHALLENGE_PHRASES = [
+  'おはよう今日もいい一日になる',
+  'カーテンを開けて朝日を浴びる',
+  'ゆっくり深呼吸してから起き上がる',
+  'コップ一杯の水を飲みにいく',
+  '二度寝はしないで顔を洗う',
+];
+
+// なぞる図形（0〜1の座標の折れ線。閉じた図形は始点に戻る）
+const CHALLENGE_SHAPES = [
+  // 三角形
+  [[0.5, 0.12], [0.88, 0.82], [0.12, 0.82], [0.5, 0.12]],
+  // 星
+  [[0.5, 0.08], [0.74, 0.86], [0.1, 0.36], [0.9, 0.36], [0.26, 0.86], [0.5, 0.08]],
+  // ジグザグ
+  [[0.1, 0.2], [0.3, 0.8], [0.5, 0.2], [0.7, 0.8], [0.9, 0.2]],
+  // 四角形
+  [[0.15, 0.15], [0.85, 0.15], [0.85, 0.85], [0.15, 0.85], [0.15, 0.15]],
+];
+
+// なぞるときに目印をいくつ置くか（線分ごと）と、目印に触れたとみなす距離（キャンバスに対する割合）
+const TRACE_POINTS_PER_SEGMENT = 4;
+const TRACE_HIT_RADIUS = 0.08;
+
+/**
+ * SleepWakeChallenges クラス
+ * アラームを止めるためのチャレンジを表示・判定する
+ */
+class SleepWakeChallenges {
+
+  // === チャレンジの種類 ===
+  // label: 表示名 / mount(container, done): 画面の部品を作る。done(solved) で挑戦の結果を知らせる
+  static TYPES = {
+    math: {
+      label: '計算問題',
+      mount(container, done) {
+        const question = document.createElement('p');
+        question.className = 'challenge-question';
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.inputMode = 'numeric';
+        input.className = 'settings-input challenge-input';
+        const submit = document.createElement('button');
+        submit.className = 'alarm-btn alarm-btn-set';
+        submit.textContent = '答える';
+
+        // a × b + c の問題を出す（間違えたら別の問題にする）
+        let answer = 0;
+        const next = () => {
+          const a = 3 + Math.floor(Math.random() * 7);
+          const b = 12 + Math.floor(Math.random() * 28);
+          const c = 10 + Math.floor(Math.random() * 90);
+          answer = a * b + c;
+          question.textContent = `${a} × ${b} + ${c} = ?`;
+          input.value = '';
+          input.focus();
+        };
+        const check = () => {
+          const solved = Number(input.value) === answer && input.value !== '';
+          done(solved);
+          if (!solved) next();
+        };
+
+        submit.addEventListener('click', check);
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') check();
+        });
+        container.append(question, input, submit);
+        next();
+      },
+    },
+
+    phrase: {
+      label: '文章を入力',
+      mount(container, done) {
+        const phrase = CHALLENGE_PHRASES[Math.floor(Math.random() * CHALLENGE_PHRASES.length)];
+        const question = document.createElement('p');
+        question.className = 'challenge-question';
+        question.textContent = phrase;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'settings-input challenge-input';
+        input.placeholder = '上の文章を入力';
+        const submit = document.createElement('button');
+        submit.className = 'alarm-btn alarm-btn-set';
+        submit.textContent = '入力した';
+
+        // 全角・半角や空白の違いは気にしない
+        const normalize = (text) => text.normalize('NFKC').replace(/\s+/g, '');
+        const check = () => {
+          const solved = normalize(input.value) === normalize(phrase);
+          done(solved);
+          if (!solved) input.select();
+        };
+
+        submit.addEventListener('click', check);
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') check();
+        });
+        container.append(question, input, submit);
+        input.focus();
+      },
+    },
+
+    trace: {
+      label: '図形をなぞる',
+      mount(container, done) {
+        const shape = CHALLENGE_SHAPES[Math.floor(Math.random() * CHALLENGE_SHAPES.length)];
+        const points = SleepWakeChallenges.getTracePoints(shape);
+
+        const hint = document.createElement('p');
+        hint.className = 'challenge-hint';
+        hint.textContent = '光っている点から、線に沿って指を離さずになぞってください';
+        const canvas = document.createElement('canvas');
+        canvas.className = 'challenge-canvas';
+        canvas.width = 260;
+        canvas.height = 260;
+        container.append(hint, canvas);
+
+        // progress: 通過した目印の数
+        let progress = 0;
+        let tracing = false;
+        const draw = () => SleepWakeChallenges.drawTrace(canvas, shape, points, progress);
+
+        const toPoint = (e) => {
+          const rect = canvas.getBoundingClientRect();
+          return [(e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height];
+        };
+        const hits = ([x, y], [px, py]) => Math.hypot(x - px, y - py) <= TRACE_HIT_RADIUS;
+
+        canvas.addEventListener('pointerdown', (e) => {
+          // 最初の目印から始める
+          if (!hits(toPoint(e), points[0])) return;
+          tracing = true;
+          progress = 1;
+          canvas.setPointerCapture(e.pointerId);
+          draw();
+        });
+        canvas.addEventListener('pointermove', (e) => {
+          if (!tracing) return;
+          // 指を速く動かすと目印を1つ飛ばすことがあるので、2つ先まで見る
+          const point = toPoint(e);
+          const next = [progress, progress + 1].find(i => i < points.length && hits(point, points[i]));
+          if (next !== undefined) {
+            progress = next + 1;
+            draw();
+            if (progress === points.length) {
+              tracing = false;
+              done(true);
+            }
+          }
+        });
+        // 途中で指を離したらやり直し
+        const release = () => {
+          if (!tracing) return;
+          tracing = false;
+          progress = 0;
+          draw();
+          done(false);
+        };
+        canvas.addEventListener('pointerup', release);
+        canvas.addEventListener('pointercancel', release);
+
+        draw();
+      },
+    },
+
+    hold: {
+      label: 'ボタンを長押し',
+      mount(container, done) {
+        const seconds = SleepWakeChallenges.getHoldSeconds();
+        const button = document.createElement('button');
+        button.className = 'alarm-stop-btn challenge-hold-btn';
+        button.textContent = `${seconds}秒間押し続けて止める`;
+        const bar = document.createElement('div');
+        bar.className = 'challenge-progress';
+        const fill = document.createElement('div');
+        fill.className = 'challenge-progress-fill';
+        bar.appendChild(fill);
+        container.append(button, bar);
+
+        let startedAt = null;
+        let timerId = null;
+        const update = () => {
+          const ratio = Math.min(1, (Date.now() - startedAt) / (seconds * 1000));
+          fill.style.width = `${ratio * 100}%`;
+          if (ratio >= 1) {
+            clearInterval(timerId);
+            startedAt = null;
+            done(true);
+          }
+        };
+
+        button.addEventListener('pointerdown', (e) => {
+          startedAt = Date.now();
+          button.setPointerCapture(e.pointerId);
+          timerId = setInterval(update, 100);
+          SleepWakeChallenges.cleanup = () => clearInterval(timerId);
+        });
+        // 途中で離したらやり直し
+        const release = () => {
+          if (startedAt === null) return;
+          clearInterval(timerId);
+          startedAt = null;
+          fill.style.width = '0%';
+          done(false);
+        };
+        button.addEventListener('pointerup', release);
+        button.addEventListener('pointercancel', release);
+        // 長押しでメニューが出ないようにする
+        button.addEventListener('contextmenu', (e) => e.preventDefault());
+      },
+    },
+  };
+
+  static cleanup = null;  // 表示中のチャレンジの後片付け（タイマーの停止など）
+
+  /**
+   * チャレンジを表示する
+   * @param {string} type - チャレンジの種類（TYPES のキー）
+   * @param {HTMLElement} container - 表示先
+   * @param {Function} onAttempt - 挑戦するたびに呼ぶ関数（引数は成功したかどうか）
+   */
+  static mount(type, container, onAttempt) {
+    this.unmount(container);
+    const challenge = this.TYPES[type] || this.TYPES.math;
+
+    // 成功した後の操作は数えない
+    let finished = false;
+    challenge.mount(container, (solved) => {
+      if (finished) return;
+      finished = solved;
+      onAttempt(solved);
+    });
+  }
+
+  /**
+   * 表示中のチャレンジを片付ける
+   * @param {HTMLElement} container - 表示先
+   */
+  static unmount(container) {
+    if (this.cleanup) this.cleanup();
+    this.cleanup = null;
+    container.innerHTML = '';
+  }
+
+  /**
+   * 選べるチャレンジの一覧
+   * @returns {Object[]} { id, label }
+   */
+  static getOptions() {
+    return Object.entries(this.TYPES).map(([id, type]) => ({ id, label: type.label }));
+  }
+
+  /**
+   * チャレンジの表示名（知らない種類ならnull）
+   * @param {string} type
+   */
+  static getLabel(type) {
+    return this.TYPES[type] ? this.TYPES[type].label : null;
+  }
+
+  /**
+   * 長押しの秒数を取得する（未設定なら初期値）
+   */
+  static getHoldSeconds() {
+    const seconds = SleepStorage.getSettings().challengeHoldSeconds;
+    return Number.isInteger(seconds) ? seconds : CHALLENGE_HOLD_DEFAULT_SECONDS;
+  }
+
+  // === 図形をなぞる ===
+
+  /**
+   * 図形の折れ線に沿って目印を並べる
+   * @param {number[][]} shape - 0〜1の座標の折れ線
+   * @returns {number[][]} 目印の座標
+   */
+  static getTracePoints(shape) {
+    const points = [shape[0]];
+    for (let i = 1; i < shape.length; i++) {
+      const [x0, y0] = shape[i - 1];
+      const [x1, y1] = shape[i];
+      for (let j = 1; j <= TRACE_POINTS_PER_SEGMENT; j++) {
+        const t = j / TRACE_POINTS_PER_SEGMENT;
+        points.push([x0 + (x1 - x0) * t, y0 + (y1 - y0) * t]);
+      }
+    }
+    return points;
+  }
+
+  /**
+   * なぞる図形と進み具合を描く
+   * @param {HTMLCanvasElement} canvas
+   * @param {number[][]} shape - 図形の折れ線
+   * @param {number[][]} points - 目印
+   * @param {number} progress - 通過した目印の数
+   */
+  static drawTrace(canvas, shape, points, progress) {
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+
+    // 図形のガイド（点線）
+    ctx.lineWidth = 6;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.setLineDash([8, 10]);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.beginPath();
+    shape.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x * w, y * h) : ctx.lineTo(x * w, y * h)));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // なぞり終えたところ
+    if (progress > 1) {
+      ctx.strokeStyle = '#f59e0b';
+      ctx.beginPath();
+      points.slice(0, progress).forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x * w, y * h) : ctx.lineTo(x * w, y * h)));
+      ctx.stroke();
+    }
+
+    // 次に触れる目印
+    if (progress < points.length) {
+      const [x, y] = points[progress];
+      ctx.fillStyle = '#06b6d4';
+      ctx.beginPath();
+      ctx.arc(x * w, y * h, 10, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
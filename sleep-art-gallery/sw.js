@@ -0,0 +1,264 @@
+/* ============================================
+   sw.js - Service Worker（オフライン対応）
+
+   寝る前に電波が弱くてもアプリを開けるよう、
+   アプリを構成するファイルを端末にキャッシュしておく。
+
+   - インストール時に PRECACHE_FILES をすべてキャッシュする
+   - アプリのファイルはキャッシュから返す（ネットワークを待たない）
+   - Google Fonts は一度読んだものをキャッシュし、裏で更新する
+   - CACHE_VERSION を上げると新しいキャッシュを作り、古いものは削除する
+     （ファイルを変更したら必ず上げる。上げないと利用者に届かない）
+
+   アラーム（js/alarm-scheduler.js）:
+   - アプリから予約された時刻を ALARM_CACHE に覚えておき、
+     定期バックグラウンド同期で起こされたときに時刻を過ぎていれば通知を出す
+   - 通知の「起きた」が押されたら、開いているアプリに知らせる
+     （アプリが開いていなければ ?wake=<時刻> 付きで開く）
+   - 止めるチャレンジ付きのアラームには「起きた」を付けない。通知が押されたら
+     アプリにチャレンジを出させる（アプリが開いていなければ ?alarm=<鳴った時刻> 付きで開く）
+
+   就寝リマインダー（js/bedtime-reminder.js）:
+   - 通知が押されたら、開いているアプリにおやすみ前の画面を開くよう知らせる
+     （アプリが開いていなければ ?winddown=1 付きで開く）
+
+   新しいバージョンはすぐには切り替えず、待機させておく。
+   アプリが「更新があります」と表示し、利用者が選んだときに
+   SKIP_WAITING を受け取って切り替える（js/pwa.js）。
+   ============================================ */
+
+// キャッシュのバージョン（ファイルを変更したら上げる）
+const CACHE_VERSION = 'v18';
+
+// アプリのファイルを入れるキャッシュの名前
+const APP_CACHE = `sleep-art-gallery-${CACHE_VERSION}`;
+
+// Google Fonts を入れるキャッシュの名前（バージョンをまたいで使い回す）
+const FONT_CACHE = 'sleep-art-gallery-fonts';
+
+// アラームの予約を覚えておくキャッシュの名前とキー
+const ALARM_CACHE = 'sleep-art-gallery-alarm';
+const ALARM_STATE_URL = 'alarm-state.json';
+
+// アラームの通知のタグと、定期バックグラウンド同期の登録名（js/alarm-scheduler.js と同じ）
+const ALARM_NOTIFICATION_TAG = 'sleep-art-gallery-alarm';
+const ALARM_PERIODIC_SYNC_TAG = 'sleep-art-gallery-alarm-check';
+
+// 就寝リマインダーの通知のタグ（js/bedtime-reminder.js と同じ）
+const BEDTIME_NOTIFICATION_TAG = 'sleep-art-gallery-bedtime';
+
+// インストール時にキャッシュするファイル
+const PRECACHE_FILES = [
+  './',
+  'index.html',
+  'style.css',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'js/storage-schema.js',
+  'js/tab-sync.js',
+  'js/storage-backends.js',
+  'js/storage.js',
+  'js/sleep-goal.js',
+  'js/data-transfer.js',
+  'js/health-importers.js',
+  'js/sync-client.js',
+  'js/svg-context.js',
+  'js/art-generator.js',
+  'js/art-styles.js',
+  'js/art-export.js',
+  'js/pwa.js',
+  'js/alarm-scheduler.js',
+  'js/alarm-profiles.js',
+  'js/alarm-sounds.js',
+  'js/wake-challenges.js',
+  'js/bedtime-reminder.js',
+  'js/check-in.js',
+  'js/app.js',
+];
+
+// インストール: アプリのファイルをすべてキャッシュする
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE).then(cache =>
+      // ブラウザのHTTPキャッシュに古いファイルが残っていても、必ずサーバーから取り直す
+      cache.addAll(PRECACHE_FILES.map(url => new Request(url, { cache: 'reload' })))
+    )
+  );
+});
+
+// 有効化: 古いバージョンのキャッシュを削除する
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('sleep-art-gallery-') && ![APP_CACHE, FONT_CACHE, ALARM_CACHE].includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// アプリからのメッセージ
+self.addEventListener('message', (event) => {
+  // 「更新する」が選ばれたら、待機中の新しいバージョンに切り替える
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+
+  // アラームの予約・取り消し
+  if (event.data && event.data.type === 'ALARM_SCHEDULE') {
+    event.waitUntil(saveAlarmState({ at: event.data.at, challenge: Boolean(event.data.challenge), notified: false }));
+  }
+  if (event.data && event.data.type === 'ALARM_CANCEL') {
+    event.waitUntil(saveAlarmState(null));
+  }
+});
+
+// 定期バックグラウンド同期: アラームの時刻を過ぎていれば通知を出す
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag !== ALARM_PERIODIC_SYNC_TAG) return;
+
+  event.waitUntil(
+    loadAlarmState().then(state => {
+      if (!state || state.notified || Date.now() < state.at) return;
+      return showAlarmNotification(state).then(() => saveAlarmState({ ...state, notified: true }));
+    })
+  );
+});
+
+// 通知が押されたとき
+self.addEventListener('notificationclick', (event) => {
+  const notification = event.notification;
+
+  // 就寝リマインダー: おやすみ前の画面を開く
+  if (notification.tag === BEDTIME_NOTIFICATION_TAG) {
+    notification.close();
+    event.waitUntil((async () => {
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      if (windows.length > 0) {
+        windows[0].postMessage({ type: 'BEDTIME_ACTION' });
+        return windows[0].focus();
+      }
+      return self.clients.openWindow('./?winddown=1');
+    })());
+    return;
+  }
+
+  if (notification.tag !== ALARM_NOTIFICATION_TAG) return;
+
+  notification.close();
+
+  // 「起きた」ボタンなら押した時刻で起床を記録する。本文を押した場合はアプリを開く
+  // （チャレンジ付きのアラームなら、アプリがチャレンジを出す）
+  const action = event.action === 'wake' ? 'wake' : 'open';
+  const at = Date.now();
+
+  event.waitUntil((async () => {
+    const state = await loadAlarmState();
+    const rangAt = state ? state.at : at;
+    await saveAlarmState(null);
+
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+      windows[0].postMessage({ type: 'ALARM_ACTION', action, at, rangAt });
+      return windows[0].focus();
+    }
+    return self.clients.openWindow(action === 'wake' ? `./?wake=${at}` : `./?alarm=${rangAt}`);
+  })());
+});
+
+// リクエストへの応答
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Google Fonts: キャッシュがあればすぐ返し、裏で新しいものに差し替える
+  if (url.origin === 'https://fonts.googleapis.com' || url.origin === 'https://fonts.gstatic.com') {
+    event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    return;
+  }
+
+  // 同じオリジンのファイルだけ扱う（同期サーバーなどへの通信はそのまま通す）
+  if (url.origin !== self.location.origin) return;
+
+  // 画面遷移（URLにクエリが付いていても）は index.html を返す
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match('index.html').then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  // アプリのファイル: キャッシュを優先し、なければネットワークから取る
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+  );
+});
+
+/**
+ * アラームの通知を出す（js/alarm-scheduler.js の getNotificationOptions() と同じ内容）
+ * @param {Object} state - 予約されたアラーム（challenge: 止めるチャレンジ付きか）
+ */
+function showAlarmNotification(state) {
+  return self.registration.showNotification('Sleep Art Gallery', {
+    tag: ALARM_NOTIFICATION_TAG,
+    body: state.challenge
+      ? 'おはようございます！起きる時間です（開いてチャレンジをクリアすると止まります）'
+      : 'おはようございます！起きる時間です',
+    icon: 'icons/icon.svg',
+    renotify: true,
+    requireInteraction: true,
+    actions: state.challenge ? [] : [{ action: 'wake', title: '起きた' }],
+  });
+}
+
+/**
+ * 予約されたアラームを読む
+ * （Service Worker は localStorage を使えないので、Cache API に JSON として置く）
+ * @returns {Promise<Object|null>} { at, notified }
+ */
+async function loadAlarmState() {
+  const cache = await caches.open(ALARM_CACHE);
+  const response = await cache.match(ALARM_STATE_URL);
+  return response ? response.json() : null;
+}
+
+/**
+ * 予約されたアラームを保存する（null なら削除する）
+ * @param {Object|null} state
+ */
+async function saveAlarmState(state) {
+  const cache = await caches.open(ALARM_CACHE);
+  if (!state) {
+    await cache.delete(ALARM_STATE_URL);
+    return;
+  }
+  await cache.put(ALARM_STATE_URL, new Response(JSON.stringify(state), {
+    headers: { 'Content-Type': 'application/json' },
+  }));
+}
+
+/**
+ * キャッシュがあればそれを返しつつ、裏でネットワークから取り直してキャッシュを更新する
+ * @param {Request} request
+ * @param {string} cacheName
+ */
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const network = fetch(request)
+    .then(response => {
+      // フォントのファイルは別オリジン（opaque）なので status は見られないが、そのまま保存する
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || network;
+}